@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import confetti from 'canvas-confetti';
 import ReactMarkdown from 'react-markdown';
@@ -21,6 +21,101 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+// Set by App to drop back to the login screen when the session can't be refreshed
+let onSessionExpired = () => {};
+
+// Access tokens are short-lived. Requests failing together share one refresh,
+// since each refresh token only works once. Other tabs share the same tokens,
+// so the refresh also holds a browser-wide lock: a tab that waited for it finds
+// the token already rotated and uses the new one instead of replaying the old
+// one, which the server would treat as a stolen token.
+const withRefreshLock = (task) =>
+  (navigator.locks ? navigator.locks.request('brainkick-refresh', task) : task());
+
+let refreshing = null;
+const refreshTokens = () => {
+  const staleRefreshToken = localStorage.getItem('brainkick_refresh_token');
+  refreshing = refreshing || withRefreshLock(async () => {
+    const refreshToken = localStorage.getItem('brainkick_refresh_token');
+    if (!refreshToken) throw new Error('Signed out in another tab');
+    if (refreshToken !== staleRefreshToken) return;
+
+    const { data } = await axios.post(api.getUri({ url: '/api/auth/refresh' }), { refreshToken });
+    localStorage.setItem('brainkick_token', data.token);
+    localStorage.setItem('brainkick_refresh_token', data.refreshToken);
+  }).finally(() => {
+    refreshing = null;
+  });
+  return refreshing;
+};
+
+// On 401, refresh once and replay the request. A 401 that can't be refreshed
+// ends the session; a 403 means signed in but not allowed, so it is left alone.
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || config.url?.startsWith('/api/auth/')) {
+      return Promise.reject(error);
+    }
+    if (config._retried || !localStorage.getItem('brainkick_refresh_token')) {
+      onSessionExpired();
+      return Promise.reject(error);
+    }
+
+    config._retried = true;
+    try {
+      await refreshTokens();
+    } catch (refreshError) {
+      onSessionExpired();
+      return Promise.reject(error);
+    }
+    return api(config);
+  }
+);
+
+// "Chrome on macOS" from a user agent string, for the devices list
+const describeDevice = (userAgent = '') => {
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+      : /Firefox\//.test(userAgent) ? 'Firefox'
+        : /Safari\//.test(userAgent) ? 'Safari'
+          : null;
+  const os = /Windows/.test(userAgent) ? 'Windows'
+    : /Android/.test(userAgent) ? 'Android'
+      : /iPhone|iPad/.test(userAgent) ? 'iOS'
+        : /Mac OS X/.test(userAgent) ? 'macOS'
+          : /Linux/.test(userAgent) ? 'Linux'
+            : null;
+  return browser && os ? `${browser} on ${os}` : userAgent.slice(0, 60) || 'Unknown device';
+};
+
+// IANA timezone of this browser; the server counts streak days in it
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Local calendar date as YYYY-MM-DD
+const toDayString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const weekdayLabel = (day) => new Date(`${day}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short' });
+
+// Heatmap cell colour for a day's solves
+const heatColor = (solves) => {
+  if (!solves) return 'rgba(255,255,255,0.06)';
+  if (solves < 2) return 'rgba(124,58,237,0.35)';
+  if (solves < 4) return 'rgba(124,58,237,0.6)';
+  if (solves < 7) return 'rgba(124,58,237,0.8)';
+  return '#a78bfa';
+};
+
+const emptyStats = {
+  currentStreak: 0,
+  totalPuzzlesSolved: 0,
+  longestStreak: 0,
+  streakFreezes: { available: 0, used: 0, max: 2, earnEvery: 7 },
+  frozenDays: []
+};
+
 function App() {
   const [user, setUser] = useState(null);
   const [view, setView] = useState('login');
@@ -31,7 +126,7 @@ function App() {
   const [answer, setAnswer] = useState('');
   const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [stats, setStats] = useState({ currentStreak: 0, totalPuzzlesSolved: 0, longestStreak: 0 });
+  const [stats, setStats] = useState(emptyStats);
   const [skipped, setSkipped] = useState(false);
   const [skipResult, setSkipResult] = useState(null);
   const [showNext, setShowNext] = useState(false);
@@ -39,18 +134,93 @@ function App() {
   // Track locally-counted solved puzzle IDs to avoid double-counting in the UI
   const [localSolved, setLocalSolved] = useState(new Set());
   const [showExplanation, setShowExplanation] = useState(false);
-  const [hintText, setHintText] = useState('');
+  // Hint tiers revealed for the current puzzle, nudge first: [{ tier, totalTiers, text }]
+  const [hints, setHints] = useState([]);
+  const [hasMoreHints, setHasMoreHints] = useState(true);
   const [showHint, setShowHint] = useState(false);
   const [sectionTimer, setSectionTimer] = useState(0);
   const [sectionTimerActive, setSectionTimerActive] = useState(false);
   const [totalTimeSpent, setTotalTimeSpent] = useState(0);
+  // When the current puzzle appeared; sent as elapsedMs with validate, hint and skip
+  const [puzzleShownAt, setPuzzleShownAt] = useState(Date.now());
 
-  // Function to update time spent on server
-  const updateTimeSpent = async (newTime) => {
+  useEffect(() => {
+    setPuzzleShownAt(Date.now());
+  }, [puzzles, currentPuzzleIndex]);
+
+  // Tell the server which puzzle is on screen whenever it changes
+  useEffect(() => {
+    if (view === 'puzzle' && puzzles[currentPuzzleIndex]) {
+      sendHeartbeat(puzzles[currentPuzzleIndex]._id);
+    }
+  }, [view, puzzles, currentPuzzleIndex]);
+
+  // Heartbeats while the puzzle screen is visible; hidden time earns nothing
+  useEffect(() => {
+    if (view !== 'puzzle') return;
+    const beatIfVisible = () => {
+      if (document.visibilityState === 'visible') sendHeartbeat();
+    };
+    const interval = setInterval(beatIfVisible, playSession.current?.heartbeatIntervalMs || 30000);
+    // A beat when the tab hides banks the time so far; one when it returns restarts the clock
+    const onVisibilityChange = () => sendHeartbeat();
+    // Closing the tab: keepalive lets the request outlive the page
+    const onPageHide = () => {
+      const session = playSession.current;
+      if (!session) return;
+      fetch(api.getUri({ url: `/api/sessions/${session.id}/end` }), {
+        method: 'POST',
+        keepalive: true,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${localStorage.getItem('brainkick_token')}`
+        },
+        body: JSON.stringify({ reason: 'left' })
+      });
+      playSession.current = null;
+    };
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('pagehide', onPageHide);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('pagehide', onPageHide);
+    };
+  }, [view]);
+
+  // Server-side play session for the level being played: { id, heartbeatIntervalMs }.
+  // The server measures time on puzzles from its heartbeats.
+  const playSession = useRef(null);
+
+  const startPlaySession = async (category, level, puzzleId) => {
+    try {
+      const { data } = await api.post('/api/sessions', { category, level, puzzleId });
+      playSession.current = { id: data.sessionId, heartbeatIntervalMs: data.heartbeatIntervalMs };
+    } catch (error) {
+      playSession.current = null;
+      console.error('Failed to start play session:', error);
+    }
+  };
+
+  const sendHeartbeat = async (puzzleId) => {
+    const session = playSession.current;
+    if (!session) return;
+    try {
+      await api.post(`/api/sessions/${session.id}/heartbeat`, puzzleId ? { puzzleId } : {});
+    } catch (error) {
+      // Ended elsewhere (another tab, or timed out): stop beating
+      if ([404, 409].includes(error.response?.status)) playSession.current = null;
+    }
+  };
+
+  const endPlaySession = async (reason) => {
+    const session = playSession.current;
+    playSession.current = null;
+    if (!session) return;
     try {
-      await api.post('/api/stats/time', { totalTimeSpent: newTime });
+      await api.post(`/api/sessions/${session.id}/end`, { reason });
     } catch (error) {
-      console.error('Failed to update time spent:', error);
+      console.error('Failed to end play session:', error);
     }
   };
 
@@ -81,12 +251,35 @@ function App() {
     password: ''
   });
   const [authError, setAuthError] = useState('');
+  const [authNotice, setAuthNotice] = useState('');
+
+  // Password reset: 'forgot' asks for the email, 'reset' sets the new password
+  // from the link in the reset email (?resetToken=...)
+  const [resetToken, setResetToken] = useState(() => new URLSearchParams(window.location.search).get('resetToken'));
+  const [resetStep, setResetStep] = useState(() => (resetToken ? 'reset' : null));
+
+  // Keep the reset token out of the address bar and browser history
+  useEffect(() => {
+    if (resetToken) {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  }, []);
 
   useEffect(() => {
     const token = localStorage.getItem('brainkick_token');
     const userData = localStorage.getItem('brainkick_user');
     if (token && userData) {
-      setUser(JSON.parse(userData));
+      const savedUser = JSON.parse(userData);
+      setUser(savedUser);
+      // Keep the server's timezone in step when the user travels or moves
+      if (savedUser.timeZone !== browserTimeZone()) {
+        api.put('/api/me/timezone', { timeZone: browserTimeZone() })
+          .then(({ data }) => {
+            localStorage.setItem('brainkick_user', JSON.stringify(data.user));
+            setUser(data.user);
+          })
+          .catch(error => console.error('Failed to update timezone:', error));
+      }
       setView('home');
       fetchStats();
       fetchLevelProgress(); // ADD THIS LINE
@@ -100,15 +293,40 @@ function App() {
   { id: 'patterns', name: 'Patterns', emoji: '🔍', description: 'Sequences, shapes, and recognition' }
 ];
 
+  // Puzzle analytics dashboard (editors and admins)
+  const canAuthor = user && ['admin', 'editor'].includes(user.role);
+  const [analyticsCategory, setAnalyticsCategory] = useState('riddles');
+  const [analyticsLevel, setAnalyticsLevel] = useState(1);
+  const [puzzleAnalytics, setPuzzleAnalytics] = useState([]);
+  const [analyticsError, setAnalyticsError] = useState('');
+
+  const fetchPuzzleAnalytics = async (category, level) => {
+    setAnalyticsCategory(category);
+    setAnalyticsLevel(level);
+    setAnalyticsError('');
+    setLoading(true);
+    try {
+      const { data } = await api.get(`/api/admin/puzzles?category=${category}&level=${level}`);
+      const reports = await Promise.all(
+        data.puzzles.map(puzzle => api.get(`/api/admin/puzzles/${puzzle._id}/analytics`).then(r => r.data))
+      );
+      setPuzzleAnalytics(reports.sort((a, b) => a.puzzle.position - b.puzzle.position));
+    } catch (error) {
+      setPuzzleAnalytics([]);
+      setAnalyticsError(error.response?.data?.error || 'Failed to load analytics');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatRate = (value) => (value === null ? '—' : `${Math.round(value * 100)}%`);
+
   const fetchStats = async () => {
     try {
       const response = await api.get('/api/stats');
-      // Pull weeklyCounts and totalTimeSpent out
-      const { weeklyCounts, totalTimeSpent: serverTime, ...rest } = response.data;
+      // Pull totalTimeSpent out
+      const { totalTimeSpent: serverTime, ...rest } = response.data;
       setStats(rest);
-      if (weeklyCounts) {
-        setWeeklyCounts(weeklyCounts);
-      }
       if (typeof serverTime === 'number') {
         setTotalTimeSpent(serverTime);
       }
@@ -117,24 +335,93 @@ function App() {
     }
   };
 
-  // weeklyCounts: array length 7 for Mon..Sun
-  const [weeklyCounts, setWeeklyCounts] = useState([0,0,0,0,0,0,0]);
+  // Daily activity buckets for the last year, oldest first and starting on a Monday.
+  // The last 7 feed the recent-days chart, all of them the heatmap.
+  const [yearActivity, setYearActivity] = useState([]);
+
+  const fetchActivity = async () => {
+    try {
+      const today = new Date();
+      const from = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 364);
+      from.setDate(from.getDate() - ((from.getDay() + 6) % 7)); // back to Monday
+      const response = await api.get(
+        `/api/stats/activity?from=${toDayString(from)}&to=${toDayString(today)}&granularity=day`
+      );
+      setYearActivity(response.data.buckets);
+    } catch (error) {
+      console.error('Failed to fetch activity:', error);
+    }
+  };
+
+  const recentActivity = yearActivity.slice(-7);
+
+  // Per-category breakdown: { categories: [...], overall }
+  const [categoryStats, setCategoryStats] = useState(null);
+
+  const fetchCategoryStats = async () => {
+    try {
+      const response = await api.get('/api/stats/categories');
+      setCategoryStats(response.data);
+    } catch (error) {
+      console.error('Failed to fetch category stats:', error);
+    }
+  };
+
+  // Review pass: skipped puzzles, which earn credit again once their review opens
+  const [reviewPuzzles, setReviewPuzzles] = useState([]);
+  const [reviewAnswers, setReviewAnswers] = useState({});
+  const [reviewResults, setReviewResults] = useState({});
+
+  const fetchReviewPuzzles = async () => {
+    try {
+      const response = await api.get('/api/review');
+      setReviewPuzzles(response.data.puzzles);
+      setReviewAnswers({});
+      setReviewResults({});
+    } catch (error) {
+      console.error('Failed to fetch review puzzles:', error);
+    }
+  };
+
+  const submitReviewAnswer = async (puzzle) => {
+    const reviewAnswer = (reviewAnswers[puzzle._id] || '').trim();
+    if (!reviewAnswer) return;
+
+    try {
+      const response = await api.post(`/api/puzzles/${puzzle._id}/validate`, { answer: reviewAnswer });
+      setReviewResults(prev => ({ ...prev, [puzzle._id]: response.data }));
+      if (response.data.credited) {
+        confetti({ particleCount: 100, spread: 60, origin: { y: 0.6 } });
+        fetchStats();
+        fetchLevelProgress();
+      }
+    } catch (error) {
+      setReviewResults(prev => ({ ...prev, [puzzle._id]: { correct: false, message: 'Error validating answer' } }));
+    }
+  };
+
+  // Strongest and weakest categories by first-try accuracy, among those played
+  const rankedCategories = (categoryStats?.categories || [])
+    .filter(c => c.firstTryAccuracy !== null)
+    .sort((a, b) => b.firstTryAccuracy - a.firstTryAccuracy);
 
   const handleAuth = async (e) => {
     e.preventDefault();
     setLoading(true);
     setAuthError('');
+    setAuthNotice('');
 
     try {
       const endpoint = isLogin ? '/api/auth/login' : '/api/auth/register';
       const payload = isLogin 
-        ? { email: authForm.email, password: authForm.password }
-        : authForm;
+        ? { email: authForm.email, password: authForm.password, timeZone: browserTimeZone() }
+        : { ...authForm, timeZone: browserTimeZone() };
 
       const response = await api.post(endpoint, payload);
       const { token, user: userData } = response.data;
 
       localStorage.setItem('brainkick_token', token);
+      localStorage.setItem('brainkick_refresh_token', response.data.refreshToken);
       localStorage.setItem('brainkick_user', JSON.stringify(userData));
       setUser(userData);
       setView('home');
@@ -149,18 +436,98 @@ function App() {
     }
   };
 
-  const logout = () => {
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setAuthError('');
+
+    try {
+      const response = await api.post('/api/auth/forgot', { email: authForm.email });
+      setAuthNotice(response.data.message);
+      setResetStep(null);
+    } catch (error) {
+      setAuthError(error.response?.data?.error || 'Could not send the reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setAuthError('');
+
+    try {
+      const response = await api.post('/api/auth/reset', { token: resetToken, password: authForm.password });
+      // Every session was signed out on the server, this one included
+      clearSession();
+      setResetToken(null);
+      setResetStep(null);
+      setIsLogin(true);
+      setAuthForm({ username: '', email: '', password: '' });
+      setAuthNotice(response.data.message);
+    } catch (error) {
+      setAuthError(error.response?.data?.error || 'Password reset failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Signed-in devices
+  const [deviceSessions, setDeviceSessions] = useState([]);
+
+  // Forget this session locally; the server side is handled by logout
+  const clearSession = () => {
     localStorage.removeItem('brainkick_token');
+    localStorage.removeItem('brainkick_refresh_token');
     localStorage.removeItem('brainkick_user');
     setUser(null);
     setView('login');
-    setStats({ currentStreak: 0, totalPuzzlesSolved: 0, longestStreak: 0 });
+    setStats(emptyStats);
   // Clear any client-only cached progress so a new account starts fresh
   setLocalSolved(new Set());
   setLevelProgress([]);
-  setWeeklyCounts([0,0,0,0,0,0,0]);
+  setYearActivity([]);
+  setCategoryStats(null);
   setTotalTimeSpent(0);
   setSectionTimer(0);
+  setDeviceSessions([]);
+  };
+
+  // Sign out on the server too, so the tokens on this device stop working
+  const logout = async () => {
+    try {
+      await api.post('/api/auth/logout');
+    } catch (error) {
+      console.error('Failed to sign out on the server:', error);
+    }
+    clearSession();
+  };
+
+  useEffect(() => {
+    onSessionExpired = clearSession;
+  });
+
+  const fetchDeviceSessions = async () => {
+    try {
+      const response = await api.get('/api/me/sessions');
+      setDeviceSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error);
+    }
+  };
+
+  const revokeDeviceSession = async (session) => {
+    if (session.current) {
+      await logout();
+      return;
+    }
+    try {
+      await api.delete(`/api/me/sessions/${session.id}`);
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+    }
+    fetchDeviceSessions();
   };
 
   const fetchPuzzles = async (category, level) => {
@@ -176,10 +543,14 @@ function App() {
       setShowNext(false);
       setShowExplanation(false);
       setShowHint(false);
-      setHintText('');
+      setHints([]);
+      setHasMoreHints(true);
       // Reset and start section timer
       setSectionTimer(0);
       setSectionTimerActive(true);
+      if (response.data.puzzles.length > 0) {
+        await startPlaySession(category, level, response.data.puzzles[0]._id);
+      }
     } catch (error) {
       console.error('Failed to fetch puzzles:', error);
       setPuzzles([]);
@@ -199,21 +570,24 @@ function App() {
     try {
       const currentPuzzle = puzzles[currentPuzzleIndex];
       const response = await api.post(`/api/puzzles/${currentPuzzle._id}/validate`, {
-        answer: answer.trim()
+        answer: answer.trim(),
+        elapsedMs: Date.now() - puzzleShownAt
       });
 
   setResult(response.data);
-  // Only show the full explanation when the answer is correct.
-  // If incorrect, show the brief message but hide the detailed explanation
-  setShowExplanation(!!response.data?.correct);
+  // The server only sends the explanation once the answer is correct.
+  // If incorrect, show the brief message without any explanation
+  setShowExplanation(!!response.data?.explanation);
 
       if (response.data && response.data.correct) {
-        // celebration!
-        confetti({
-          particleCount: 150,
-          spread: 70,
-          origin: { y: 0.6 }
-        });
+        // celebration! (not for previously skipped puzzles that don't earn credit yet)
+        if (response.data.credited !== false) {
+          confetti({
+            particleCount: 150,
+            spread: 70,
+            origin: { y: 0.6 }
+          });
+        }
 
         // refresh stats/api/progress and allow next puzzle
         // Optimistically update level progress in the UI so the user sees immediate feedback
@@ -253,18 +627,18 @@ function App() {
   setShowExplanation(false); 
   // hide hint when advancing
   setShowHint(false);
-  setHintText('');
+  setHints([]);
+  setHasMoreHints(true);
       } else {
         // Level complete — celebrate with big fireworks, then return to categories
         launchFireworks(3000);
 
         // Refresh progress after the fireworks have started, then navigate back
         setTimeout(async () => {
-          // Save section time and cleanup
-          const newTotalTime = totalTimeSpent + sectionTimer;
-          setTotalTimeSpent(newTotalTime);
-          await updateTimeSpent(newTotalTime);
+          // End the play session and cleanup
+          await endPlaySession('completed');
           setSectionTimerActive(false);
+          fetchStats();
           fetchLevelProgress(); // Refresh progress before going back
           setView('categories');
         }, 1800);
@@ -284,24 +658,35 @@ function App() {
 };
 
   const getHint = async () => {
-    // Toggle hint visibility. If already visible, hide it.
-    if (showHint) {
+    // Show hints already revealed before asking for another tier.
+    // Once every tier is out, the button just hides and shows them.
+    if (!showHint && hints.length > 0) {
+      setShowHint(true);
+      return;
+    }
+    if (showHint && !hasMoreHints) {
       setShowHint(false);
       return;
     }
 
     try {
       const currentPuzzle = puzzles[currentPuzzleIndex];
-      const response = await api.post(`/api/puzzles/${currentPuzzle._id}/hint`);
-      // store hint and render as markdown in the UI instead of alert
-      setHintText(response.data.hint || '💡 Think step by step!');
+      const response = await api.post(`/api/puzzles/${currentPuzzle._id}/hint`, { elapsedMs: Date.now() - puzzleShownAt });
+      const { hint, tier, totalTiers, hasMore } = response.data;
+      // keep earlier tiers visible and render each as markdown
+      setHints(prev => [...prev.filter(h => h.tier !== tier), { tier, totalTiers, text: hint || '💡 Think step by step!' }]);
+      setHasMoreHints(!!hasMore);
       setShowHint(true);
     } catch (error) {
-      setHintText('Unable to get hint right now');
+      setHints(prev => [...prev, { tier: null, text: 'Unable to get hint right now' }]);
       setShowHint(true);
     }
   };
 
+  const hintButtonLabel = !showHint
+    ? (hints.length > 0 ? 'Show Hints 💡' : 'Get Hint 💡')
+    : hasMoreHints ? 'Next Hint 💡' : 'Hide Hints';
+
   const startCategory = (category) => {
     setSelectedCategory(category);
     setSelectedLevel(1);
@@ -312,10 +697,11 @@ function App() {
   const skipPuzzle = async () => {
     try {
       const currentPuzzle = puzzles[currentPuzzleIndex];
-      const response = await api.post(`/api/puzzles/${currentPuzzle._id}/skip`);
+      const response = await api.post(`/api/puzzles/${currentPuzzle._id}/skip`, { elapsedMs: Date.now() - puzzleShownAt });
   // hide hint when revealing the answer
   setShowHint(false);
-  setHintText('');
+  setHints([]);
+  setHasMoreHints(true);
   setSkipResult(response.data);
   setSkipped(true);
   setShowNext(true); // Show next button instead of auto-advancing
@@ -487,6 +873,82 @@ function App() {
   }, []);
 
   // Main render logic
+  const linkButtonStyle = { background: 'none', border: 'none', color: 'white', textDecoration: 'underline', cursor: 'pointer' };
+
+  if (resetStep) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.card}>
+          <h1 style={{ textAlign: 'center', marginBottom: '2rem' }}>
+            🧠 BrainKick
+          </h1>
+          <h2 style={{ textAlign: 'center', marginBottom: '1rem' }}>
+            {resetStep === 'forgot' ? 'Forgot Your Password?' : 'Choose a New Password'}
+          </h2>
+          <p style={{ textAlign: 'center', opacity: 0.8, marginBottom: '1.5rem' }}>
+            {resetStep === 'forgot'
+              ? "Enter your account's email and we'll send you a link to reset your password."
+              : 'Pick a new password. You will be signed out on every device.'}
+          </p>
+
+          <form
+            onSubmit={resetStep === 'forgot' ? handleForgotPassword : handleResetPassword}
+            style={{ display: 'flex', flexDirection: 'column' }}
+          >
+            {resetStep === 'forgot' ? (
+              <input
+                style={styles.input}
+                type="email"
+                placeholder="Email"
+                value={authForm.email}
+                onChange={(e) => setAuthForm(prev => ({ ...prev, email: e.target.value }))}
+                required
+              />
+            ) : (
+              <input
+                style={styles.input}
+                type="password"
+                placeholder="New password (min 6 characters)"
+                value={authForm.password}
+                onChange={(e) => setAuthForm(prev => ({ ...prev, password: e.target.value }))}
+                required
+                minLength="6"
+              />
+            )}
+
+            {authError && (
+              <div style={{ color: '#ff6b6b', textAlign: 'center', marginBottom: '1rem' }}>
+                {authError}
+              </div>
+            )}
+
+            <button 
+              type="submit" 
+              disabled={loading}
+              style={styles.button}
+            >
+              {loading ? '⏳ Processing...' : (resetStep === 'forgot' ? 'Send Reset Link' : 'Update Password')}
+            </button>
+          </form>
+
+          <div style={{ textAlign: 'center', marginTop: '1.5rem' }}>
+            <button
+              type="button"
+              onClick={() => {
+                setResetStep(null);
+                setResetToken(null);
+                setAuthError('');
+              }}
+              style={linkButtonStyle}
+            >
+              Back to {user ? 'BrainKick' : 'login'}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (!user) {
     return (
       <div style={styles.container}>
@@ -535,6 +997,12 @@ function App() {
               </div>
             )}
 
+            {authNotice && (
+              <div style={{ color: '#4caf50', textAlign: 'center', marginBottom: '1rem' }}>
+                {authNotice}
+              </div>
+            )}
+
             <button 
               type="submit" 
               disabled={loading}
@@ -550,12 +1018,28 @@ function App() {
               onClick={() => {
                 setIsLogin(!isLogin);
                 setAuthError('');
+                setAuthNotice('');
                 setAuthForm({ username: '', email: '', password: '' });
               }}
-              style={{ background: 'none', border: 'none', color: 'white', textDecoration: 'underline', cursor: 'pointer' }}
+              style={linkButtonStyle}
             >
               {isLogin ? "Don't have an account? Sign up" : "Already have an account? Login"}
             </button>
+            {isLogin && (
+              <div style={{ marginTop: '0.75rem' }}>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setResetStep('forgot');
+                    setAuthError('');
+                    setAuthNotice('');
+                  }}
+                  style={linkButtonStyle}
+                >
+                  Forgot your password?
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -567,8 +1051,9 @@ function App() {
       <div style={styles.container}>
         <div style={styles.card}>
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
-            <div style={styles.streakBadge}>
+            <div style={styles.streakBadge} title={`${stats.streakFreezes.used} missed day${stats.streakFreezes.used === 1 ? '' : 's'} covered so far`}>
               🔥 {stats.currentStreak} day streak
+              <span style={{ opacity: 0.85 }}>· 🧊 {stats.streakFreezes.available}/{stats.streakFreezes.max}</span>
             </div>
             <h2 style={{ 
               margin: '0',
@@ -632,10 +1117,249 @@ function App() {
             </button>
             <button 
               style={styles.secondaryButton}
-              onClick={() => setView('stats')}
+              onClick={() => { fetchActivity(); fetchCategoryStats(); setView('stats'); }}
             >
               View Stats 📊
             </button>
+            {canAuthor && (
+              <button 
+                style={styles.secondaryButton}
+                onClick={() => { fetchPuzzleAnalytics(analyticsCategory, analyticsLevel); setView('analytics'); }}
+              >
+                Puzzle Analytics 🛠️
+              </button>
+            )}
+            <button 
+              style={styles.secondaryButton}
+              onClick={() => { fetchDeviceSessions(); setView('devices'); }}
+            >
+              Devices 🔐
+            </button>
+            <button 
+              style={styles.secondaryButton}
+              onClick={() => { fetchReviewPuzzles(); setView('review'); }}
+            >
+              Review Skipped 📚
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (view === 'review') {
+    return (
+      <div style={styles.container}>
+        <div style={styles.card}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+            <h2>Review Skipped Puzzles 📚</h2>
+            <button 
+              style={styles.secondaryButton}
+              onClick={() => setView('home')}
+            >
+              ← Back
+            </button>
+          </div>
+          <p style={{ opacity: 0.8, marginBottom: '1.5rem' }}>
+            Skipped puzzles come back for review 12 hours after you saw their answer. Solve them here to earn the credit.
+          </p>
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+            {reviewPuzzles.map(puzzle => {
+              const reviewResult = reviewResults[puzzle._id];
+              return (
+                <div key={puzzle._id} style={{
+                  background: 'rgba(255,255,255,0.05)',
+                  padding: '1.5rem',
+                  borderRadius: '8px'
+                }}>
+                  <div style={{ fontSize: '0.8rem', opacity: 0.7, marginBottom: '0.5rem' }}>
+                    {puzzle.category} · level {puzzle.level}
+                  </div>
+                  <h3 style={{ marginBottom: '0.5rem' }}>{puzzle.title}</h3>
+                  <p style={{ lineHeight: '1.5', marginBottom: '1rem' }}>{puzzle.prompt}</p>
+
+                  {!puzzle.reviewable ? (
+                    <div style={{ opacity: 0.7 }}>
+                      🔒 Opens for review {new Date(puzzle.reviewAvailableAt).toLocaleString()}
+                    </div>
+                  ) : reviewResult?.credited ? (
+                    <div style={{ color: '#4caf50', fontWeight: 'bold' }}>🎉 {reviewResult.message}</div>
+                  ) : (
+                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-start', flexWrap: 'wrap' }}>
+                      <input
+                        style={{ ...styles.input, flex: 1, marginBottom: 0 }}
+                        type="text"
+                        placeholder="Enter your answer..."
+                        value={reviewAnswers[puzzle._id] || ''}
+                        onChange={(e) => setReviewAnswers(prev => ({ ...prev, [puzzle._id]: e.target.value }))}
+                        onKeyPress={(e) => { if (e.key === 'Enter') submitReviewAnswer(puzzle); }}
+                      />
+                      <button
+                        style={styles.button}
+                        onClick={() => submitReviewAnswer(puzzle)}
+                      >
+                        Check
+                      </button>
+                      {reviewResult && (
+                        <div style={{ width: '100%', color: reviewResult.correct ? '#ffc107' : '#ff6b6b' }}>{reviewResult.correct ? '✅' : '❌'} {reviewResult.message}</div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+            {reviewPuzzles.length === 0 && (
+              <div style={{ textAlign: 'center', opacity: 0.7 }}>Nothing to review. Skipped puzzles will show up here.</div>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (view === 'devices') {
+    return (
+      <div style={styles.container}>
+        <div style={styles.card}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+            <h2>Signed-in Devices 🔐</h2>
+            <button 
+              style={styles.secondaryButton}
+              onClick={() => setView('home')}
+            >
+              ← Back
+            </button>
+          </div>
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+            {deviceSessions.map(session => (
+              <div key={session.id} style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                background: 'rgba(255,255,255,0.05)',
+                padding: '1rem',
+                borderRadius: '8px'
+              }}>
+                <div>
+                  <div style={{ fontWeight: 'bold' }}>
+                    {describeDevice(session.userAgent)}
+                    {session.current && <span style={{ marginLeft: '0.5rem', fontSize: '0.8rem', color: '#4caf50' }}>This device</span>}
+                  </div>
+                  <div style={{ fontSize: '0.8rem', opacity: 0.7 }}>
+                    Signed in {new Date(session.createdAt).toLocaleDateString()} · last active {new Date(session.lastUsedAt).toLocaleString()}
+                  </div>
+                </div>
+                <button
+                  style={styles.secondaryButton}
+                  onClick={() => revokeDeviceSession(session)}
+                >
+                  {session.current ? 'Sign out' : 'Revoke'}
+                </button>
+              </div>
+            ))}
+            {deviceSessions.length === 0 && (
+              <div style={{ textAlign: 'center', opacity: 0.7 }}>No active sessions.</div>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (view === 'analytics' && canAuthor) {
+    return (
+      <div style={styles.container}>
+        <div style={{ ...styles.card, maxWidth: '900px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+            <h2>Puzzle Analytics 🛠️</h2>
+            <button 
+              style={styles.secondaryButton}
+              onClick={() => setView('home')}
+            >
+              ← Back
+            </button>
+          </div>
+
+          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', justifyContent: 'center', marginBottom: '1.5rem' }}>
+            {categories.map(category => (
+              <button
+                key={category.id}
+                style={analyticsCategory === category.id ? styles.button : styles.secondaryButton}
+                onClick={() => fetchPuzzleAnalytics(category.id, analyticsLevel)}
+              >
+                {category.emoji} {category.name}
+              </button>
+            ))}
+            {[1, 2, 3].map(level => (
+              <button
+                key={level}
+                style={analyticsLevel === level ? styles.button : styles.secondaryButton}
+                onClick={() => fetchPuzzleAnalytics(analyticsCategory, level)}
+              >
+                Level {level}
+              </button>
+            ))}
+          </div>
+
+          {analyticsError && (
+            <div style={{ color: '#ff6b6b', textAlign: 'center', marginBottom: '1rem' }}>{analyticsError}</div>
+          )}
+          {loading && <div style={{ textAlign: 'center' }}>⏳ Loading...</div>}
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+            {!loading && puzzleAnalytics.map(report => (
+              <div key={report.puzzle._id} style={{
+                background: 'rgba(255,255,255,0.05)',
+                padding: '1.25rem',
+                borderRadius: '8px',
+                opacity: report.puzzle.retired ? 0.6 : 1
+              }}>
+                <div style={{ fontWeight: 'bold', marginBottom: '0.25rem' }}>
+                  {report.puzzle.position + 1}. {report.puzzle.title}{report.puzzle.retired ? ' (retired)' : ''}
+                </div>
+                <div style={{ fontSize: '0.85rem', opacity: 0.7, marginBottom: '0.75rem' }}>
+                  Accepted: {report.puzzle.correctAnswers.join(', ')}
+                </div>
+
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(110px, 1fr))', gap: '0.75rem', textAlign: 'center' }}>
+                  {[
+                    ['Players', report.players],
+                    ['Answers', report.attempts],
+                    ['First-try solves', formatRate(report.firstTrySolveRate)],
+                    ['Solved', formatRate(report.solveRate)],
+                    ['Skipped', formatRate(report.skipRate)],
+                    ['Used hints', formatRate(report.hintRate)],
+                    ['Median time', report.medianTimeToSolveMs === null ? '—' : formatTime(Math.round(report.medianTimeToSolveMs / 1000))]
+                  ].map(([label, value]) => (
+                    <div key={label}>
+                      <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>{value}</div>
+                      <div style={{ fontSize: '0.8rem', opacity: 0.7 }}>{label}</div>
+                    </div>
+                  ))}
+                </div>
+
+                {report.commonWrongAnswers.length > 0 && (
+                  <div style={{ marginTop: '0.75rem', fontSize: '0.9rem' }}>
+                    <div style={{ opacity: 0.8, marginBottom: '0.25rem' }}>Most common wrong answers</div>
+                    {report.commonWrongAnswers.map(cluster => (
+                      <div
+                        key={cluster.answer}
+                        title={cluster.variants.join(', ')}
+                        style={{ display: 'flex', justifyContent: 'space-between', padding: '0.2rem 0' }}
+                      >
+                        <span>“{cluster.answer}”{cluster.variants.length > 1 ? ` +${cluster.variants.length - 1} variants` : ''}</span>
+                        <span style={{ opacity: 0.7 }}>{cluster.count}× by {cluster.users} player{cluster.users === 1 ? '' : 's'}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+            {!loading && !analyticsError && puzzleAnalytics.length === 0 && (
+              <div style={{ textAlign: 'center', opacity: 0.7 }}>No puzzles in this level.</div>
+            )}
           </div>
         </div>
       </div>
@@ -669,6 +1393,14 @@ function App() {
               <div style={{ textAlign: 'center', fontSize: '1.1rem', marginTop: '0.5rem' }}>
                 Current Streak (days)
               </div>
+              <div style={{ textAlign: 'center', fontSize: '0.95rem', marginTop: '0.75rem', opacity: 0.85 }}>
+                🧊 {stats.streakFreezes.available} of {stats.streakFreezes.max} streak freezes available
+                {' · '}{stats.streakFreezes.used} used
+              </div>
+              <div style={{ textAlign: 'center', fontSize: '0.8rem', marginTop: '0.25rem', opacity: 0.65 }}>
+                Earn one every {stats.streakFreezes.earnEvery} streak days. A freeze covers a missed day automatically.
+                {stats.frozenDays.length > 0 && ` Last frozen: ${stats.frozenDays[stats.frozenDays.length - 1]}.`}
+              </div>
             </div>
 
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '1rem' }}>
@@ -723,14 +1455,81 @@ function App() {
               </div>
             </div>
 
-            {/* Weekly solves bar chart (largest = 100% height) */}
+            {/* Per-category cards, compared against the user's overall first-try accuracy */}
+            {categoryStats && (
+              <div style={{ background: 'rgba(255,255,255,0.03)', padding: '1.25rem', borderRadius: '10px' }}>
+                <div style={{ fontWeight: 'bold', marginBottom: '0.5rem', textAlign: 'center' }}>By Category</div>
+                {rankedCategories.length > 1 && (
+                  <div style={{ textAlign: 'center', fontSize: '0.9rem', opacity: 0.85, marginBottom: '1rem' }}>
+                    💪 Strongest: {categories.find(c => c.id === rankedCategories[0].category)?.name}
+                    {' · '}
+                    🎯 Needs practice: {categories.find(c => c.id === rankedCategories[rankedCategories.length - 1].category)?.name}
+                  </div>
+                )}
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: '1rem' }}>
+                  {categoryStats.categories.map(stat => {
+                    const info = categories.find(c => c.id === stat.category);
+                    const overall = categoryStats.overall.firstTryAccuracy;
+                    const difference = stat.firstTryAccuracy !== null && overall !== null
+                      ? Math.round((stat.firstTryAccuracy - overall) * 100)
+                      : null;
+                    return (
+                      <div key={stat.category} style={{ background: 'rgba(255,255,255,0.05)', padding: '1rem', borderRadius: '8px' }}>
+                        <div style={{ fontWeight: 'bold', marginBottom: '0.5rem' }}>
+                          {info?.emoji} {info?.name || stat.category}
+                          <span style={{ float: 'right', opacity: 0.8 }}>{stat.solved}/{stat.totalPuzzles}</span>
+                        </div>
+                        <div style={{ background: 'rgba(255,255,255,0.1)', borderRadius: '4px', height: '6px', marginBottom: '0.75rem' }}>
+                          <div style={{
+                            width: `${stat.totalPuzzles ? (stat.solved / stat.totalPuzzles) * 100 : 0}%`,
+                            height: '100%',
+                            borderRadius: '4px',
+                            background: 'linear-gradient(90deg,#4f46e5,#7c3aed)'
+                          }} />
+                        </div>
+                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.25rem 0.75rem', fontSize: '0.85rem' }}>
+                          <span style={{ opacity: 0.7 }}>First-try</span>
+                          <span>
+                            {formatRate(stat.firstTryAccuracy)}
+                            {difference !== null && difference !== 0 && (
+                              <span style={{ color: difference > 0 ? '#4caf50' : '#ff6b6b', marginLeft: '0.3rem' }}>
+                                {difference > 0 ? '▲' : '▼'}{Math.abs(difference)}
+                              </span>
+                            )}
+                          </span>
+                          <span style={{ opacity: 0.7 }}>Avg attempts</span>
+                          <span>{stat.averageAttempts ?? '—'}</span>
+                          <span style={{ opacity: 0.7 }}>Hints / skips</span>
+                          <span>{stat.hintsUsed} / {stat.skips}</span>
+                          <span style={{ opacity: 0.7 }}>Median time</span>
+                          <span>{stat.medianTimeMs === null ? '—' : formatTime(Math.round(stat.medianTimeMs / 1000))}</span>
+                        </div>
+                        <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.75rem', fontSize: '0.75rem', opacity: 0.8 }}>
+                          {stat.levels.map(level => (
+                            <span
+                              key={level.level}
+                              title={`First-try ${formatRate(level.firstTryAccuracy)}`}
+                              style={{ background: 'rgba(255,255,255,0.06)', borderRadius: '10px', padding: '0.15rem 0.5rem' }}
+                            >
+                              L{level.level} {level.solved}/{level.totalPuzzles}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            {/* Last 7 days bar chart (largest = 100% height) */}
             <div style={{ background: 'rgba(255,255,255,0.03)', padding: '1.25rem', borderRadius: '10px', display: 'flex', justifyContent: 'center' }}>
               <div style={{ width: '100%', maxWidth: '720px' }}>
-                <div style={{ fontWeight: 'bold', marginBottom: '0.75rem', textAlign: 'center' }}>Solved This Week</div>
+                <div style={{ fontWeight: 'bold', marginBottom: '0.75rem', textAlign: 'center' }}>Solved in the Last 7 Days</div>
                 <div style={{ display: 'flex', gap: '18px', alignItems: 'end', height: '260px', padding: '8px', justifyContent: 'center' }}>
-                  {['Mon','Tue','Wed','Thu','Fri','Sat','Sun'].map((d, i) => {
-                    const value = weeklyCounts[i] || 0;
-                    const rawMax = Math.max(1, ...weeklyCounts);
+                  {recentActivity.map(bucket => {
+                    const value = bucket.solves;
+                    const rawMax = Math.max(1, ...recentActivity.map(b => b.solves));
                     const chartHeightPx = 200; // px available for bars inside the container
 
                     // Pixel height proportional to rawMax; when rawMax === value, height = chartHeightPx
@@ -739,7 +1538,7 @@ function App() {
                     if (value > 0) pixelHeight = Math.max(28, Math.min(chartHeightPx, pixelHeight));
 
                     return (
-                      <div key={d} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', width: '72px' }}>
+                      <div key={bucket.start} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', width: '72px' }}>
                         <div style={{
                           width: '100%',
                           height: `${pixelHeight}px`,
@@ -753,16 +1552,43 @@ function App() {
                           fontSize: '1rem',
                           paddingBottom: '8px',
                           boxShadow: value > 0 ? '0 6px 20px rgba(79,70,229,0.14)' : 'none'
-                        }} title={`${value} solved`}>
+                        }} title={`${value} solved · ${formatTime(Math.round(bucket.timeSpentMs / 1000))} on puzzles`}>
                           {value > 0 ? <span style={{ fontWeight: 800 }}>{value}</span> : null}
                         </div>
-                        <div style={{ marginTop: '12px', fontSize: '0.95rem' }}>{d}</div>
+                        <div style={{ marginTop: '12px', fontSize: '0.95rem' }}>{weekdayLabel(bucket.start)}</div>
                       </div>
                     );
                   })}
                 </div>
               </div>
             </div>
+
+            {/* Year heatmap: one column per week, Monday at the top */}
+            <div style={{ background: 'rgba(255,255,255,0.03)', padding: '1.25rem', borderRadius: '10px' }}>
+              <div style={{ fontWeight: 'bold', marginBottom: '0.75rem', textAlign: 'center' }}>
+                {yearActivity.reduce((sum, b) => sum + b.solves, 0)} Solved in the Last Year
+              </div>
+              <div style={{ display: 'flex', gap: '3px', overflowX: 'auto', paddingBottom: '0.5rem' }}>
+                {Array.from({ length: Math.ceil(yearActivity.length / 7) }, (_, week) => (
+                  <div key={week} style={{ display: 'flex', flexDirection: 'column', gap: '3px' }}>
+                    {yearActivity.slice(week * 7, week * 7 + 7).map(bucket => (
+                      <div
+                        key={bucket.start}
+                        title={`${bucket.start}: ${bucket.solves} solved`}
+                        style={{ width: '10px', height: '10px', borderRadius: '2px', background: heatColor(bucket.solves) }}
+                      />
+                    ))}
+                  </div>
+                ))}
+              </div>
+              <div style={{ display: 'flex', gap: '3px', alignItems: 'center', justifyContent: 'flex-end', fontSize: '0.75rem', opacity: 0.7 }}>
+                Less
+                {[0, 1, 3, 5, 7].map(solves => (
+                  <div key={solves} style={{ width: '10px', height: '10px', borderRadius: '2px', background: heatColor(solves) }} />
+                ))}
+                More
+              </div>
+            </div>
           </div>
 
           <div style={{ textAlign: 'center', marginTop: '2rem' }}>
@@ -966,11 +1792,10 @@ function App() {
             <button 
               style={styles.secondaryButton}
               onClick={async () => { 
-                // Save section time and cleanup
-                const newTotalTime = totalTimeSpent + sectionTimer;
-                setTotalTimeSpent(newTotalTime);
-                await updateTimeSpent(newTotalTime);
+                // End the play session and cleanup
+                await endPlaySession('left');
                 setSectionTimerActive(false);
+                fetchStats();
                 fetchLevelProgress(); 
                 setView('categories'); 
               }}
@@ -1031,8 +1856,15 @@ function App() {
                   {result.correct ? '🎉 Correct!' : '❌ Not quite right'}
                 </div>
                 <div style={{ marginBottom: '1rem' }}>{result.message}</div>
-                
-                {/* Show explanation only when allowed (correct answer) */}
+
+                {/* e.g. "Accepted — close spelling of 'echo'" */}
+                {result.matchReason && (
+                  <div style={{ marginBottom: '1rem', fontSize: '0.9rem', opacity: 0.8, fontStyle: 'italic' }}>
+                    {result.matchReason}
+                  </div>
+                )}
+
+                {/* Show explanation only when the server released it (correct answer) */}
                 {showExplanation && result.explanation && (
                   <div style={{
                     background: 'rgba(255, 255, 255, 0.1)',
@@ -1080,8 +1912,8 @@ function App() {
             </div>
           )}
 
-          {/* Render hint (if requested) as Markdown */}
-          {showHint && hintText && (
+          {/* Render revealed hint tiers (if requested) as Markdown */}
+          {showHint && hints.length > 0 && (
             <div style={{
               padding: '1rem',
               borderRadius: '8px',
@@ -1089,10 +1921,16 @@ function App() {
               border: '1px solid rgba(255,255,255,0.06)',
               marginBottom: '1rem'
             }}>
-              <div style={{ fontWeight: 'bold', marginBottom: '0.5rem', color: '#ffc107' }}>💡 Hint:</div>
-              <ReactMarkdown remarkPlugins={[remarkGfm, remarkMath]} rehypePlugins={[rehypeKatex]}>
-                {hintText}
-              </ReactMarkdown>
+              {hints.map((h, i) => (
+                <div key={i} style={{ marginBottom: i < hints.length - 1 ? '0.75rem' : 0 }}>
+                  <div style={{ fontWeight: 'bold', marginBottom: '0.5rem', color: '#ffc107' }}>
+                    💡 {h.tier ? `Hint ${h.tier} of ${h.totalTiers}:` : 'Hint:'}
+                  </div>
+                  <ReactMarkdown remarkPlugins={[remarkGfm, remarkMath]} rehypePlugins={[rehypeKatex]}>
+                    {h.text}
+                  </ReactMarkdown>
+                </div>
+              ))}
             </div>
           )}
           </div>
@@ -1112,7 +1950,7 @@ function App() {
                   style={styles.secondaryButton}
                   onClick={getHint}
                 >
-                  Get Hint 💡
+                  {hintButtonLabel}
                 </button>
 
                 <button 
@@ -0,0 +1,59 @@
+// Replays adversarial answers (content/ai/adversarial-answers.json) against a
+// live model, through the same local validation and AI judging as /validate.
+// Every one must be rejected.
+//
+//   npm run check-judge
+//
+// Uses the AI provider configured by AI_PROVIDER / OPENAI_API_KEY / AI_BASE_URL.
+// npm test covers the same corpus offline, with mocked providers.
+require('dotenv').config();
+const path = require('path');
+const { loadPuzzles } = require('../src/puzzles/loader');
+const { checkAnswer } = require('../src/validators');
+const { createAiProvider } = require('../src/ai');
+const { judgeAnswer } = require('../src/ai/judge');
+
+const CORPUS_FILE = path.join(__dirname, '..', 'content', 'ai', 'adversarial-answers.json');
+
+const checkJudge = async () => {
+  const puzzles = new Map(loadPuzzles(process.env.PUZZLE_DIR).map(p => [p._id, p]));
+  const corpus = require(CORPUS_FILE);
+  const ai = createAiProvider();
+  if (!ai) {
+    throw new Error('No AI provider configured; set AI_PROVIDER or OPENAI_API_KEY (npm test runs the corpus offline)');
+  }
+  console.log(`🤖 Judging ${corpus.length} adversarial answers with ${ai.name} (${ai.model})`);
+
+  let accepted = 0;
+  for (const { puzzleId, answer } of corpus) {
+    const puzzle = puzzles.get(puzzleId);
+    if (!puzzle) {
+      throw new Error(`Corpus refers to unknown puzzle "${puzzleId}"`);
+    }
+
+    const local = checkAnswer(puzzle, answer);
+    const judgement = local.correct || local.validator !== 'text'
+      ? { correct: local.correct, rejectedBecause: 'local validation' }
+      : await judgeAnswer(ai, puzzle, answer);
+
+    const label = JSON.stringify(answer.length > 60 ? `${answer.slice(0, 57)}...` : answer);
+    if (judgement.correct) {
+      accepted++;
+      console.log(`❌ ${puzzleId}  ${label}  accepted`);
+    } else {
+      console.log(`✅ ${puzzleId}  ${label}  rejected (${judgement.rejectedBecause || 'verdict incorrect'})`);
+    }
+  }
+
+  if (accepted > 0) {
+    console.error(`❌ ${accepted} of ${corpus.length} adversarial answers were accepted`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`✅ All ${corpus.length} adversarial answers rejected`);
+};
+
+checkJudge().catch(err => {
+  console.error('❌ Judge check failed:', err.message);
+  process.exitCode = 1;
+});
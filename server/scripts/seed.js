@@ -1,2 +1,146 @@
-console.log('🌱 Basic seed script - will add database connection later');
-console.log('✅ Ready to go!');
+// Imports puzzle content packs into the MongoDB Puzzle collection.
+//
+//   npm run seed                 upsert packs and delete puzzles no longer in them
+//   npm run seed -- --dry-run    only print what would change
+//   npm run seed -- --force      also delete puzzles that users have already solved
+//
+// Safe to re-run: unchanged puzzles are left alone, and so are puzzles that
+// were created or edited through the admin API (source: 'admin'). Cached AI
+// output for changed and removed puzzles is purged, as the admin API does.
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Puzzle = require('../src/models/puzzle');
+const LevelProgress = require('../src/models/levelProgress');
+const { loadPuzzles } = require('../src/puzzles/loader');
+const { createMongoStorage } = require('../src/storage/mongo');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const force = args.includes('--force');
+
+// Every schema field except bookkeeping ones is puzzle content
+const CONTENT_FIELDS = Object.keys(Puzzle.schema.paths)
+  .filter(field => !['_id', '__v', 'updatedAt', 'source'].includes(field));
+
+const pickContent = (puzzle) =>
+  Object.fromEntries(CONTENT_FIELDS.map(field => [field, puzzle[field] ?? null]));
+
+const changedFields = (existing, incoming) =>
+  CONTENT_FIELDS.filter(field =>
+    JSON.stringify(existing[field] ?? null) !== JSON.stringify(incoming[field] ?? null)
+  );
+
+const computeDiff = (existingPuzzles, incomingPuzzles) => {
+  const existingById = new Map(existingPuzzles.map(p => [p._id, p]));
+  const incomingIds = new Set(incomingPuzzles.map(p => p._id));
+  const isAuthored = (puzzle) => puzzle.source === 'admin';
+
+  const added = [];
+  const changed = [];
+  const kept = existingPuzzles.filter(isAuthored);
+  incomingPuzzles.forEach(puzzle => {
+    const existing = existingById.get(puzzle._id);
+    if (!existing) {
+      added.push(puzzle);
+      return;
+    }
+    if (isAuthored(existing)) return;
+    const fields = changedFields(existing, puzzle);
+    if (fields.length > 0) {
+      changed.push({ puzzle, fields });
+    }
+  });
+  const removed = existingPuzzles.filter(p => !incomingIds.has(p._id) && !isAuthored(p));
+
+  return { added, changed, removed, kept };
+};
+
+const printDiff = ({ added, changed, removed, kept }, solvedCounts) => {
+  console.log(`➕ Added (${added.length})`);
+  added.forEach(p => console.log(`   ${p._id}  ${p.title}`));
+  console.log(`✏️  Changed (${changed.length})`);
+  changed.forEach(({ puzzle, fields }) => console.log(`   ${puzzle._id}  ${fields.join(', ')}`));
+  console.log(`➖ Removed (${removed.length})`);
+  removed.forEach(p => {
+    const solved = solvedCounts.get(p._id) || 0;
+    console.log(`   ${p._id}  ${p.title}${solved ? `  (solved by ${solved} user${solved === 1 ? '' : 's'})` : ''}`);
+  });
+  if (kept.length > 0) {
+    console.log(`🔒 Kept, edited via admin API (${kept.length})`);
+    kept.forEach(p => console.log(`   ${p._id}  ${p.title}`));
+  }
+};
+
+const seed = async () => {
+  const incoming = loadPuzzles(process.env.PUZZLE_DIR)
+    .map(puzzle => ({ _id: puzzle._id, ...pickContent({ retired: false, ...puzzle }) }));
+  console.log(`🧩 Loaded ${incoming.length} puzzles from content packs`);
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/brainkick', {
+    serverSelectionTimeoutMS: 5000
+  });
+  console.log('✅ Connected to MongoDB');
+
+  const existing = await Puzzle.find({}).lean();
+  const diff = computeDiff(existing, incoming);
+
+  // Removing a puzzle that is in someone's solvedPuzzleIds would orphan their progress
+  const solvedCounts = new Map();
+  for (const puzzle of diff.removed) {
+    solvedCounts.set(puzzle._id, await LevelProgress.countDocuments({ solvedPuzzleIds: puzzle._id }));
+  }
+
+  printDiff(diff, solvedCounts);
+
+  if (dryRun) {
+    console.log('🔍 Dry run - no changes written');
+  }
+
+  // A dry run still fails, so it can gate a deploy
+  const blocked = diff.removed.filter(p => solvedCounts.get(p._id) > 0);
+  const refused = blocked.length > 0 && !force;
+  if (refused) {
+    console.error(`❌ ${dryRun ? 'Would refuse' : 'Refusing'} to delete ${blocked.length} puzzle(s) that users have solved: ${blocked.map(p => p._id).join(', ')}`);
+    console.error('   Re-run with --force to delete them anyway.');
+    process.exitCode = 1;
+  }
+
+  if (dryRun || refused) return;
+
+  const now = new Date();
+  const operations = [
+    ...[...diff.added, ...diff.changed.map(c => c.puzzle)].map(puzzle => ({
+      updateOne: {
+        filter: { _id: puzzle._id },
+        update: { $set: { ...pickContent(puzzle), source: 'pack', updatedAt: now } },
+        upsert: true
+      }
+    })),
+    ...diff.removed.map(puzzle => ({ deleteOne: { filter: { _id: puzzle._id } } }))
+  ];
+
+  if (operations.length === 0) {
+    console.log('✅ Puzzle collection already up to date');
+    return;
+  }
+
+  await Puzzle.bulkWrite(operations);
+  console.log(`✅ Seed complete: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed`);
+
+  // Cached judgments for the old correctAnswers would otherwise keep accepting answers until they expire
+  const storage = createMongoStorage();
+  let purged = 0;
+  for (const puzzle of [...diff.changed.map(c => c.puzzle), ...diff.removed]) {
+    purged += await storage.purgeAiCache({ puzzleId: puzzle._id });
+  }
+  if (purged > 0) {
+    console.log(`🧹 Purged ${purged} cached AI entr${purged === 1 ? 'y' : 'ies'}`);
+  }
+};
+
+seed()
+  .catch(err => {
+    console.error('❌ Seed failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
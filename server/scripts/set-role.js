@@ -0,0 +1,43 @@
+// Grants a role to an existing user.
+//
+//   npm run set-role -- <email> <user|editor|admin>
+//
+// Uses the same STORAGE / MONGODB_URI / DATA_FILE settings as the server.
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { createStorage } = require('../src/storage');
+
+const ROLES = ['user', 'editor', 'admin'];
+
+const setRole = async () => {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const storage = await createStorage();
+  if (storage.name === 'In-Memory') {
+    console.error('❌ In-memory storage does not outlive this script; use MongoDB or STORAGE=file');
+    process.exitCode = 1;
+    return;
+  }
+
+  const user = await storage.findUserByEmail(email);
+  if (!user) {
+    console.error(`❌ No user registered with ${email}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await storage.updateUser(user._id, { role });
+  console.log(`✅ ${user.username} <${email}> is now ${role}`);
+};
+
+setRole()
+  .catch(err => {
+    console.error('❌ Failed to set role:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
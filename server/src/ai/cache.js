@@ -0,0 +1,49 @@
+// Caches AI output in storage so repeated requests are free, fast and give every
+// user the same result: judgments by puzzle and normalized answer, hints by
+// puzzle and tier, explanations by puzzle. Entries expire after AI_CACHE_TTL_HOURS (default a
+// week; 0 turns caching off) and are purged when a puzzle is edited.
+const { normalizeText } = require('../validators/normalize');
+
+const DEFAULT_TTL_HOURS = 24 * 7;
+
+const ttlMs = () => {
+  const configured = Number(process.env.AI_CACHE_TTL_HOURS);
+  const hours = Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_TTL_HOURS;
+  return hours * 60 * 60 * 1000;
+};
+
+const cacheKey = (kind, puzzleId, answer) =>
+  answer === undefined ? `${kind}:${puzzleId}` : `${kind}:${puzzleId}:${normalizeText(answer)}`;
+
+// Wrap a provider with the same interface, caching its results. Failed calls
+// and unparseable judgments are never cached. Cache hits never reach the
+// wrapped provider, so they don't count against AI quotas.
+const withAiCache = (ai, storage) => {
+  const ttl = ttlMs();
+  if (!ai || ttl === 0) return ai;
+
+  const remember = async (kind, puzzleId, answer, compute) => {
+    const key = cacheKey(kind, puzzleId, answer);
+    const cached = await storage.getAiCacheEntry(key);
+    if (cached) return cached.value;
+
+    const value = await compute();
+    if (value) {
+      const now = new Date();
+      await storage.saveAiCacheEntry({ key, kind, puzzleId, value, createdAt: now, expiresAt: new Date(now.getTime() + ttl) });
+    }
+    return value;
+  };
+
+  return {
+    ...ai,
+    judgeAnswer: (puzzle, answer, context) =>
+      remember('judgment', puzzle._id, answer, () => ai.judgeAnswer(puzzle, answer, context)),
+    generateHint: (puzzle, tier, context) =>
+      remember('hint', puzzle._id, String(tier), () => ai.generateHint(puzzle, tier, context)),
+    explainSolution: (puzzle, context) =>
+      remember('explanation', puzzle._id, undefined, () => ai.explainSolution(puzzle, context))
+  };
+};
+
+module.exports = { withAiCache };
@@ -0,0 +1,56 @@
+// AI provider used by /validate, /hint and /skip. Every provider implements
+//   name, model                             for logs and the health check
+//   judgeAnswer(puzzle, answer, context) -> { verdict, confidence, reason } | null if unparseable
+//   generateHint(puzzle, tier, context)  -> hint text for tier 1..n (nudge to near-solution)
+//   explainSolution(puzzle, context)     -> explanation text
+// context is { userId, route } from the caller; providers report token counts
+// through context.onUsage({ promptTokens, completionTokens }) when it is set.
+// Calls may reject; routes fall back to curated content when they do. Routes
+// judge answers through judge.js, never by calling judgeAnswer directly.
+const { createOpenAiProvider } = require('./openai');
+const { createStubProvider } = require('./stub');
+
+const DEFAULT_MODEL = 'gpt-3.5-turbo';
+
+// Pick a provider once at startup from AI_PROVIDER:
+//   openai - OpenAI, or any OpenAI-compatible server at AI_BASE_URL
+//   stub   - deterministic local provider, no network
+//   none   - AI features disabled
+//   auto   - openai when OPENAI_API_KEY or AI_BASE_URL is set, none otherwise (default)
+// AI_MODEL picks the model and AI_MIN_CONFIDENCE (default 0.8) the lowest
+// confidence at which an AI "correct" verdict is accepted. Results are cached
+// in storage for AI_CACHE_TTL_HOURS and metered against daily quotas once the
+// server wraps the provider with withAiCache (cache.js) and withAiMetering (usage.js).
+// Returns null when AI is disabled.
+const createAiProvider = () => {
+  const mode = (process.env.AI_PROVIDER || 'auto').toLowerCase();
+  const apiKey = process.env.OPENAI_API_KEY;
+  const baseURL = process.env.AI_BASE_URL;
+  const model = process.env.AI_MODEL || DEFAULT_MODEL;
+
+  switch (mode) {
+    case 'openai':
+      if (!apiKey && !baseURL) {
+        throw new Error('AI_PROVIDER=openai needs OPENAI_API_KEY or AI_BASE_URL');
+      }
+      return createOpenAiProvider({ apiKey, baseURL, model });
+
+    case 'stub':
+      return createStubProvider();
+
+    case 'none':
+      return null;
+
+    case 'auto':
+      if (apiKey || baseURL) {
+        return createOpenAiProvider({ apiKey, baseURL, model });
+      }
+      console.warn('⚠️ OPENAI_API_KEY is not set. AI features will be disabled (set AI_PROVIDER=stub for offline AI).');
+      return null;
+
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${mode}" (expected auto, openai, stub or none)`);
+  }
+};
+
+module.exports = { createAiProvider };
@@ -0,0 +1,66 @@
+// AI provider backed by the OpenAI chat completions API. Any OpenAI-compatible
+// server (a self-hosted model behind vLLM, Ollama, LM Studio, ...) works through baseURL.
+const { OpenAI } = require('openai');
+const { buildJudgeMessages, parseJudgement } = require('./judge');
+const { hintTiers } = require('../puzzles/catalog');
+
+const createOpenAiProvider = ({ apiKey, baseURL, model }) => {
+  // Self-hosted servers usually ignore the key, but the client insists on one
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseURL && { baseURL }) });
+
+  // context.onUsage, when given, receives the token counts of the call
+  const complete = async (messages, { maxTokens, temperature, responseFormat }, context) => {
+    const completion = await client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(responseFormat && { response_format: responseFormat })
+    });
+    context?.onUsage?.({
+      promptTokens: completion.usage?.prompt_tokens || 0,
+      completionTokens: completion.usage?.completion_tokens || 0
+    });
+    return completion.choices[0].message.content.trim();
+  };
+
+  return {
+    name: baseURL ? `OpenAI-compatible (${baseURL})` : 'OpenAI',
+    model,
+
+    // JSON mode keeps the reply machine-readable; parseJudgement still checks it
+    async judgeAnswer(puzzle, answer, context) {
+      const reply = await complete(buildJudgeMessages(puzzle, answer), {
+        maxTokens: 100,
+        temperature: 0,
+        responseFormat: { type: 'json_object' }
+      }, context);
+      return parseJudgement(reply);
+    },
+
+    // Tier 1 is a gentle nudge and the last tier nearly solves the puzzle
+    generateHint(puzzle, tier, context) {
+      const totalTiers = hintTiers(puzzle).length || 1;
+      return complete([
+        {
+          role: 'system',
+          content: 'You are a helpful tutor. Give hints that guide users toward the answer without giving it away.'
+        },
+        {
+          role: 'user',
+          content: `Give hint ${tier} of ${totalTiers} for: ${puzzle.prompt}\n` +
+            'Hint 1 is a gentle nudge; each later hint is more direct, and the last one nearly gives the solution away without stating the answer.'
+        }
+      ], { maxTokens: 80, temperature: 0.7 }, context);
+    },
+
+    explainSolution(puzzle, context) {
+      return complete([
+        { role: 'system', content: 'Explain puzzle solutions clearly and educationally.' },
+        { role: 'user', content: `Explain this solution: ${puzzle.prompt} Answer: ${puzzle.correctAnswers[0]}` }
+      ], { maxTokens: 120, temperature: 0.3 }, context);
+    }
+  };
+};
+
+module.exports = { createOpenAiProvider };
@@ -0,0 +1,41 @@
+// Deterministic offline provider for development and tests. It never calls a
+// model: the same puzzle and answer always produce the same result.
+const { normalizeText } = require('../validators/normalize');
+
+// Rough token estimate (about four characters per token) so usage reports
+// have something to show in development
+const reportUsage = (context, input, output) => {
+  context?.onUsage?.({ promptTokens: Math.ceil(input.length / 4), completionTokens: Math.ceil(output.length / 4) });
+  return output;
+};
+
+const createStubProvider = () => ({
+  name: 'Stub',
+  model: 'stub',
+
+  // Accepts answers that contain one of the correct answers as a whole phrase,
+  // e.g. 'I think it is a towel' for 'towel'
+  async judgeAnswer(puzzle, answer, context) {
+    const padded = ` ${normalizeText(answer)} `;
+    const match = puzzle.correctAnswers.find(correct => padded.includes(` ${normalizeText(correct)} `));
+    const judgement = match
+      ? { verdict: 'correct', confidence: 0.9, reason: `[stub] Your answer mentions "${match}".` }
+      : { verdict: 'incorrect', confidence: 0.9, reason: '[stub] Your answer does not mention any accepted answer.' };
+    reportUsage(context, `${puzzle.prompt} ${answer}`, judgement.reason);
+    return judgement;
+  },
+
+  // Later tiers reveal more of the answer
+  async generateHint(puzzle, tier, context) {
+    const answer = puzzle.correctAnswers[0];
+    const shown = answer.slice(0, Math.min(tier, answer.length - 1));
+    return reportUsage(context, puzzle.prompt,
+      `[stub] Hint ${tier}: the answer has ${answer.length} character${answer.length === 1 ? '' : 's'} and starts with "${shown || answer[0]}".`);
+  },
+
+  async explainSolution(puzzle, context) {
+    return reportUsage(context, puzzle.prompt, `[stub] The answer to "${puzzle.title}" is ${puzzle.correctAnswers[0]}.`);
+  }
+});
+
+module.exports = { createStubProvider };
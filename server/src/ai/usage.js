@@ -0,0 +1,124 @@
+// AI usage metering: daily call quotas per user and overall, token accounting
+// for every call, and the spend report behind /api/admin/ai-usage.
+//
+//   AI_DAILY_USER_LIMIT        calls per user per UTC day (default 50, 0 = unlimited)
+//   AI_DAILY_GLOBAL_LIMIT      calls across all users per UTC day (default 2000, 0 = unlimited)
+//   AI_PROMPT_COST_PER_1K      USD per 1000 prompt tokens (default 0.0005)
+//   AI_COMPLETION_COST_PER_1K  USD per 1000 completion tokens (default 0.0015)
+const { numberSetting } = require('../settings');
+
+class AiQuotaExceededError extends Error {
+  constructor(scope, limit) {
+    super(`Daily ${scope} AI quota of ${limit} calls reached`);
+    this.name = 'AiQuotaExceededError';
+    this.scope = scope;
+    this.limit = limit;
+  }
+}
+
+const utcDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Wrap a provider with the same interface. Calls over quota are recorded and
+// rejected with AiQuotaExceededError before they reach the provider.
+//
+// Each call is reserved (recorded as 'pending') before the quota is counted,
+// so concurrent requests see each other and can't go past a limit together.
+// Under contention a call that would just have fit may be refused instead.
+const withAiMetering = (ai, storage) => {
+  if (!ai) return ai;
+  const userLimit = numberSetting('AI_DAILY_USER_LIMIT', 50, { allowZero: true });
+  const globalLimit = numberSetting('AI_DAILY_GLOBAL_LIMIT', 2000, { allowZero: true });
+
+  // The counts include the caller's own reservation
+  const checkQuota = async (userId, day) => {
+    if (globalLimit && await storage.countAiCalls({ day }) > globalLimit) {
+      throw new AiQuotaExceededError('global', globalLimit);
+    }
+    if (userLimit && userId && await storage.countAiCalls({ day, userId }) > userLimit) {
+      throw new AiQuotaExceededError('per-user', userLimit);
+    }
+  };
+
+  const metered = async (kind, context = {}, call) => {
+    const day = utcDay();
+    const record = {
+      userId: context.userId ? String(context.userId) : null,
+      route: context.route || 'unknown',
+      kind,
+      model: ai.model,
+      day,
+      promptTokens: 0,
+      completionTokens: 0
+    };
+    const reservation = await storage.recordAiUsage({ ...record, outcome: 'pending', createdAt: new Date() });
+    const save = (outcome) => storage.saveAiUsage({ ...reservation, ...record, outcome });
+
+    try {
+      await checkQuota(record.userId, day);
+    } catch (error) {
+      await save('over-quota');
+      throw error;
+    }
+
+    const onUsage = ({ promptTokens, completionTokens }) => {
+      record.promptTokens = promptTokens;
+      record.completionTokens = completionTokens;
+    };
+    try {
+      const result = await call({ ...context, onUsage });
+      await save('ok');
+      return result;
+    } catch (error) {
+      await save('failed');
+      throw error;
+    }
+  };
+
+  return {
+    ...ai,
+    judgeAnswer: (puzzle, answer, context) =>
+      metered('judgment', context, (ctx) => ai.judgeAnswer(puzzle, answer, ctx)),
+    generateHint: (puzzle, tier, context) =>
+      metered('hint', context, (ctx) => ai.generateHint(puzzle, tier, ctx)),
+    explainSolution: (puzzle, context) =>
+      metered('explanation', context, (ctx) => ai.explainSolution(puzzle, ctx))
+  };
+};
+
+// Totals per day and route, plus overall totals
+const summarizeUsage = (records) => {
+  const promptCost = numberSetting('AI_PROMPT_COST_PER_1K', 0.0005, { allowZero: true });
+  const completionCost = numberSetting('AI_COMPLETION_COST_PER_1K', 0.0015, { allowZero: true });
+  const emptyTotals = () => ({ calls: 0, failed: 0, overQuota: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 });
+
+  const add = (totals, record) => {
+    if (record.outcome === 'over-quota') {
+      totals.overQuota++;
+      return;
+    }
+    totals.calls++;
+    if (record.outcome === 'failed') totals.failed++;
+    totals.promptTokens += record.promptTokens;
+    totals.completionTokens += record.completionTokens;
+    totals.costUsd += (record.promptTokens / 1000) * promptCost + (record.completionTokens / 1000) * completionCost;
+  };
+
+  const rows = new Map();
+  const totals = emptyTotals();
+  records.forEach(record => {
+    const key = `${record.day} ${record.route}`;
+    if (!rows.has(key)) rows.set(key, { day: record.day, route: record.route, ...emptyTotals() });
+    add(rows.get(key), record);
+    add(totals, record);
+  });
+
+  const roundCost = (entry) => ({ ...entry, costUsd: Math.round(entry.costUsd * 1e6) / 1e6 });
+  return {
+    rows: [...rows.values()]
+      .sort((a, b) => b.day.localeCompare(a.day) || a.route.localeCompare(b.route))
+      .map(roundCost),
+    totals: roundCost(totals)
+  };
+};
+
+module.exports = { withAiMetering, summarizeUsage, AiQuotaExceededError, utcDay };
@@ -0,0 +1,49 @@
+// Password reset tokens: single use, expire after PASSWORD_RESET_TTL_MINUTES
+// (default 60), and stored only as a hash like refresh tokens.
+const { newSecret, hashSecret, sameHash, splitToken } = require('./tokens');
+const { numberSetting } = require('../settings');
+
+const createPasswordResets = (storage) => {
+  const ttlMinutes = numberSetting('PASSWORD_RESET_TTL_MINUTES', 60);
+
+  const isUsable = (reset, now = new Date()) =>
+    !!reset && !reset.usedAt && new Date(reset.expiresAt) > now;
+
+  return {
+    ttlMinutes,
+
+    // Issue a reset token for a user; earlier tokens stay valid until used or expired
+    async issue(userId) {
+      const now = new Date();
+      const secret = newSecret();
+      const reset = await storage.createPasswordReset({
+        userId: String(userId),
+        tokenHash: hashSecret(secret),
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+        usedAt: null
+      });
+      return `${reset._id}.${secret}`;
+    },
+
+    // Spend a reset token. Returns the user id it was issued for, or null when the
+    // token is unknown, expired or already used. Every other outstanding token
+    // of that user is spent with it.
+    async consume(token) {
+      const [resetId, secret] = splitToken(token);
+      if (!resetId) return null;
+
+      const now = new Date();
+      const reset = await storage.getPasswordReset(resetId);
+      if (!isUsable(reset, now) || !sameHash(hashSecret(secret), reset.tokenHash)) return null;
+
+      const outstanding = (await storage.listPasswordResets(reset.userId)).filter(r => isUsable(r, now));
+      for (const r of outstanding) {
+        await storage.savePasswordReset({ ...r, usedAt: now });
+      }
+      return reset.userId;
+    }
+  };
+};
+
+module.exports = { createPasswordResets };
@@ -0,0 +1,29 @@
+// In-memory fixed-window rate limiter, per key (an IP address, an email...).
+// Counts live in this process only, so each server instance limits on its own.
+const createRateLimiter = ({ limit, windowMs }) => {
+  const windows = new Map();
+
+  // Drop finished windows once the map grows, so one-off keys don't pile up
+  const sweep = (now) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  return {
+    // Count one request for key; false when key is already at the limit
+    hit(key, now = Date.now()) {
+      if (windows.size > 10000) sweep(now);
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      if (window.count >= limit) return false;
+      window.count++;
+      return true;
+    }
+  };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,108 @@
+// Sign-in sessions: short-lived JWT access tokens plus a rotating refresh token
+// per device, kept server-side so a session can be listed and revoked.
+//
+// Refresh tokens look like `<sessionId>.<secret>`. Only a hash of the secret is
+// stored, and every refresh replaces it. Presenting an already-rotated token
+// means it was copied, so the whole session is revoked.
+const jwt = require('jsonwebtoken');
+const { newSecret, hashSecret, sameHash, splitToken } = require('./tokens');
+const { numberSetting } = require('../settings');
+
+const createAuthSessions = (storage, { secret }) => {
+  const accessTtlMinutes = numberSetting('ACCESS_TOKEN_TTL_MINUTES', 15);
+  const refreshTtlDays = numberSetting('REFRESH_TOKEN_TTL_DAYS', 30);
+
+  const isActive = (session, now = new Date()) =>
+    !!session && !session.revokedAt && new Date(session.expiresAt) > now;
+
+  const tokensFor = (session, refreshSecret) => ({
+    token: jwt.sign({ userId: String(session.userId), sid: session._id }, secret, { expiresIn: `${accessTtlMinutes}m` }),
+    refreshToken: `${session._id}.${refreshSecret}`
+  });
+
+  return {
+    // Sign a user in on the device making this request
+    async start(userId, req) {
+      const now = new Date();
+      const refreshSecret = newSecret();
+      const session = await storage.createAuthSession({
+        userId: String(userId),
+        refreshTokenHash: hashSecret(refreshSecret),
+        userAgent: String(req.get('user-agent') || '').slice(0, 200),
+        ip: req.ip || '',
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + refreshTtlDays * 24 * 60 * 60 * 1000),
+        revokedAt: null
+      });
+      return tokensFor(session, refreshSecret);
+    },
+
+    // Rotate a refresh token. Returns new tokens, or null when the token is unknown,
+    // expired, revoked or was already used.
+    async refresh(refreshToken, req) {
+      const [sessionId, refreshSecret] = splitToken(refreshToken);
+      if (!sessionId || !refreshSecret) return null;
+
+      const session = await storage.getAuthSession(sessionId);
+      if (!isActive(session)) return null;
+
+      if (!sameHash(hashSecret(refreshSecret), session.refreshTokenHash)) {
+        console.warn(`⚠️ Reused refresh token for session ${session._id}; revoking it`);
+        session.revokedAt = new Date();
+        await storage.saveAuthSession(session);
+        return null;
+      }
+
+      const nextSecret = newSecret();
+      session.refreshTokenHash = hashSecret(nextSecret);
+      session.lastUsedAt = new Date();
+      session.ip = req.ip || session.ip;
+      await storage.saveAuthSession(session);
+      return tokensFor(session, nextSecret);
+    },
+
+    // { userId, sessionId } for a valid access token of a live session, otherwise null
+    async verifyAccessToken(token) {
+      let decoded;
+      try {
+        decoded = jwt.verify(token, secret);
+      } catch {
+        return null;
+      }
+      const session = decoded.sid ? await storage.getAuthSession(decoded.sid) : null;
+      if (!isActive(session) || session.userId !== String(decoded.userId)) return null;
+      return { userId: String(decoded.userId), sessionId: session._id };
+    },
+
+    // A user's signed-in devices, most recently used first
+    async list(userId) {
+      const now = new Date();
+      return (await storage.listAuthSessions(userId))
+        .filter(session => isActive(session, now))
+        .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+        .map(({ _id, userAgent, ip, createdAt, lastUsedAt, expiresAt }) => ({ id: _id, userAgent, ip, createdAt, lastUsedAt, expiresAt }));
+    },
+
+    // Revoke one of the user's sessions; false if it isn't theirs or is already gone
+    async revoke(userId, sessionId) {
+      const session = await storage.getAuthSession(sessionId);
+      if (!isActive(session) || session.userId !== String(userId)) return false;
+      session.revokedAt = new Date();
+      await storage.saveAuthSession(session);
+      return true;
+    },
+
+    // Sign the user out everywhere, e.g. after a password change
+    async revokeAll(userId) {
+      const sessions = (await storage.listAuthSessions(userId)).filter(session => isActive(session));
+      for (const session of sessions) {
+        session.revokedAt = new Date();
+        await storage.saveAuthSession(session);
+      }
+      return sessions.length;
+    }
+  };
+};
+
+module.exports = { createAuthSessions };
@@ -0,0 +1,17 @@
+// Helpers shared by the refresh and password reset tokens. Both look like
+// `<recordId>.<secret>`; only a hash of the secret is ever stored.
+const crypto = require('crypto');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// [recordId, secret], or [] when the token is malformed
+const splitToken = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  return parts.length === 2 && parts[0] && parts[1] ? parts : [];
+};
+
+module.exports = { newSecret, hashSecret, sameHash, splitToken };
@@ -0,0 +1,84 @@
+// A/B experiments for AI-generated vs curated content. Users are assigned to a
+// variant by hashing the experiment id with their user id, so the same user
+// always lands in the same variant without storing the assignment. Each first
+// exposure per user and puzzle is recorded, and a later correct answer marks
+// it solved, which is what the admin report measures.
+const crypto = require('crypto');
+const { median } = require('../stats/math');
+
+// Weights are percentages and must add up to 100
+const EXPERIMENTS = {
+  'hint-source': {
+    description: 'Curated hint vs AI-generated hint on /hint',
+    variants: [{ name: 'curated', weight: 70 }, { name: 'ai', weight: 30 }]
+  },
+  'skip-explanation-source': {
+    description: 'Curated explanation vs AI-generated explanation on /skip',
+    variants: [{ name: 'curated', weight: 80 }, { name: 'ai', weight: 20 }]
+  }
+};
+
+// Stable bucket 0-99 for this user within this experiment
+const bucketFor = (experimentId, userId) => {
+  const digest = crypto.createHash('sha256').update(`${experimentId}:${userId}`).digest();
+  return digest.readUInt32BE(0) % 100;
+};
+
+const assignVariant = (experimentId, userId) => {
+  if (!Object.hasOwn(EXPERIMENTS, experimentId)) throw new Error(`Unknown experiment "${experimentId}"`);
+  const experiment = EXPERIMENTS[experimentId];
+
+  const bucket = bucketFor(experimentId, userId);
+  let threshold = 0;
+  for (const variant of experiment.variants) {
+    threshold += variant.weight;
+    if (bucket < threshold) return variant.name;
+  }
+  return experiment.variants[experiment.variants.length - 1].name;
+};
+
+const createExperiments = (storage) => ({
+  assign: assignVariant,
+
+  // Record the variant actually shown. Users assigned to 'ai' who got curated
+  // text because AI was unavailable are recorded as 'curated'.
+  recordExposure(experimentId, variant, userId, puzzleId) {
+    return storage.saveExperimentExposure({
+      experimentId,
+      variant,
+      userId: String(userId),
+      puzzleId,
+      shownAt: new Date(),
+      solvedAt: null
+    });
+  },
+
+  recordSolve(userId, puzzleId) {
+    return storage.markExperimentExposuresSolved(userId, puzzleId, new Date());
+  },
+
+  // Per variant: users and puzzles exposed, how many of those puzzles were
+  // solved afterwards, and the median time from exposure to solve
+  async report(experimentId) {
+    const experiment = EXPERIMENTS[experimentId];
+    const exposures = await storage.listExperimentExposures(experimentId);
+
+    const variants = experiment.variants.map(({ name, weight }) => {
+      const shown = exposures.filter(e => e.variant === name);
+      const solved = shown.filter(e => e.solvedAt);
+      return {
+        variant: name,
+        weight,
+        users: new Set(shown.map(e => e.userId)).size,
+        exposures: shown.length,
+        solved: solved.length,
+        solveRate: shown.length ? Math.round((solved.length / shown.length) * 1000) / 1000 : null,
+        medianTimeToSolveMs: median(solved.map(e => new Date(e.solvedAt) - new Date(e.shownAt)))
+      };
+    });
+
+    return { experiment: experimentId, description: experiment.description, variants };
+  }
+});
+
+module.exports = { EXPERIMENTS, assignVariant, createExperiments };
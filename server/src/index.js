@@ -1,17 +1,57 @@
 const express = require('express');
 const cors = require('cors');
-const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const { OpenAI } = require('openai');
 require('dotenv').config();
-
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-} else {
-  console.warn('⚠️ OPENAI_API_KEY is not set. OpenAI features will be disabled.');
-}
+const { createStorage, newStreak, newLevelProgress, newPuzzleState } = require('./storage');
+const { loadPuzzles } = require('./puzzles/loader');
+const { createPuzzleCatalog, toPublicPuzzle, hintTiers } = require('./puzzles/catalog');
+const { createAdminRouter } = require('./routes/admin');
+const { checkAnswer } = require('./validators');
+const { createAiProvider } = require('./ai');
+const { withAiCache } = require('./ai/cache');
+const { withAiMetering, AiQuotaExceededError } = require('./ai/usage');
+const { judgeAnswer } = require('./ai/judge');
+const { createExperiments } = require('./experiments');
+const { createAuthSessions } = require('./auth/sessions');
+const { createPasswordResets } = require('./auth/passwordResets');
+const { createRateLimiter } = require('./auth/rateLimit');
+const { numberSetting } = require('./settings');
+const { createMailTransport } = require('./mail');
+const { GRANULARITIES, MAX_RANGE_DAYS, isDay, buildActivity } = require('./stats/activity');
+const { buildCategoryStats } = require('./stats/categories');
+const {
+  HEARTBEAT_INTERVAL_MS,
+  END_REASONS,
+  newPlaySession,
+  isStale,
+  creditTime,
+  endSession,
+  summarizePlayTime
+} = require('./sessions');
+const {
+  FREEZE_EARN_EVERY,
+  MAX_FREEZES,
+  isValidTimeZone,
+  resolveTimeZone,
+  localDay,
+  addDays,
+  daysBetween,
+  weekdayIndex,
+  settleMissedDays,
+  recordStreakDay
+} = require('./streaks');
+
+// Wrapped with the storage-backed cache and quota metering once storage is up (see start)
+let ai = createAiProvider();
+
+// Quota hits are expected and already fall back to curated content or local validation
+const logAiError = (label, error) => {
+  if (error instanceof AiQuotaExceededError) {
+    console.log(`⏳ ${label} skipped: ${error.message}`);
+  } else {
+    console.error(`${label} error:`, error);
+  }
+};
 
 console.log('🚀 Starting BrainKick server...');
 
@@ -21,9 +61,20 @@ const JWT_SECRET = process.env.JWT_SECRET || (() => {
   return 'dev-secret-change-me';
 })();
 
+// Password reset emails link here
+const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+// Outgoing mail transport; created in start()
+let mail = null;
+
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For (hop count or trusted addresses)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 app.use(cors({
   origin: true,
   credentials: true
@@ -36,71 +87,14 @@ app.options('*', cors());
 
 app.use(express.json());
 
-// Connect to MongoDB
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/brainkick')
-  .then(() => console.log('✅ Connected to MongoDB'))
-  .catch(err => {
-    console.log('❌ MongoDB connection failed, using in-memory storage');
-    console.log('   To use full features, install MongoDB or use MongoDB Atlas');
-  });
-
-// User Schema
-const userSchema = new mongoose.Schema({
-  username: { type: String, required: true, unique: true },
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now }
-});
-
-userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
-  this.password = await bcrypt.hash(this.password, 10);
-  next();
-});
-
-const levelProgressSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  category: { type: String, required: true },
-  level: { type: Number, required: true },
-  completed: { type: Boolean, default: false },
-  puzzlesSolved: { type: Number, default: 0 },
-  totalPuzzles: { type: Number, default: 5 }, // 5 puzzles per level
-  solvedPuzzleIds: [{ type: String }], // Track which specific puzzles were solved
-  completedAt: { type: Date },
-  createdAt: { type: Date, default: Date.now }
-});
+// Storage backend (MongoDB, data file or in-memory), selected once in start()
+let storage = null;
 
-// Create compound index for efficient queries
-levelProgressSchema.index({ userId: 1, category: 1, level: 1 }, { unique: true });
-
-const LevelProgress = mongoose.model('LevelProgress', levelProgressSchema);
-
-// ADD in-memory storage for level progress (add after other memory arrays):
-let memoryLevelProgress = [];
-
-const User = mongoose.model('User', userSchema);
-
-// Streak Schema
-const streakSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  currentStreak: { type: Number, default: 0 },
-  longestStreak: { type: Number, default: 0 },
-  lastActivityDate: { type: Date },
-  totalPuzzlesSolved: { type: Number, default: 0 },
-  solvedPuzzles: [{ type: String }], // Track which puzzles were solved to avoid duplicates
-  // Keep a small history of solves with timestamps so we can build weekly charts
-  solvedHistory: [{ puzzleId: String, solvedAt: Date }],
-  // Track total time spent on puzzles
-  totalTimeSpent: { type: Number, default: 0 },
-  updatedAt: { type: Date, default: Date.now }
-});
-
-const Streak = mongoose.model('Streak', streakSchema);
+// Signed-in devices: access tokens, rotating refresh tokens and revocation; created in start()
+let authSessions = null;
 
-// In-memory fallback storage
-let memoryUsers = [];
-let memoryStreaks = [];
-let userIdCounter = 1;
+// Single-use password reset tokens; created in start()
+let passwordResets = null;
 
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
@@ -112,899 +106,168 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-  // Normalize to string so in-memory storage comparisons are consistent
-  req.userId = String(decoded.userId);
+    // Expired, forged, or from a session that was signed out
+    const auth = await authSessions.verifyAccessToken(token);
+    if (!auth) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    req.userId = auth.userId;
+    req.authSessionId = auth.sessionId;
+    next();
+  } catch (error) {
+    console.error('Token check error:', error);
+    res.status(500).json({ error: 'Failed to check token' });
+  }
+};
+
+// Role middleware, layered after authenticateToken. Roles are read from storage
+// on every request so a demotion takes effect without waiting for token expiry.
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const user = await storage.findUserById(req.userId);
+    if (!user || !roles.includes(user.role || 'user')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    req.userRole = user.role;
     next();
   } catch (error) {
-    return res.status(403).json({ error: 'Invalid token' });
+    console.error('Role check error:', error);
+    res.status(500).json({ error: 'Failed to check permissions' });
   }
 };
 
+// User fields returned by register and login
+const toPublicUser = (user) => ({
+  id: String(user._id),
+  username: user.username,
+  email: user.email,
+  role: user.role || 'user',
+  timeZone: user.timeZone || null
+});
+
+// Streak days are counted in the user's own timezone (UTC until one is known)
+const userTimeZone = async (userId) => resolveTimeZone((await storage.findUserById(userId))?.timeZone);
+
 // Helper function to update streak (only for NEW puzzles)
 // Now accepts puzzleId and will NOT increment totals if puzzle was already solved by the user.
-const updateStreak = async (userId, puzzleId) => {
+const updateStreak = async (userId, puzzleId, hintsUsed = 0) => {
   try {
-    const today = new Date().toDateString();
-    
-    if (mongoose.connection.readyState === 1) {
-      // MongoDB is available
-      // Convert string ID to ObjectId if needed
-      const mongoUserId = mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : userId;
-      let streak = await Streak.findOne({ userId: mongoUserId });
-
-      if (!streak) {
-        streak = new Streak({ userId: mongoUserId, totalPuzzlesSolved: 0, solvedPuzzles: [] }); // Ensure it starts at 0
-      }
+    const streak = (await storage.getStreak(userId)) || newStreak(userId);
 
-      // If this puzzle was already marked solved, do NOT increment totals or modify streak.
-      if (puzzleId && Array.isArray(streak.solvedPuzzles) && streak.solvedPuzzles.includes(puzzleId)) {
-        console.log(`ℹ️ Puzzle ${puzzleId} already counted for user ${userId}; skipping streak/progress update.`);
-        return;
-      }
+    // If this puzzle was already marked solved, do NOT increment totals or modify streak.
+    if (puzzleId && Array.isArray(streak.solvedPuzzles) && streak.solvedPuzzles.includes(puzzleId)) {
+      console.log(`ℹ️ Puzzle ${puzzleId} already counted for user ${userId}; skipping streak/progress update.`);
+      return;
+    }
 
-      const lastActivity = streak.lastActivityDate?.toDateString();
+    // Continues from yesterday (or a frozen day), restarts after an uncovered gap,
+    // unchanged for a second solve today
+    recordStreakDay(streak, new Date(), await userTimeZone(userId));
+
+    // Increment total puzzles solved and record which puzzle was solved
+    streak.totalPuzzlesSolved = (streak.totalPuzzlesSolved || 0) + 1;
+    if (puzzleId) {
+      streak.solvedPuzzles = streak.solvedPuzzles || [];
+      streak.solvedPuzzles.push(puzzleId);
+      streak.solvedHistory = streak.solvedHistory || [];
+      streak.solvedHistory.push({ puzzleId, solvedAt: new Date(), hintsUsed });
+    }
 
-      if (lastActivity !== today) {
-        const yesterday = new Date(Date.now() - 86400000).toDateString();
+    streak.updatedAt = new Date();
 
-        if (lastActivity === yesterday) {
-          // Yesterday - continue streak
-          streak.currentStreak++;
-        } else if (lastActivity) {
-          // Gap in activity - reset streak to 1
-          streak.currentStreak = 1;
-        } else {
-          // First activity ever
-          streak.currentStreak = 1;
-        }
+    await storage.saveStreak(streak);
+    console.log(`✅ Stats updated for user ${userId}: ${streak.totalPuzzlesSolved} total, ${streak.currentStreak} streak`);
+  } catch (error) {
+    console.error('Streak update error:', error);
+  }
+};
 
-        streak.longestStreak = Math.max(streak.longestStreak, streak.currentStreak);
-        streak.lastActivityDate = new Date();
-      }
+const updateLevelProgress = async (userId, category, level, puzzleId) => {
+  try {
+    const progress = (await storage.getLevelProgress(userId, category, level))
+      || newLevelProgress(userId, category, level);
+    // Levels can grow or shrink through the admin API, so size them from the catalog
+    progress.totalPuzzles = catalog.level(category, level).length;
+
+    // Check if this puzzle is already counted
+    if (progress.solvedPuzzleIds.includes(puzzleId)) {
+      console.log(`ℹ️ Level progress already counted for puzzle ${puzzleId} for user ${userId}`);
+      return;
+    }
 
-      // Increment total puzzles solved and record which puzzle was solved
-      streak.totalPuzzlesSolved = (streak.totalPuzzlesSolved || 0) + 1;
-      if (puzzleId) {
-        streak.solvedPuzzles = streak.solvedPuzzles || [];
-  streak.solvedPuzzles.push(puzzleId);
-  streak.solvedHistory = streak.solvedHistory || [];
-  streak.solvedHistory.push({ puzzleId, solvedAt: new Date() });
-      }
+    progress.solvedPuzzleIds.push(puzzleId);
+    progress.puzzlesSolved = progress.solvedPuzzleIds.length;
 
-      streak.updatedAt = new Date();
+    // Check if level is completed (all puzzles solved)
+    if (progress.puzzlesSolved >= progress.totalPuzzles && !progress.completed) {
+      progress.completed = true;
+      progress.completedAt = new Date();
+      console.log(`🎉 Level completed: ${category} Level ${level} by user ${userId}`);
+    }
 
-      await streak.save();
-      console.log(`✅ Stats updated for user ${userId}: ${streak.totalPuzzlesSolved} total, ${streak.currentStreak} streak`);
+    await storage.saveLevelProgress(progress);
+  } catch (error) {
+    console.error('Level progress update error:', error);
+  }
+};
 
-    } else {
-      // Use memory storage
-  let streak = memoryStreaks.find(s => String(s.userId) === String(userId));
-      if (!streak) {
-        streak = {
-          userId,
-          currentStreak: 0,
-          longestStreak: 0,
-          lastActivityDate: null,
-          totalPuzzlesSolved: 0,
-          solvedPuzzles: []
-        };
-        memoryStreaks.push(streak);
-      }
+// Attempt state per user and puzzle. Status only moves forward:
+// unseen -> attempted -> hinted -> skipped -> solved
+const PUZZLE_STATUSES = ['unseen', 'attempted', 'hinted', 'skipped', 'solved'];
 
-      // If already solved, skip
-      if (puzzleId && Array.isArray(streak.solvedPuzzles) && streak.solvedPuzzles.includes(puzzleId)) {
-        console.log(`ℹ️ Memory: Puzzle ${puzzleId} already counted for user ${userId}; skipping.`);
-        return;
-      }
+// A skipped puzzle can only earn credit in a later review pass, once this much time has passed
+const REVIEW_DELAY_MS = 12 * 60 * 60 * 1000;
 
-      const today = new Date().toDateString();
-      const lastActivity = streak.lastActivityDate?.toDateString();
+const getPuzzleState = async (userId, puzzleId) =>
+  (await storage.getPuzzleState(userId, puzzleId)) || newPuzzleState(userId, puzzleId);
 
-      if (lastActivity !== today) {
-        const yesterday = new Date(Date.now() - 86400000).toDateString();
+const advanceStatus = (puzzleState, status) => {
+  if (PUZZLE_STATUSES.indexOf(status) > PUZZLE_STATUSES.indexOf(puzzleState.status)) {
+    puzzleState.status = status;
+  }
+};
 
-        if (lastActivity === yesterday) {
-          streak.currentStreak++;
-        } else if (lastActivity) {
-          streak.currentStreak = 1;
-        } else {
-          streak.currentStreak = 1;
-        }
+const reviewAvailableAt = (puzzleState) =>
+  new Date(new Date(puzzleState.skippedAt).getTime() + REVIEW_DELAY_MS);
 
-        streak.longestStreak = Math.max(streak.longestStreak, streak.currentStreak);
-        streak.lastActivityDate = new Date();
-      }
+// Solving a skipped puzzle only counts once its review becomes available
+const canEarnCredit = (puzzleState) =>
+  puzzleState.status !== 'skipped' || Date.now() >= reviewAvailableAt(puzzleState).getTime();
 
-      // Increment total and mark solved
-      streak.totalPuzzlesSolved++;
-      if (puzzleId) {
-        streak.solvedPuzzles = streak.solvedPuzzles || [];
-  streak.solvedPuzzles.push(puzzleId);
-  streak.solvedHistory = streak.solvedHistory || [];
-  streak.solvedHistory.push({ puzzleId, solvedAt: new Date() });
-      }
+// Client-reported time on a puzzle; anything that isn't a sane duration is dropped
+const MAX_ELAPSED_MS = 24 * 60 * 60 * 1000;
+const parseElapsedMs = (value) =>
+  (typeof value === 'number' && Number.isFinite(value) && value >= 0 ? Math.min(Math.round(value), MAX_ELAPSED_MS) : null);
 
-      console.log(`✅ Memory stats updated for user ${userId}: ${streak.totalPuzzlesSolved} total, ${streak.currentStreak} streak`);
-    }
+// Every validate, hint and skip call leaves an attempt record. Failing to write one
+// must never fail the request itself.
+const recordAttempt = async (userId, puzzle, action, fields) => {
+  try {
+    await storage.recordAttempt({
+      userId,
+      puzzleId: puzzle._id,
+      category: puzzle.category,
+      level: puzzle.level,
+      action,
+      createdAt: new Date(),
+      ...fields
+    });
   } catch (error) {
-    console.error('Streak update error:', error);
+    console.error('Attempt record error:', error);
   }
 };
 
-const updateLevelProgress = async (userId, category, level, puzzleId) => {
-  try {
-    if (mongoose.connection.readyState === 1) {
-      // MongoDB is available
-      // Convert string ID to ObjectId if needed
-      const mongoUserId = mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : userId;
-      let progress = await LevelProgress.findOne({ userId: mongoUserId, category, level });
-      
-      if (!progress) {
-        progress = new LevelProgress({
-          userId: mongoUserId,
-          category,
-          level,
-          puzzlesSolved: 0,
-          totalPuzzles: 5,
-          completed: false,
-          solvedPuzzleIds: []
-        });
-      }
-      
-      // Check if this puzzle is already counted
-      if (!progress.solvedPuzzleIds.includes(puzzleId)) {
-        progress.solvedPuzzleIds.push(puzzleId);
-        progress.puzzlesSolved = progress.solvedPuzzleIds.length;
-        
-        // Check if level is completed (all 5 puzzles solved)
-        if (progress.puzzlesSolved >= progress.totalPuzzles && !progress.completed) {
-          progress.completed = true;
-          progress.completedAt = new Date();
-          console.log(`🎉 Level completed: ${category} Level ${level} by user ${userId}`);
-        }
+const ATTEMPT_ACTIONS = ['validate', 'hint', 'skip'];
 
-        await progress.save();
-      } else {
-        console.log(`ℹ️ Level progress already counted for puzzle ${puzzleId} for user ${userId}`);
-      }
-      
-    } else {
-      // Memory storage
-      let progress = memoryLevelProgress.find(p => 
-        String(p.userId) === String(userId) && p.category === category && p.level === level
-      );
-      
-      if (!progress) {
-        progress = {
-          userId: String(userId),
-          category,
-          level,
-          puzzlesSolved: 0,
-          totalPuzzles: 5,
-          completed: false,
-          solvedPuzzleIds: [],
-          completedAt: null,
-          createdAt: new Date()
-        };
-        memoryLevelProgress.push(progress);
-      }
-      
-      // Check if this puzzle is already counted
-      if (!progress.solvedPuzzleIds.includes(puzzleId)) {
-        progress.solvedPuzzleIds.push(puzzleId);
-        progress.puzzlesSolved = progress.solvedPuzzleIds.length;
-
-        // Check if level is completed
-        if (progress.puzzlesSolved >= progress.totalPuzzles && !progress.completed) {
-          progress.completed = true;
-          progress.completedAt = new Date();
-          console.log(`🎉 Level completed: ${category} Level ${level} by user ${userId}`);
-        }
-      } else {
-        console.log(`ℹ️ Memory: Level progress already counted for puzzle ${puzzleId} for user ${userId}`);
-      }
-    }
-  } catch (error) {
-    console.error('Level progress update error:', error);
-  }
-};
+// Categories and levels shown to players
+const CATEGORIES = ['math', 'logic', 'riddles', 'patterns'];
+const LEVELS = [1, 2, 3];
 
-// Enhanced puzzles with more variety and complexity
-const puzzles = {
-  math: {
-    1: [
-      {
-        _id: 'math-1-0',
-        title: 'Basic Addition',
-        prompt: 'What is 15 + 27?',
-        category: 'math',
-        level: 1,
-        position: 0,
-        correctAnswers: ['42', 'forty-two', 'forty two'],
-        hint: 'Try adding the ones place first ($5 + 7$), then the tens place ($10 + 20$). 🔢',
-        explanation: 'The answer is 42. When adding $15 + 27$, you can break it down: $15 + 27 = (10 + 20) + (5 + 7) = 30 + 12 = 42$. Always line up the place values!'
-      },
-      {
-        _id: 'math-1-1',
-        title: 'Simple Multiplication',
-        prompt: 'What is 7 × 8?',
-        category: 'math',
-        level: 1,
-        position: 1,
-        correctAnswers: ['56', 'fifty-six', 'fifty six'],
-        hint: 'Think of it as 7 groups of 8, or use the times table trick: $7 × 8$ is close to $7 × 10 = 70$. 📐',
-        explanation: 'The answer is 56. You can think of $7 × 8$ as adding 8 seven times: $8+8+8+8+8+8+8 = 56$. Or remember that $7 × 8 = (7 × 10) - (7 × 2) = 70 - 14 = 56$.'
-      },
-      {
-        _id: 'math-1-2',
-        title: 'Easy Division',
-        prompt: 'What is 144 ÷ 12?',
-        category: 'math',
-        level: 1,
-        position: 2,
-        correctAnswers: ['12', 'twelve'],
-        hint: 'Think: how many 12s fit into 144? Try counting by 12s or use multiplication facts. ➗',
-        explanation: 'The answer is 12. Division asks "how many groups?" So $144 ÷ 12$ asks "how many 12s make 144?" Since $12 × 12 = 144$, the answer is 12.'
-      },
-      {
-        _id: 'math-1-3',
-        title: 'Subtraction',
-        prompt: 'What is 85 - 39?',
-        category: 'math',
-        level: 1,
-        position: 3,
-        correctAnswers: ['46', 'forty-six', 'forty six'],
-        hint: 'You might need to borrow from the tens place. Or try adding up: $39 + ? = 85$. 🔄',
-        explanation: 'The answer is 46. When subtracting $85 - 39$, you can borrow: 85 becomes $75 + 10$, so $(75 - 30) + (15 - 9) = 45 + 1 = 46$. Or count up from 39 to 85.'
-      },
-      {
-        _id: 'math-1-4',
-        title: 'Order of Operations',
-        prompt: 'What is 5 + 3 × 2?',
-        category: 'math',
-        level: 1,
-        position: 4,
-        correctAnswers: ['11', 'eleven'],
-        hint: 'Remember PEMDAS! Multiplication comes before addition. Do $3 × 2$ first. ⚡',
-        explanation: 'The answer is 11. Using order of operations (PEMDAS), multiply first: $3 × 2 = 6$, then add: $5 + 6 = 11$. If you did left to right ($5 + 3 = 8$, then $8 × 2 = 16$), that would be incorrect!'
-      }
-    ],
-    2: [
-      {
-        _id: 'math-2-0',
-        title: 'Fractions',
-        prompt: 'What is 3/4 + 1/4?',
-        category: 'math',
-        level: 2,
-        position: 0,
-        correctAnswers: ['1', 'one', '4/4', '1.0'],
-        hint: 'Same denominator makes this easy! Just add the numerators: $3 + 1$. 🍕',
-        explanation: 'The answer is 1. When fractions have the same denominator, add the numerators: $3/4 + 1/4 = (3+1)/4 = 4/4 = 1$. Think of it as 3 pizza slices plus 1 pizza slice equals 4 slices, which is a whole pizza!'
-      },
-      {
-        _id: 'math-2-1',
-        title: 'Percentages',
-        prompt: 'What is 25% of 80?',
-        category: 'math',
-        level: 2,
-        position: 1,
-        correctAnswers: ['20', 'twenty'],
-        hint: '$25\\% = 1/4$, so you need to find one-fourth of 80. What is $80 ÷ 4$? 📊',
-        explanation: 'The answer is 20. $25\%$ means $25/100$ or $1/4$. So $25\%$ of $80 = 1/4 × 80 = 80 ÷ 4 = 20$. You can also think: $25\%$ of $100 = 25$, so $25\%$ of $80$ would be a bit less.'
-      },
-      {
-        _id: 'math-2-2',
-        title: 'Square Roots',
-        prompt: 'What is the square root of 64?',
-        category: 'math',
-        level: 2,
-        position: 2,
-        correctAnswers: ['8', 'eight'],
-        hint: 'What number times itself equals 64? Try some perfect squares: $6×6$, $7×7$, $8×8$... $\\sqrt{}$',
-        explanation: 'The answer is 8. The square root asks "what number times itself gives 64?" Since $8 × 8 = 64$, $\\sqrt{64} = 8$. Perfect squares are handy to memorize!'
-      },
-      {
-        _id: 'math-2-3',
-        title: 'Area Problem',
-        prompt: 'What is the area of a rectangle with length 6 and width 4?',
-        category: 'math',
-        level: 2,
-        position: 3,
-        correctAnswers: ['24', 'twenty-four', 'twenty four'],
-        hint: 'Area of rectangle = length $\\times$ width. Just multiply the two dimensions! 📐',
-        explanation: 'The answer is 24. For a rectangle, Area = length $\\times$ width $= 6 × 4 = 24$ square units. Imagine a $6\\times4$ grid of squares - count them all and you get 24!'
-      },
-      {
-        _id: 'math-2-4',
-        title: 'Algebra',
-        prompt: 'If x + 5 = 12, what is x?',
-        category: 'math',
-        level: 2,
-        position: 4,
-        correctAnswers: ['7', 'seven'],
-        hint: 'What number plus 5 equals 12? Or subtract 5 from both sides of the equation. 🎯',
-        explanation: 'The answer is 7. To solve $x + 5 = 12$, subtract 5 from both sides: $x + 5 - 5 = 12 - 5$, so $x = 7$. Check: $7 + 5 = 12$ ✓'
-      }
-    ],
-    3: [
-      {
-        _id: 'math-3-0',
-        title: 'Complex Fractions',
-        prompt: 'What is (2/3) × (3/4)?',
-        category: 'math',
-        level: 3,
-        position: 0,
-        correctAnswers: ['1/2', '0.5', 'half', 'one half'],
-        hint: 'Multiply numerators together, denominators together: $(2\\times3)/(3\\times4)$. Then simplify! $\\times$',
-        explanation: 'The answer is $1/2$. When multiplying fractions: $(2/3) × (3/4) = (2\\times3)/(3\\times4) = 6/12$. Simplify by dividing both by 6: $6/12 = 1/2$. You can also cancel the 3s before multiplying.'
-      },
-      {
-        _id: 'math-3-1',
-        title: 'Quadratic Basics',
-        prompt: 'If x² = 25, what are the possible values of x?',
-        category: 'math',
-        level: 3,
-        position: 1,
-        correctAnswers: ['5 and -5', '-5 and 5', '±5', 'plus or minus 5'],
-        hint: 'What number times itself is 25? Don\'t forget negative numbers: $(-5) × (-5) = 25$ too! $\\pm$',
-        explanation: 'The answer is $\\pm5$ (plus or minus 5). Since $5^2 = 25$ and $(-5)^2 = 25$, both $x = 5$ and $x = -5$ are solutions. Remember: any positive number has two square roots!'
-      },
-      {
-        _id: 'math-3-2',
-        title: 'Compound Interest',
-        prompt: 'If you invest $100 at 10% annual interest, how much will you have after 2 years (compounded annually)?',
-        category: 'math',
-        level: 3,
-        position: 2,
-        correctAnswers: ['121', '$121', '121 dollars'],
-        hint: 'Year 1: $100 + 10\\% = $110$. Year 2: $110 + 10\\%$ of $110$. Interest earns interest! 💰',
-        explanation: 'The answer is $121. Year 1: $100 \\times 1.10 = $110$. Year 2: $110 \\times 1.10 = $121. The formula is: Final = Principal $\\times$ $(1 + rate)^{years} = 100 \\times (1.10)^2 = $121.'
-      },
-      {
-        _id: 'math-3-3',
-        title: 'Trigonometry',
-        prompt: 'What is the value of sin(90°)?',
-        category: 'math',
-        level: 3,
-        position: 3,
-        correctAnswers: ['1', 'one'],
-        hint: 'Think of the unit circle. At $90^{\\circ}$, you\'re at the top point $(0, 1)$. What does $\\sin(\\theta)$ represent? 🔄',
-        explanation: 'The answer is 1. On the unit circle, $\\sin(90^{\\circ})$ represents the $y$-coordinate at $90^{\\circ}$, which is the topmost point $(0,1)$. So $\\sin(90^{\\circ}) = 1$.'
-      },
-      {
-        _id: 'math-3-4',
-        title: 'Logarithms',
-        prompt: 'What is log₁₀(1000)?',
-        category: 'math',
-        level: 3,
-        position: 4,
-        correctAnswers: ['3', 'three'],
-        hint: 'Logarithm asks: "10 to what power equals 1000?" Think: $10^1 = 10$, $10^2 = 100$, $10^3 = ?$ 📈',
-        explanation: 'The answer is 3. $\\log_{10}(1000)$ asks "10 to what power equals 1000?" Since $10^3 = 1000$, the answer is 3. Logs are the inverse of exponents!'
-      }
-    ]
-  },
-  logic: {
-    1: [
-      {
-        _id: 'logic-1-0',
-        title: 'Number Sequence',
-        prompt: 'What comes next in this sequence: 2, 4, 6, 8, ?',
-        category: 'logic',
-        level: 1,
-        position: 0,
-        correctAnswers: ['10', 'ten'],
-        hint: 'Look at the differences between numbers. What\'s $4-2$? What\'s $6-4$? See the pattern? 📈',
-        explanation: 'The answer is 10. This sequence increases by 2 each time: 2, $4(+2)$, $6(+2)$, $8(+2)$, $10(+2)$. It\'s the even numbers!'
-      },
-      {
-        _id: 'logic-1-1',
-        title: 'Odd One Out',
-        prompt: 'Which doesn\'t belong: Apple, Banana, Carrot, Orange?',
-        category: 'logic',
-        level: 1,
-        position: 1,
-        correctAnswers: ['carrot'],
-        hint: 'Think about categories. Three of these grow on trees or plants above ground... 🌳',
-        explanation: 'The answer is **Carrot**. Apple, Banana, and Orange are all fruits that typically grow above ground, while a carrot is a vegetable that grows underground (it\'s a root).'
-      },
-      {
-        _id: 'logic-1-2',
-        title: 'Logic Chain',
-        prompt: 'If all Bloops are Razzles and all Razzles are Lazzles, are all Bloops Lazzles?',
-        category: 'logic',
-        level: 1,
-        position: 2,
-        correctAnswers: ['yes', 'Yes', 'true', 'True'],
-        hint: 'Follow the chain: Bloops $\\rightarrow$ Razzles $\\rightarrow$ Lazzles. If A leads to B, and B leads to C, then A leads to C! 🔗',
-        explanation: 'The answer is **Yes**. This is called a syllogism or transitivity. If all Bloops are in the Razzles group, and all Razzles are in the Lazzles group, then all Bloops must logically be in the Lazzles group.'
-      },
-      {
-        _id: 'logic-1-3',
-        title: 'Pattern Recognition',
-        prompt: 'Complete the pattern: A, C, E, G, ?',
-        category: 'logic',
-        level: 1,
-        position: 3,
-        correctAnswers: ['I', 'i'],
-        hint: 'Count the positions in the alphabet. A=1, C=3, E=5, G=7... What comes next? 🔤',
-        explanation: 'The answer is **I**. This sequence skips every other letter: A(1st), C(3rd), E(5th), G(7th), I(9th). It\'s the odd-positioned letters of the alphabet!'
-      },
-      {
-        _id: 'logic-1-4',
-        title: 'Simple Deduction',
-        prompt: 'If today is Monday, what day will it be in 10 days?',
-        category: 'logic',
-        level: 1,
-        position: 4,
-        correctAnswers: ['Thursday', 'thursday'],
-        hint: 'There are 7 days in a week. So 10 days = 7 days + 3 days. After a full week, count 3 more days! 📅',
-        explanation: 'The answer is **Thursday**. 10 days = 1 full week (7 days) + 3 days. Starting from Monday, after 7 days it\'s Monday again, then count 3 more: Tuesday, Wednesday, Thursday.'
-      }
-    ],
-    2: [
-      {
-        _id: 'logic-2-0',
-        title: 'Fibonacci Sequence',
-        prompt: 'What comes next: 1, 1, 2, 3, 5, 8, ?',
-        category: 'logic',
-        level: 2,
-        position: 0,
-        correctAnswers: ['13', 'thirteen'],
-        hint: 'Each number is the sum of the two before it. $1+1=2$, $1+2=3$, $2+3=5$, $3+5=8$... 🌀',
-        explanation: 'The answer is 13. This is the **Fibonacci sequence**, where each number equals the sum of the two preceding ones: $5 + 8 = 13$.'
-      },
-      {
-        _id: 'logic-2-1',
-        title: 'Syllogism',
-        prompt: 'All cats are mammals. Some mammals are dogs. Therefore, some cats are dogs. Is this valid?',
-        category: 'logic',
-        level: 2,
-        position: 1,
-        correctAnswers: ['no', 'false', 'invalid', 'incorrect'],
-        hint: 'Draw circles to represent the groups. Can cats and dogs overlap just because they\'re both mammals? 🐱🐶',
-        explanation: 'The answer is **No/Invalid**. Just because cats and dogs share a category (mammals) does not mean they overlap. There\'s no direct link established between the "cats" set and the "dogs" set.'
-      },
-      {
-        _id: 'logic-2-2',
-        title: 'Grid Logic',
-        prompt: 'In a 3x3 grid, if X marks are in corners only, how many X marks are there?',
-        category: 'logic',
-        level: 2,
-        position: 2,
-        correctAnswers: ['4', 'four'],
-        hint: 'Draw a $3\\times3$ square. How many corners does any square have? ⏹️',
-        explanation: 'The answer is 4. A square grid, regardless of size (like $3\\times3$), always has exactly 4 corners. The X marks are at positions (1,1), (1,3), (3,1), and (3,3).'
-      },
-      {
-        _id: 'logic-2-3',
-        title: 'Set Theory',
-        prompt: 'If set A has 5 elements and set B has 3 elements, what is the maximum number of elements in A ∪ B?',
-        category: 'logic',
-        level: 2,
-        position: 3,
-        correctAnswers: ['8', 'eight'],
-        hint: 'Union ($\cup$) combines sets. Maximum happens when sets have no overlap (they are **disjoint**). $5 + 3 = ?$ 🔄',
-        explanation: 'The answer is 8. The union $A \\cup B$ combines all elements. The maximum number of elements occurs when the two sets have no elements in common, so you simply add the counts: $5 + 3 = 8$.'
-      },
-      {
-        _id: 'logic-2-4',
-        title: 'Truth Tables',
-        prompt: 'What is the result of TRUE AND FALSE?',
-        category: 'logic',
-        level: 2,
-        position: 4,
-        correctAnswers: ['false', 'FALSE', 'False'],
-        hint: 'The **AND** operator requires **BOTH** conditions to be true to return TRUE. If either is false, the result is false. ⚡',
-        explanation: 'The answer is **FALSE**. In Boolean logic, the conjunction $P \\land Q$ (P AND Q) is only true when $P$ is true and $Q$ is true. Since one is false, the result is false.'
-      }
-    ],
-    3: [
-      {
-        _id: 'logic-3-0',
-        title: 'Complex Pattern',
-        prompt: 'Find the pattern: 1, 4, 9, 16, 25, ?',
-        category: 'logic',
-        level: 3,
-        position: 0,
-        correctAnswers: ['36', 'thirty-six', 'thirty six'],
-        hint: 'These are perfect squares! $1^2$, $2^2$, $3^2$, $4^2$, $5^2$... What\'s $6^2$? $^2$',
-        explanation: 'The answer is 36. This sequence shows the perfect squares of the natural numbers: $1^2=1$, $2^2=4$, $3^2=9$, $4^2=16$, $5^2=25$, so the next is $6^2=36$.'
-      },
-      {
-        _id: 'logic-3-1',
-        title: 'Knights and Knaves',
-        prompt: 'A person says "I am a knave." If knights always tell the truth and knaves always lie, what are they?',
-        category: 'logic',
-        level: 3,
-        position: 1,
-        correctAnswers: ['neither', 'impossible', 'paradox', 'contradiction'],
-        hint: 'If they\'re a knight (truth), they\'d be saying they\'re a knave (lie), which is a contradiction. If they\'re a knave (lie), they\'d be lying about being a knave, meaning they\'d be a knight (contradiction!). 🤯',
-        explanation: 'The answer is **Neither/Impossible**. This statement creates a **paradox**. A knight cannot truthfully say they are a liar (knave), and a knave cannot lie and say they are a liar (knave). The scenario is logically impossible.'
-      },
-      {
-        _id: 'logic-3-2',
-        title: 'Propositional Logic',
-        prompt: 'If P implies Q, and Q implies R, what can we conclude about P and R?',
-        category: 'logic',
-        level: 3,
-        position: 2,
-        correctAnswers: ['P implies R', 'p implies r', 'P → R'],
-        hint: 'This is like a chain: P leads to Q, Q leads to R, so P leads to R. This is the **Law of Syllogism**. ⛓️',
-        explanation: 'The answer is **P implies R** (or $P \\rightarrow R$). This is a principle of logic called **transitivity** or the **Hypothetical Syllogism**. If the truth of P guarantees the truth of Q, and the truth of Q guarantees the truth of R, then the truth of P guarantees the truth of R.'
-      },
-      {
-        _id: 'logic-3-3',
-        title: 'Combinatorics',
-        prompt: 'How many ways can you arrange the letters in "CAT"?',
-        category: 'logic',
-        level: 3,
-        position: 3,
-        correctAnswers: ['6', 'six'],
-        hint: 'For 3 distinct items, it\'s 3 factorial ($3!$). That\'s $3 \\times 2 \\times 1 = ?$ 🔀',
-        explanation: 'The answer is 6. This is a permutation problem. For 3 unique items, the number of arrangements is $3!$ (3 factorial), which is $3 \\times 2 \\times 1 = 6$. The arrangements are CAT, CTA, ACT, ATC, TCA, TAC.'
-      },
-      {
-        _id: 'logic-3-4',
-        title: 'Proof by Contradiction',
-        prompt: 'To prove √2 is irrational, we assume it is rational and show this leads to what?',
-        category: 'logic',
-        level: 3,
-        position: 4,
-        correctAnswers: ['contradiction', 'Contradiction', 'paradox'],
-        hint: 'The name of the proof method is the biggest hint: **Proof by...** $\\neg$',
-        explanation: 'The answer is a **Contradiction**. Proof by contradiction (or *reductio ad absurdum*) is a technique where you assume the opposite of what you want to prove ($\\sqrt{2}$ is rational) and show that this assumption leads to a statement that is logically impossible (a contradiction), thereby proving your original statement ($\\sqrt{2}$ is irrational).'
-      }
-    ]
-  },
-  riddles: {
-    1: [
-      {
-        _id: 'riddles-1-0',
-        title: 'Classic Riddle',
-        prompt: 'What has keys but no locks, space but no room, and you can enter but not go inside?',
-        category: 'riddles',
-        level: 1,
-        position: 0,
-        correctAnswers: ['keyboard', 'Keyboard', 'a keyboard'],
-        hint: 'You use this to type. It involves "space" for typing and "keys" for letters. ⌨️',
-        explanation: 'The answer is a **Keyboard**. It has keys (for letters/functions), space (the space bar), and you "enter" (press the Enter key) but don\'t go inside.'
-      },
-      {
-        _id: 'riddles-1-1',
-        title: 'Word Play',
-        prompt: 'What gets wet while drying?',
-        category: 'riddles',
-        level: 1,
-        position: 1,
-        correctAnswers: ['towel', 'Towel', 'a towel'],
-        hint: 'Think about what you use after a shower. It absorbs things. 🛀',
-        explanation: 'The answer is a **Towel**. Its job is to dry you, but it becomes wet in the process of absorbing the moisture.'
-      },
-      {
-        _id: 'riddles-1-2',
-        title: 'Logic Riddle',
-        prompt: 'I am tall when I am young, and short when I am old. What am I?',
-        category: 'riddles',
-        level: 1,
-        position: 2,
-        correctAnswers: ['candle', 'Candle', 'a candle'],
-        hint: 'This object produces light and is used up over time. 🔥',
-        explanation: 'The answer is a **Candle**. When new ("young"), it\'s tall. As it burns down ("old"), it becomes shorter.'
-      },
-      {
-        _id: 'riddles-1-3',
-        title: 'Common Riddle',
-        prompt: 'What has hands but cannot clap?',
-        category: 'riddles',
-        level: 1,
-        position: 3,
-        correctAnswers: ['clock', 'Clock', 'a clock', 'watch', 'a watch'],
-        hint: 'It measures the passage of time. ⏱️',
-        explanation: 'The answer is a **Clock** (or a watch). The indicators on its face that point to the minutes and hours are called "hands."'
-      },
-      {
-        _id: 'riddles-1-4',
-        title: 'Easy Riddle',
-        prompt: 'What goes up but never comes down?',
-        category: 'riddles',
-        level: 1,
-        position: 4,
-        correctAnswers: ['age', 'Age', 'your age'],
-        hint: 'This is measured in years. Everyone has it. 🎂',
-        explanation: 'The answer is your **Age**. Once you turn a year older, you don\'t turn a year younger; it only ever increases.'
-      }
-    ],
-    2: [
-      {
-        _id: 'riddles-2-0',
-        title: 'Tricky Riddle',
-        prompt: 'A man lives on the 20th floor. Every day he takes the elevator to the 1st floor. When he comes back, he takes the elevator to the 10th floor and walks the rest. Why?',
-        category: 'riddles',
-        level: 2,
-        position: 0,
-        correctAnswers: ['he is short', 'too short', 'cant reach', 'short', 'height'],
-        hint: 'The explanation is very simple, involving his physical ability to press a button. 🤏',
-        explanation: 'The answer is **He is too short to reach the button for the 20th floor**. He can only reach the button for the 10th floor (or maybe he uses his umbrella/a neighbor for the other floors, but the classic answer is height).'
-      },
-      {
-        _id: 'riddles-2-1',
-        title: 'Mystery Riddle',
-        prompt: 'What disappears as soon as you say its name?',
-        category: 'riddles',
-        level: 2,
-        position: 1,
-        correctAnswers: ['silence', 'Silence'],
-        hint: 'The word itself describes an absence of sound. 🤫',
-        explanation: 'The answer is **Silence**. The moment you speak the word "silence," you create sound, and thus the condition of silence is broken.'
-      },
-      {
-        _id: 'riddles-2-2',
-        title: 'Brain Teaser',
-        prompt: 'I have cities, but no houses. I have mountains, but no trees. I have water, but no fish. What am I?',
-        category: 'riddles',
-        level: 2,
-        position: 2,
-        correctAnswers: ['map', 'Map', 'a map'],
-        hint: 'You use me to find your way. I am a flat representation of the world. 🗺️',
-        explanation: 'The answer is a **Map**. A map contains symbols for cities, mountains, and bodies of water, but they are only representations, not the actual things.'
-      },
-      {
-        _id: 'riddles-2-3',
-        title: 'Word Riddle',
-        prompt: 'What comes once in a minute, twice in a moment, but never in a thousand years?',
-        category: 'riddles',
-        level: 2,
-        position: 3,
-        correctAnswers: ['m', 'M', 'letter m', 'the letter m'],
-        hint: 'Look closely at the spelling of the words in the prompt. Which letter is present? 🔠',
-        explanation: 'The answer is the **Letter M**. The letter "M" appears once in "minute," twice in "moment," and zero times in "thousand years."'
-      },
-      {
-        _id: 'riddles-2-4',
-        title: 'Clever Riddle',
-        prompt: 'The more you take, the more you leave behind. What am I?',
-        category: 'riddles',
-        level: 2,
-        position: 4,
-        correctAnswers: ['footsteps', 'Footsteps', 'steps'],
-        hint: 'This is what you create when you walk on a soft surface like mud or snow. 👣',
-        explanation: 'The answer is **Footsteps** (or steps). The more steps you take, the more you leave behind a trail of your footprints.'
-      }
-    ],
-    3: [
-      {
-        _id: 'riddles-3-0',
-        title: 'Hard Logic',
-        prompt: 'Two fathers and two sons go fishing. They each catch one fish. How is it that only 3 fish were caught?',
-        category: 'riddles',
-        level: 3,
-        position: 0,
-        correctAnswers: ['grandfather father son', 'three generations', 'grandpa dad son', '3 people'],
-        hint: 'Consider the relationships in a family tree. One person can hold two roles! 👴👨‍👦',
-        explanation: 'The answer is that there were only **three people** fishing: a **grandfather**, his **son** (who is also a father), and his **grandson** (who is also a son). The son is both a father and a son.'
-      },
-      {
-        _id: 'riddles-3-1',
-        title: 'Math Riddle',
-        prompt: 'I am an odd number. Take away a letter and I become even. What number am I?',
-        category: 'riddles',
-        level: 3,
-        position: 1,
-        correctAnswers: ['seven', 'Seven', '7'],
-        hint: 'Think about spelling out the numbers one by one. Which odd number, when you remove one letter, leaves an even number\'s spelling? ✍️',
-        explanation: 'The answer is **Seven**. Remove the "s" from "seven" and you are left with "even."'
-      },
-      {
-        _id: 'riddles-3-2',
-        title: 'Complex Riddle',
-        prompt: 'What can travel around the world while staying in a corner?',
-        category: 'riddles',
-        level: 3,
-        position: 2,
-        correctAnswers: ['stamp', 'Stamp', 'a stamp', 'postage stamp'],
-        hint: 'It\'s small, sticky, and you put it on the corner of an envelope. ✉️',
-        explanation: 'The answer is a **Stamp** (specifically a postage stamp). It stays fixed in the corner of an envelope, but the envelope can travel around the world.'
-      },
-      {
-        _id: 'riddles-3-3',
-        title: 'Abstract Thinking',
-        prompt: 'I am not alive, but I grow. I don\'t have lungs, but I need air. I don\'t have a mouth, but water kills me. What am I?',
-        category: 'riddles',
-        level: 3,
-        position: 3,
-        correctAnswers: ['fire', 'Fire', 'flame'],
-        hint: 'This is used for cooking and heat, and it can spread quickly. 🔥',
-        explanation: 'The answer is **Fire**. It grows bigger, needs oxygen (air) to burn, and is put out by water.'
-      },
-      {
-        _id: 'riddles-3-4',
-        title: 'Master Riddle',
-        prompt: 'What is so fragile that saying its name breaks it?',
-        category: 'riddles',
-        level: 3,
-        position: 4,
-        correctAnswers: ['silence', 'Silence'],
-        hint: 'This is the same as logic-2-1. If you speak its name, it vanishes. 🤫',
-        explanation: 'The answer is **Silence**. Speaking the word breaks the silence. This is a common and clever riddle!'
-      }
-    ]
-  },
-  patterns: {
-    1: [
-      {
-        _id: 'patterns-1-0',
-        title: 'Shape Sequence',
-        prompt: 'Continue the pattern: Circle, Square, Triangle, Circle, Square, ?',
-        category: 'patterns',
-        level: 1,
-        position: 0,
-        correctAnswers: ['triangle', 'Triangle'],
-        hint: 'The pattern repeats every three shapes. What\'s the third shape in the cycle? 🔺',
-        explanation: 'The answer is **Triangle**. The sequence is a repeating pattern of (Circle, Square, Triangle). The next shape in the cycle is the Triangle.'
-      },
-      {
-        _id: 'patterns-1-1',
-        title: 'Color Pattern',
-        prompt: 'If the pattern is Red, Blue, Red, Blue, Red, what comes next?',
-        category: 'patterns',
-        level: 1,
-        position: 1,
-        correctAnswers: ['blue', 'Blue'],
-        hint: 'The colors are simply alternating. What color is the opposite of the last one listed? 🔴🔵',
-        explanation: 'The answer is **Blue**. This is an alternating pattern of (Red, Blue). Since the last color was Red, the next must be Blue.'
-      },
-      {
-        _id: 'patterns-1-2',
-        title: 'Number Doubling',
-        prompt: 'Find the next number: 1, 2, 4, 8, ?',
-        category: 'patterns',
-        level: 1,
-        position: 2,
-        correctAnswers: ['16', 'sixteen'],
-        hint: 'Each number is twice the previous number. $8 \\times 2 = ?$ $\\times 2$',
-        explanation: 'The answer is 16. This is a **geometric sequence** where each term is the previous term multiplied by 2. $8 \\times 2 = 16$.'
-      },
-      {
-        _id: 'patterns-1-3',
-        title: 'Letter Skip',
-        prompt: 'Continue: A, C, E, G, ?',
-        category: 'patterns',
-        level: 1,
-        position: 3,
-        correctAnswers: ['I', 'i'],
-        hint: 'It skips one letter between each term in the alphabet (B, D, F, H...). 🔠',
-        explanation: 'The answer is **I**. This pattern skips one letter each time: A(skip B)C(skip D)E(skip F)G(skip H)I.'
-      },
-      {
-        _id: 'patterns-1-4',
-        title: 'Growing Pattern',
-        prompt: 'What comes next: 1, 3, 6, 10, ?',
-        category: 'patterns',
-        level: 1,
-        position: 4,
-        correctAnswers: ['15', 'fifteen'],
-        hint: 'Look at the amount added each time: $+2$, $+3$, $+4$... What comes next? $\\triangle$',
-        explanation: 'The answer is 15. The pattern is adding consecutive numbers: $1+2=3$, $3+3=6$, $6+4=10$, so the next is $10+5=15$. These are also called **triangular numbers**.'
-      }
-    ],
-    2: [
-      {
-        _id: 'patterns-2-0',
-        title: 'Complex Sequence',
-        prompt: 'Find the pattern: 2, 6, 12, 20, 30, ?',
-        category: 'patterns',
-        level: 2,
-        position: 0,
-        correctAnswers: ['42', 'forty-two'],
-        hint: 'Look at the difference between the terms: $+4$, $+6$, $+8$, $+10$... What comes next? ⬆️',
-        explanation: 'The answer is 42. The difference between consecutive terms increases by 2 each time: $2(+4)6(+6)12(+8)20(+10)30$. The next difference is $+12$, so $30+12=42$.'
-      },
-      {
-        _id: 'patterns-2-1',
-        title: 'Alternating Pattern',
-        prompt: 'Continue: 1, 4, 2, 8, 3, 12, 4, ?',
-        category: 'patterns',
-        level: 2,
-        position: 1,
-        correctAnswers: ['16', 'sixteen'],
-        hint: 'There are two interleaved sequences. The odd-positioned numbers ($1, 2, 3, 4...$) and the even-positioned numbers ($4, 8, 12...$). 📊',
-        explanation: 'The answer is 16. This is a sequence of two interleaved patterns: $1, 2, 3, 4$ (adding 1) and $4, 8, 12$ (adding 4, or multiplying by $1\\times4, 2\\times4, 3\\times4, 4\\times4$). The next number is from the second sequence: $4 \\times 4 = 16$.'
-      },
-      {
-        _id: 'patterns-2-2',
-        title: 'Prime Sequence',
-        prompt: 'What comes next: 2, 3, 5, 7, 11, ?',
-        category: 'patterns',
-        level: 2,
-        position: 2,
-        correctAnswers: ['13', 'thirteen'],
-        hint: 'These numbers are only divisible by 1 and themselves. What is the next number in this special set? 🌟',
-        explanation: 'The answer is 13. This sequence is the list of **Prime Numbers**: numbers greater than 1 that have no positive divisors other than 1 and themselves. The prime numbers are 2, 3, 5, 7, 11, 13...'
-      },
-      {
-        _id: 'patterns-2-3',
-        title: 'Geometric Growth',
-        prompt: 'Continue the pattern: 3, 9, 27, 81, ?',
-        category: 'patterns',
-        level: 2,
-        position: 3,
-        correctAnswers: ['243', 'two hundred forty-three'],
-        hint: 'Each number is the previous one multiplied by 3. $81 \\times 3 = ?$ $\\times 3$',
-        explanation: 'The answer is 243. This is a **geometric sequence** where each term is the previous term multiplied by 3. $81 \\times 3 = 243$. It can also be seen as powers of 3: $3^1, 3^2, 3^3, 3^4, 3^5$.'
-      },
-      {
-        _id: 'patterns-2-4',
-        title: 'Mixed Operations',
-        prompt: 'Find next: 1, 3, 4, 7, 11, 18, ?',
-        category: 'patterns',
-        level: 2,
-        position: 4,
-        correctAnswers: ['29', 'twenty-nine'],
-        hint: 'Add the two previous numbers to get the next one. $11 + 18 = ?$ ➕',
-        explanation: 'The answer is 29. This is a variation of the Fibonacci sequence where each number is the sum of the two preceding numbers: $1+3=4$, $3+4=7$, $4+7=11$, $7+11=18$, so the next is $11+18=29$.'
-      }
-    ],
-    3: [
-      {
-        _id: 'patterns-3-0',
-        title: 'Advanced Series',
-        prompt: 'What comes next: 1, 1, 2, 6, 24, 120, ?',
-        category: 'patterns',
-        level: 3,
-        position: 0,
-        correctAnswers: ['720', 'seven hundred twenty'],
-        hint: 'Look at the multiplying factor: $\\times1, \\times2, \\times3, \\times4, \\times5$... What\'s next? $!$',
-        explanation: 'The answer is 720. This is the **Factorial** sequence ($n!$): $1! = 1$, $2! = 2$, $3! = 6$, $4! = 24$, $5! = 120$, and the next is $6! = 6 \\times 5 \\times 4 \\times 3 \\times 2 \\times 1 = 720$. (Note: some definitions start at $0! = 1$).'
-      },
-      {
-        _id: 'patterns-3-1',
-        title: 'Polynomial Pattern',
-        prompt: 'Continue: 0, 1, 8, 27, 64, ?',
-        category: 'patterns',
-        level: 3,
-        position: 1,
-        correctAnswers: ['125', 'one hundred twenty-five'],
-        hint: 'These numbers are perfect cubes: $0^3, 1^3, 2^3, 3^3, 4^3$... What\'s $5^3$? $^3$',
-        explanation: 'The answer is 125. This sequence shows the perfect cubes of the integers, starting from 0: $0^3=0$, $1^3=1$, $2^3=8$, $3^3=27$, $4^3=64$, so the next is $5^3 = 5 \\times 5 \\times 5 = 125$.'
-      },
-      {
-        _id: 'patterns-3-2',
-        title: 'Matrix Pattern',
-        prompt: 'In a 4x4 grid pattern, if diagonal elements are 1, 2, 3, 4, what is the sum?',
-        category: 'patterns',
-        level: 3,
-        position: 2,
-        correctAnswers: ['10', 'ten'],
-        hint: 'You just need to add the given numbers together. What is $1 + 2 + 3 + 4$? $\\sum$',
-        explanation: 'The answer is 10. The sum of the main diagonal elements (or trace) is simply the addition of the given numbers: $1 + 2 + 3 + 4 = 10$.'
-      },
-      {
-        _id: 'patterns-3-3',
-        title: 'Recursive Sequence',
-        prompt: 'If a(n) = a(n-1) + a(n-2) and a(1)=2, a(2)=3, what is a(5)?',
-        category: 'patterns',
-        level: 3,
-        position: 3,
-        correctAnswers: ['13', 'thirteen'],
-        hint: 'Calculate term-by-term: $a(3)=a(2)+a(1) = 3+2=5$. Then $a(4)=a(3)+a(2)...$ 🧮',
-        explanation: 'The answer is 13. This is a recursive sequence: $a(n)$ is the sum of the two preceding terms. $a(1)=2$, $a(2)=3$. $a(3)=3+2=5$. $a(4)=5+3=8$. $a(5)=8+5=13$.'
-      },
-      {
-        _id: 'patterns-3-4',
-        title: 'Complex Pattern',
-        prompt: 'Find the pattern: 2, 12, 36, 80, 150, ?',
-        category: 'patterns',
-        level: 3,
-        position: 4,
-        correctAnswers: ['252', 'two hundred fifty-two'],
-        hint: 'Look for the relationship: $1^2\\times2$, $2^2\\times3$, $3^2\\times4$, $4^2\\times5$, $5^2\\times6$... What\'s $6^2\\times7$? $\\times$',
-        explanation: 'The answer is 252. The pattern is $n^2 \\times (n+1)$, where $n$ is the index starting from 1. The next term is $6^2 \\times (6+1) = 36 \\times 7 = 252$.'
-      }
-    ]
-  }
-};
+// Puzzle catalog (content packs + stored puzzles), created in start()
+let catalog = null;
+
+// Curated-vs-AI content experiments, created in start() on top of storage
+let experiments = null;
 
 // Routes
 
@@ -1013,17 +276,17 @@ app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     app: 'BrainKick Enhanced',
-    database: mongoose.connection.readyState === 1 ? 'MongoDB' : 'In-Memory',
-    totalPuzzles: Object.values(puzzles).reduce((acc, category) => 
-      acc + Object.values(category).reduce((catAcc, level) => catAcc + level.length, 0), 0
-    )
+    database: storage.name,
+    ai: ai ? ai.name : 'disabled',
+    mail: mail.name,
+    totalPuzzles: catalog.count()
   });
 });
 
 // Register
 app.post('/api/auth/register', async (req, res) => {
   try {
-    const { username, email, password } = req.body;
+    const { username, email, password, timeZone } = req.body;
     
     if (!username || !email || !password) {
       return res.status(400).json({ error: 'All fields are required' });
@@ -1033,64 +296,31 @@ app.post('/api/auth/register', async (req, res) => {
       return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
 
-    if (mongoose.connection.readyState === 1) {
-      const existingUser = await User.findOne({ $or: [{ email }, { username }] });
-      if (existingUser) {
-        return res.status(400).json({ 
-          error: existingUser.email === email ? 'Email already registered' : 'Username taken' 
-        });
-      }
-
-      const user = new User({ username, email, password });
-      await user.save();
-
-      const streak = new Streak({ userId: user._id, solvedPuzzles: [] });
-      await streak.save();
-
-      const token = jwt.sign({ userId: String(user._id) }, JWT_SECRET, { expiresIn: '7d' });
-      res.status(201).json({
-        message: 'Welcome to BrainKick!',
-        token,
-        user: { id: String(user._id), username: user.username, email: user.email }
+    const existingUser = await storage.findUserByEmailOrUsername(email, username);
+    if (existingUser) {
+      return res.status(400).json({ 
+        error: existingUser.email === email ? 'Email already registered' : 'Username taken' 
       });
-    } else {
-      const existingUser = memoryUsers.find(u => u.email === email || u.username === username);
-      if (existingUser) {
-        return res.status(400).json({ 
-          error: existingUser.email === email ? 'Email already registered' : 'Username taken' 
-        });
-      }
+    }
 
-      const hashedPassword = await bcrypt.hash(password, 10);
-      const user = {
-        // store in-memory ids as strings for consistency with JWT and Mongo ids
-        _id: String(userIdCounter++),
-        username,
-        email,
-        password: hashedPassword,
-        createdAt: new Date()
-      };
-      memoryUsers.push(user);
-
-      // Initialize an in-memory streak record for this user so data is per-account
-      memoryStreaks.push({
-        userId: String(user._id),
-        currentStreak: 0,
-        longestStreak: 0,
-        lastActivityDate: null,
-        totalPuzzlesSolved: 0,
-        solvedPuzzles: [],
-        solvedHistory: [],
-        solvedHistory: []
-      });
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = await storage.createUser({
+      username,
+      email,
+      password: hashedPassword,
+      timeZone: isValidTimeZone(timeZone) ? timeZone : null
+    });
 
-  const token = jwt.sign({ userId: String(user._id) }, JWT_SECRET, { expiresIn: '7d' });
-      res.status(201).json({
-        message: 'Welcome to BrainKick!',
-        token,
-        user: { id: String(user._id), username: user.username, email: user.email }
-      });
-    }
+    // Initialize a streak record for this user so data is per-account
+    await storage.saveStreak(newStreak(user._id));
+
+    const { token, refreshToken } = await authSessions.start(user._id, req);
+    res.status(201).json({
+      message: 'Welcome to BrainKick!',
+      token,
+      refreshToken,
+      user: toPublicUser(user)
+    });
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Registration failed' });
@@ -1100,70 +330,173 @@ app.post('/api/auth/register', async (req, res) => {
 // Login
 app.post('/api/auth/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, timeZone } = req.body;
     
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
-    if (mongoose.connection.readyState === 1) {
-      const user = await User.findOne({ email });
-      if (!user || !(await bcrypt.compare(password, user.password))) {
-        return res.status(401).json({ error: 'Invalid email or password' });
-      }
-
-      // Convert ObjectId to string for JWT
-      const token = jwt.sign({ userId: user._id.toString() }, JWT_SECRET, { expiresIn: '7d' });
-      res.json({
-        message: 'Welcome back! 🎯',
-        token,
-        user: { id: String(user._id), username: user.username, email: user.email }
-      });
-    } else {
-      const user = memoryUsers.find(u => u.email === email);
-      if (!user || !(await bcrypt.compare(password, user.password))) {
-        return res.status(401).json({ error: 'Invalid email or password' });
-      }
+    let user = await storage.findUserByEmail(email);
+    if (!user || !(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
 
-      const token = jwt.sign({ userId: String(user._id) }, JWT_SECRET, { expiresIn: '7d' });
-
-      // Ensure this in-memory user has a streak record initialized
-      let streak = memoryStreaks.find(s => String(s.userId) === String(user._id));
-      if (!streak) {
-        memoryStreaks.push({
-          userId: String(user._id),
-          currentStreak: 0,
-          longestStreak: 0,
-          lastActivityDate: null,
-          totalPuzzlesSolved: 0,
-          solvedPuzzles: [],
-          solvedHistory: []
-        });
-      }
+    // The browser's timezone at login decides where this user's days start
+    if (isValidTimeZone(timeZone) && timeZone !== user.timeZone) {
+      user = await storage.updateUser(user._id, { timeZone });
+    }
 
-      res.json({
-        message: 'Welcome back! 🎯',
-        token,
-        user: { id: String(user._id), username: user.username, email: user.email }
-      });
+    // Ensure this user has a streak record initialized
+    if (!(await storage.getStreak(user._id))) {
+      await storage.saveStreak(newStreak(user._id));
     }
+
+    const { token, refreshToken } = await authSessions.start(user._id, req);
+    res.json({
+      message: 'Welcome back! 🎯',
+      token,
+      refreshToken,
+      user: toPublicUser(user)
+    });
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
+// Swap a refresh token for a new access token and refresh token. The old
+// refresh token stops working.
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const tokens = await authSessions.refresh(req.body.refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    res.json(tokens);
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Sign out this device: its access and refresh tokens stop working (protected)
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    await authSessions.revoke(req.userId, req.authSessionId);
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Reset requests per hour, from one IP and for one email address
+const RESET_WINDOW_MS = 60 * 60 * 1000;
+const resetLimitByIp = createRateLimiter({ limit: numberSetting('PASSWORD_RESET_LIMIT_PER_IP', 10), windowMs: RESET_WINDOW_MS });
+const resetLimitByEmail = createRateLimiter({ limit: numberSetting('PASSWORD_RESET_LIMIT_PER_EMAIL', 3), windowMs: RESET_WINDOW_MS });
+
+const sendPasswordResetLink = async (user) => {
+  const token = await passwordResets.issue(user._id);
+  const link = `${APP_URL}/?resetToken=${encodeURIComponent(token)}`;
+  await mail.send({
+    to: user.email,
+    subject: 'Reset your BrainKick password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your BrainKick account. To choose a new one, open this link:',
+      '',
+      link,
+      '',
+      `The link works once and expires in ${passwordResets.ttlMinutes} minutes. If you didn't ask for this, you can ignore this email.`
+    ].join('\n')
+  });
+  console.log(`🔑 Password reset link sent to user ${user._id}`);
+};
+
+// Email a password reset link. The reply is the same whether or not the email
+// is registered, so this can't be used to find out who has an account.
+app.post('/api/auth/forgot', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    // Counted whether or not the email is registered, so a 429 gives nothing away
+    if (!resetLimitByIp.hit(req.ip) || !resetLimitByEmail.hit(email.trim().toLowerCase())) {
+      return res.status(429).json({ error: 'Too many reset requests. Please try again later.' });
+    }
+
+    const user = await storage.findUserByEmail(email.trim());
+    if (user) {
+      // Not awaited: issuing and sending take time only registered emails would spend
+      sendPasswordResetLink(user).catch(error => console.error('Password reset mail error:', error));
+    }
+
+    res.json({ message: 'If that email is registered, a reset link is on its way.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to start password reset' });
+  }
+});
+
+// Set a new password with a reset token. Every device is signed out.
+app.post('/api/auth/reset', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const userId = await passwordResets.consume(token);
+    if (!userId) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+
+    await storage.updateUser(userId, { password: await bcrypt.hash(password, 10) });
+    const signedOut = await authSessions.revokeAll(userId);
+    console.log(`🔑 Password reset for user ${userId}; ${signedOut} session(s) signed out`);
+    res.json({ message: 'Password updated. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+// Signed-in devices (protected)
+app.get('/api/me/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await authSessions.list(req.userId);
+    res.json({
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.authSessionId }))
+    });
+  } catch (error) {
+    console.error('Session list error:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// Sign out one device (protected)
+app.delete('/api/me/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!(await authSessions.revoke(req.userId, req.params.id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    console.log(`🔒 Session ${req.params.id} revoked by user ${req.userId}`);
+    res.json({ revoked: req.params.id });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
 // Get puzzles (protected)
 app.get('/api/puzzles', authenticateToken, (req, res) => {
   const { category = 'logic', level = 1 } = req.query;
   console.log(`✅ Puzzles requested for ${category} level ${level} by user ${req.userId}`);
   
-  const categoryPuzzles = puzzles[category];
-  if (!categoryPuzzles || !categoryPuzzles[level]) {
-    return res.json({ puzzles: [] });
-  }
-  
-  res.json({ puzzles: categoryPuzzles[level] });
+  res.json({ puzzles: catalog.level(category, level).map(toPublicPuzzle) });
 });
 
 // Validate answer (protected) - Enhanced with duplicate checking
@@ -1173,118 +506,98 @@ app.post('/api/puzzles/:id/validate', authenticateToken, async (req, res) => {
     const puzzleId = req.params.id;
     const userId = req.userId;
     
-    // Find the puzzle
-    let puzzle = null;
-    for (const category of Object.values(puzzles)) {
-      for (const levelPuzzles of Object.values(category)) {
-        puzzle = levelPuzzles.find(p => p._id === puzzleId);
-        if (puzzle) break;
-      }
-      if (puzzle) break;
-    }
+    const puzzle = catalog.find(puzzleId);
     
     if (!puzzle) {
       return res.status(404).json({ error: 'Puzzle not found' });
     }
-    
-    // Enhanced local validation (more flexible matching)
-    const userAnswer = answer.toLowerCase().trim();
-    const exactMatch = puzzle.correctAnswers.some(correctAnswer => 
-      correctAnswer.toLowerCase().trim() === userAnswer
-    );
-    
-    // Additional flexible matching without AI
-    let correct = exactMatch;
-    if (!correct) {
-      // Remove common variations and try again
-      const normalizedUser = userAnswer
-        .replace(/[.,!?;]/g, '') // Remove punctuation
-        .replace(/\s+/g, ' ') // Normalize spaces
-        .replace(/^(a|an|the)\s+/i, ''); // Remove articles
-        
-      correct = puzzle.correctAnswers.some(correctAnswer => {
-        const normalizedCorrect = correctAnswer.toLowerCase().trim()
-          .replace(/[.,!?;]/g, '')
-          .replace(/\s+/g, ' ')
-          .replace(/^(a|an|the)\s+/i, '');
-        
-        return normalizedCorrect === normalizedUser ||
-               // Check if it's a number word vs digit
-               (normalizedUser.match(/^\d+$/) && correctAnswer.toLowerCase().includes(normalizedUser)) ||
-               // Check partial matches for longer answers
-               (normalizedUser.length > 3 && normalizedCorrect.includes(normalizedUser));
-      });
+
+    if (typeof answer !== 'string' || !answer.trim()) {
+      return res.status(400).json({ error: 'Answer is required' });
     }
     
-    // Try AI validation if available and local validation failed
-    let aiResponse = null;
-    if (!correct && openai) {
+    // Local validation with the validator the puzzle declares (text by default, with
+    // synonyms and fuzzy spelling for riddles and logic)
+    const localResult = checkAnswer(puzzle, answer);
+    let correct = localResult.correct;
+    
+    // Try AI validation if available and local validation failed. Typed validators
+    // (numeric, fraction, list, ...) are authoritative, so only free text goes to AI.
+    let aiFeedback = null;
+    let source = 'local';
+    if (!correct && ai && localResult.validator === 'text') {
       try {
-        const completion = await openai.chat.completions.create({
-          model: "gpt-3.5-turbo",
-          messages: [
-            {
-              role: "system",
-              content: `You are validating answers for a brain training app. Be lenient with spelling, phrasing, and format while maintaining accuracy.
-              
-              Rules:
-              - Accept equivalent answers (e.g., "8" and "eight")
-              - Accept minor spelling mistakes
-              - Accept different phrasings of the same concept
-              - Accept mathematical equivalents (e.g., "1/2" and "0.5")
-              - Reject answers that are fundamentally wrong
-              
-              Respond with only "CORRECT" or "INCORRECT" followed by a brief explanation.`
-            },
-            {
-              role: "user",
-              content: `Question: ${puzzle.prompt}
-              
-              Correct answers include: ${puzzle.correctAnswers.join(', ')}
-              
-              User's answer: "${answer}"
-              
-              Is this answer correct?`
-            }
-          ],
-          max_tokens: 100,
-          temperature: 0.1
-        });
-        
-        aiResponse = completion.choices[0].message.content;
-        correct = aiResponse.toLowerCase().startsWith('correct');
-        
+        const judgement = await judgeAnswer(ai, puzzle, answer, { userId, route: 'validate' });
+        correct = judgement.correct;
+        if (!judgement.rejectedBecause) source = 'ai';
+        if (judgement.rejectedBecause) {
+          console.log(`🛡️ AI judge rejected "${answer}" for ${puzzleId}: ${judgement.rejectedBecause}`);
+        } else if (!correct) {
+          aiFeedback = judgement.reason;
+        }
+
+        // Every AI-granted acceptance is kept for admin review
+        if (correct) {
+          console.log(`🤖 AI accepted "${answer}" for ${puzzleId} (confidence ${judgement.confidence})`);
+          await storage.logAiAcceptance({
+            userId,
+            puzzleId,
+            answer,
+            confidence: judgement.confidence,
+            reason: judgement.reason,
+            provider: ai.name,
+            model: ai.model,
+            createdAt: new Date()
+          });
+        }
       } catch (aiError) {
-        console.error('AI validation error:', aiError);
+        logAiError('AI validation', aiError);
       }
     }
     
     console.log(`✅ Answer "${answer}" for puzzle "${puzzle.title}" is ${correct ? 'correct' : 'wrong'}`);
+
+    const puzzleState = await getPuzzleState(userId, puzzleId);
+    // Credit is earned once: answering a solved puzzle again is correct but not credited
+    const alreadySolved = puzzleState.status === 'solved';
+    const credited = correct && !alreadySolved && canEarnCredit(puzzleState);
+    puzzleState.attempts++;
+    if (credited) {
+      puzzleState.status = 'solved';
+      puzzleState.solvedAt = new Date();
+      puzzleState.attemptsToSolve = puzzleState.attempts;
+    } else if (!correct) {
+      advanceStatus(puzzleState, 'attempted');
+    }
+    puzzleState.updatedAt = new Date();
+    await storage.savePuzzleState(puzzleState);
+
+    await recordAttempt(userId, puzzle, 'validate', {
+      answer,
+      correct,
+      credited,
+      validator: localResult.validator,
+      source,
+      elapsedMs: parseElapsedMs(req.body.elapsedMs)
+    });
+
+    // Only the solve that earns credit counts for hint/skip experiments; retyping
+    // the answer /skip just revealed, or answering a solved puzzle again, isn't one
+    if (credited) {
+      await experiments.recordSolve(userId, puzzleId);
+    }
     
-    // Update progress if correct answer
-    if (correct) {
+    // Update progress if correct answer that earns credit
+    if (credited) {
       try {
         // Update both streak and level progress
         await Promise.all([
-          updateStreak(userId, puzzleId),
+          updateStreak(userId, puzzleId, puzzleState.hintsUsed),
           updateLevelProgress(userId, puzzle.category, puzzle.level, puzzleId)
         ]);
         
         // Get the updated progress info
-        let updatedProgress;
-        if (mongoose.connection.readyState === 1) {
-          updatedProgress = await LevelProgress.findOne({
-            userId: mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : userId,
-            category: puzzle.category,
-            level: puzzle.level
-          });
-        } else {
-          updatedProgress = memoryLevelProgress.find(p => 
-            String(p.userId) === String(userId) && 
-            p.category === puzzle.category && 
-            p.level === puzzle.level
-          );
-        }
+        const updatedProgress = await storage.getLevelProgress(userId, puzzle.category, puzzle.level);
         
         console.log(`✅ Progress updated for puzzle ${puzzleId}:`, {
           puzzlesSolved: updatedProgress?.puzzlesSolved || 0,
@@ -1295,17 +608,28 @@ app.post('/api/puzzles/:id/validate', authenticateToken, async (req, res) => {
       }
     }
     
-    const responseMessage = correct 
-      ? 'Excellent work! 🎉' 
-      : aiResponse 
-        ? `Not quite right. ${aiResponse.split('INCORRECT')[1]?.trim() || 'Try again!'} 🤔`
-        : 'Not quite right. Give it another try!';
+    const responseMessage = credited
+      ? 'Excellent work! 🎉'
+      : correct && alreadySolved
+        ? 'Correct! You already solved this one. ✅'
+        : correct
+          ? 'Correct! You skipped this one, so it will count when you solve it again in a later review. 📚'
+          : aiFeedback
+            ? `Not quite right. ${aiFeedback} 🤔`
+            : 'Not quite right. Give it another try!';
     
-    // Include explanation only; do not return the correct answer here (skip route handles that)
+    // The explanation gives the answer away, so it is only released once the puzzle is solved
+    // (or through the skip route).
     res.json({
       correct,
+      credited,
+      alreadySolved,
       message: responseMessage,
-      explanation: puzzle.explanation || `The answer is ${puzzle.correctAnswers[0]}. Keep practicing!`
+      // Why a non-exact answer was accepted, e.g. "Accepted — close spelling of 'echo'"
+      ...(localResult.correct && localResult.reason && { matchReason: localResult.reason }),
+      ...(correct && {
+        explanation: puzzle.explanation || `The answer is ${puzzle.correctAnswers[0]}. Keep practicing!`
+      })
     });
   } catch (error) {
     console.error('Validation error:', error);
@@ -1318,51 +642,49 @@ app.post('/api/puzzles/:id/hint', authenticateToken, async (req, res) => {
   try {
     const puzzleId = req.params.id;
     
-    // Find the puzzle
-    let puzzle = null;
-    for (const category of Object.values(puzzles)) {
-      for (const levelPuzzles of Object.values(category)) {
-        puzzle = levelPuzzles.find(p => p._id === puzzleId);
-        if (puzzle) break;
-      }
-      if (puzzle) break;
-    }
+    const puzzle = catalog.find(puzzleId);
     
     if (!puzzle) {
       return res.status(404).json({ error: 'Puzzle not found' });
     }
     
-    let hint = puzzle.hint || 'Think step by step and look for patterns! 💡';
+    // Each request reveals the next tier; once all are used the last one repeats
+    const tiers = hintTiers(puzzle);
+    const puzzleState = await getPuzzleState(req.userId, puzzleId);
+    const alreadySolved = puzzleState.status === 'solved';
+    const tier = Math.max(1, Math.min(puzzleState.hintsUsed + 1, tiers.length));
+
+    let hint = tiers[tier - 1] || 'Think step by step and look for patterns! 💡';
+    let source = 'curated';
     
-    // Try AI-generated hint if available (as backup)
-    if (openai && Math.random() < 0.3) { // Only use AI 30% of the time for variety
+    // The hint-source experiment decides who gets AI-generated hints
+    if (ai && experiments.assign('hint-source', req.userId) === 'ai') {
       try {
-        const completion = await openai.chat.completions.create({
-          model: "gpt-3.5-turbo",
-          messages: [
-            {
-              role: "system",
-              content: `You are a helpful tutor. Give hints that guide users toward the answer without giving it away.`
-            },
-            {
-              role: "user",
-              content: `Give a different hint for: ${puzzle.prompt}`
-            }
-          ],
-          max_tokens: 80,
-          temperature: 0.7
-        });
-        
-        hint = completion.choices[0].message.content.trim();
-        
+        hint = await ai.generateHint(puzzle, tier, { userId: req.userId, route: 'hint' });
+        source = 'ai';
       } catch (aiError) {
         // Use the hardcoded hint
-        hint = puzzle.hint;
+        logAiError('AI hint', aiError);
       }
     }
+    // A hint on a solved puzzle can't lead to a solve, so it isn't an exposure
+    if (!alreadySolved) {
+      await experiments.recordExposure('hint-source', source, req.userId, puzzleId);
+    }
     
-    console.log('✅ Hint provided for puzzle:', puzzle.title);
-    res.json({ hint });
+    puzzleState.hintsUsed = Math.max(puzzleState.hintsUsed, tier);
+    advanceStatus(puzzleState, 'hinted');
+    puzzleState.updatedAt = new Date();
+    await storage.savePuzzleState(puzzleState);
+
+    await recordAttempt(req.userId, puzzle, 'hint', {
+      hintTier: tier,
+      source,
+      elapsedMs: parseElapsedMs(req.body.elapsedMs)
+    });
+
+    console.log(`✅ Hint ${tier}/${tiers.length} provided for puzzle: ${puzzle.title}`);
+    res.json({ hint, tier, totalTiers: tiers.length, hasMore: tier < tiers.length });
   } catch (error) {
     console.error('Hint error:', error);
     res.status(500).json({ error: 'Unable to get hint right now' });
@@ -1374,15 +696,7 @@ app.post('/api/puzzles/:id/skip', authenticateToken, async (req, res) => {
   try {
     const puzzleId = req.params.id;
     
-    // Find the puzzle
-    let puzzle = null;
-    for (const category of Object.values(puzzles)) {
-      for (const levelPuzzles of Object.values(category)) {
-        puzzle = levelPuzzles.find(p => p._id === puzzleId);
-        if (puzzle) break;
-      }
-      if (puzzle) break;
-    }
+    const puzzle = catalog.find(puzzleId);
     
     if (!puzzle) {
       return res.status(404).json({ error: 'Puzzle not found' });
@@ -1390,32 +704,32 @@ app.post('/api/puzzles/:id/skip', authenticateToken, async (req, res) => {
     
     let explanation = puzzle.explanation || `The answer is ${puzzle.correctAnswers[0]}. Keep practicing!`;
     
-    // Try AI explanation as backup (only sometimes for variety)
-    if (openai && Math.random() < 0.2) { // Only use AI 20% of the time
+    let source = 'curated';
+    const puzzleState = await getPuzzleState(req.userId, puzzleId);
+    
+    // The skip-explanation-source experiment decides who gets AI explanations
+    if (ai && experiments.assign('skip-explanation-source', req.userId) === 'ai') {
       try {
-        const completion = await openai.chat.completions.create({
-          model: "gpt-3.5-turbo",
-          messages: [
-            {
-              role: "system",
-              content: `Explain puzzle solutions clearly and educationally.`
-            },
-            {
-              role: "user",
-              content: `Explain this solution: ${puzzle.prompt} Answer: ${puzzle.correctAnswers[0]}`
-            }
-          ],
-          max_tokens: 120,
-          temperature: 0.3
-        });
-        
-        explanation = completion.choices[0].message.content.trim();
-        
+        explanation = await ai.explainSolution(puzzle, { userId: req.userId, route: 'skip' });
+        source = 'ai';
       } catch (aiError) {
+        logAiError('AI explanation', aiError);
         explanation = puzzle.explanation;
       }
     }
     
+    // Revealing the answer means a later solve can only count after a review delay.
+    // Puzzles that were already solved keep their credit and aren't exposures.
+    if (puzzleState.status !== 'solved') {
+      await experiments.recordExposure('skip-explanation-source', source, req.userId, puzzleId);
+      puzzleState.status = 'skipped';
+      puzzleState.skippedAt = new Date();
+      puzzleState.updatedAt = new Date();
+      await storage.savePuzzleState(puzzleState);
+    }
+
+    await recordAttempt(req.userId, puzzle, 'skip', { source, elapsedMs: parseElapsedMs(req.body.elapsedMs) });
+
     console.log(`✅ Puzzle skipped: ${puzzle.title}`);
     res.json({
       answer: puzzle.correctAnswers[0],
@@ -1427,204 +741,377 @@ app.post('/api/puzzles/:id/skip', authenticateToken, async (req, res) => {
   }
 });
 
-// Get user stats (protected)
-// Update time spent (protected)
-app.post('/api/stats/time', authenticateToken, async (req, res) => {
+// Change the timezone streak days are counted in (protected)
+app.put('/api/me/timezone', authenticateToken, async (req, res) => {
   try {
-    const userId = req.userId;
-    const { totalTimeSpent } = req.body;
+    const { timeZone } = req.body;
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: 'timeZone must be an IANA timezone such as Europe/Paris' });
+    }
 
-    if (typeof totalTimeSpent !== 'number') {
-      return res.status(400).json({ error: 'Invalid time value' });
+    const user = await storage.updateUser(req.userId, { timeZone });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
+    res.json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Timezone update error:', error);
+    res.status(500).json({ error: 'Failed to update timezone' });
+  }
+});
 
-    if (mongoose.connection.readyState === 1) {
-      const mongoUserId = mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : userId;
-      await Streak.findOneAndUpdate(
-        { userId: mongoUserId },
-        { $set: { totalTimeSpent } },
-        { upsert: true }
-      );
-    } else {
-      const streak = memoryStreaks.find(s => String(s.userId) === String(userId));
-      if (streak) {
-        streak.totalTimeSpent = totalTimeSpent;
-      } else {
-        memoryStreaks.push({
-          userId: String(userId),
-          totalTimeSpent,
-          currentStreak: 0,
-          longestStreak: 0,
-          totalPuzzlesSolved: 0,
-          solvedPuzzles: [],
-          solvedHistory: []
-        });
-      }
+// The user's own validate, hint and skip history, newest first (protected)
+app.get('/api/me/attempts', authenticateToken, async (req, res) => {
+  try {
+    const { action } = req.query;
+    const puzzleId = typeof req.query.puzzleId === 'string' ? req.query.puzzleId : undefined;
+    if (action !== undefined && !ATTEMPT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of ${ATTEMPT_ACTIONS.join(', ')}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { attempts, total } = await storage.listAttempts(req.userId, {
+      puzzleId,
+      action,
+      offset: (page - 1) * limit,
+      limit
+    });
+
+    res.json({
+      attempts: attempts.map(attempt => ({
+        ...attempt,
+        puzzleTitle: catalog.find(attempt.puzzleId)?.title || null
+      })),
+      page,
+      limit,
+      total,
+      hasMore: page * limit < total
+    });
+  } catch (error) {
+    console.error('Attempt list error:', error);
+    res.status(500).json({ error: 'Failed to fetch attempts' });
+  }
+});
+
+// Skipped puzzles waiting for a review pass (protected)
+app.get('/api/review', authenticateToken, async (req, res) => {
+  try {
+    const states = await storage.listPuzzleStates(req.userId);
+    const puzzles = states
+      .filter(state => state.status === 'skipped' && catalog.find(state.puzzleId))
+      .map(state => ({
+        ...toPublicPuzzle(catalog.find(state.puzzleId)),
+        skippedAt: state.skippedAt,
+        reviewAvailableAt: reviewAvailableAt(state),
+        reviewable: canEarnCredit(state)
+      }))
+      .sort((a, b) => a.reviewAvailableAt - b.reviewAvailableAt);
+
+    res.json({ puzzles });
+  } catch (error) {
+    console.error('Review fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch review puzzles' });
+  }
+});
+
+// Play sessions (protected). Time on puzzles is measured from these on the
+// server; the client only says when it is playing and which puzzle is shown.
+
+// A puzzle from the session's level, or null
+const sessionPuzzle = (session, puzzleId) => {
+  const puzzle = catalog.find(puzzleId);
+  return puzzle && puzzle.category === session.category && puzzle.level === session.level ? puzzle : null;
+};
+
+// The caller's open session, or null after responding with the reason
+const loadOpenSession = async (req, res) => {
+  const session = await storage.getPlaySession(req.params.id);
+  if (!session || session.userId !== req.userId) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+  if (!session.endedAt && isStale(session, new Date())) {
+    await storage.savePlaySession(endSession(session, new Date(), 'timeout'));
+  }
+  if (session.endedAt) {
+    res.status(409).json({ error: 'Session has ended' });
+    return null;
+  }
+  return session;
+};
+
+// Start playing a level. Any session still open for this user ends here, so
+// two tabs can't both accrue time.
+app.post('/api/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { category } = req.body;
+    const level = Number(req.body.level);
+    const puzzles = catalog.level(category, level);
+    if (puzzles.length === 0) {
+      return res.status(400).json({ error: 'Unknown category or level' });
+    }
+
+    const puzzleId = req.body.puzzleId ?? puzzles[0]._id;
+    if (!puzzles.some(p => p._id === puzzleId)) {
+      return res.status(400).json({ error: 'puzzleId is not part of this level' });
     }
 
-    res.json({ success: true });
+    const now = new Date();
+    const open = (await storage.listPlaySessions(req.userId)).filter(s => !s.endedAt);
+    for (const session of open) {
+      await storage.savePlaySession(endSession(session, now, 'replaced'));
+    }
+
+    const session = await storage.createPlaySession(newPlaySession(req.userId, category, level, puzzleId, now));
+    res.status(201).json({ sessionId: session._id, heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS });
+  } catch (error) {
+    console.error('Session start error:', error);
+    res.status(500).json({ error: 'Failed to start session' });
+  }
+});
+
+// Still playing; puzzleId is the puzzle now on screen
+app.post('/api/sessions/:id/heartbeat', authenticateToken, async (req, res) => {
+  try {
+    const session = await loadOpenSession(req, res);
+    if (!session) return;
+
+    const { puzzleId } = req.body;
+    if (puzzleId !== undefined && !sessionPuzzle(session, puzzleId)) {
+      return res.status(400).json({ error: 'puzzleId is not part of this level' });
+    }
+
+    const creditedMs = creditTime(session, new Date());
+    if (puzzleId !== undefined) session.currentPuzzleId = puzzleId;
+    await storage.savePlaySession(session);
+
+    res.json({ activeMs: session.activeMs, creditedMs });
   } catch (error) {
-    console.error('Time update error:', error);
-    res.status(500).json({ error: 'Failed to update time' });
+    console.error('Session heartbeat error:', error);
+    res.status(500).json({ error: 'Failed to record heartbeat' });
   }
 });
 
+// Leave the level ('left') or finish it ('completed')
+app.post('/api/sessions/:id/end', authenticateToken, async (req, res) => {
+  try {
+    const reason = req.body.reason ?? 'left';
+    if (!END_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of ${END_REASONS.join(', ')}` });
+    }
+
+    const session = await loadOpenSession(req, res);
+    if (!session) return;
+
+    await storage.savePlaySession(endSession(session, new Date(), reason));
+    console.log(`⏱️ Session ${session._id} ${reason} after ${Math.round(session.activeMs / 1000)}s active (user ${req.userId})`);
+    res.json({ activeMs: session.activeMs, endReason: session.endReason });
+  } catch (error) {
+    console.error('Session end error:', error);
+    res.status(500).json({ error: 'Failed to end session' });
+  }
+});
+
+// Get user stats (protected)
 app.get('/api/stats', authenticateToken, async (req, res) => {
   try {
     const userId = req.userId;
-    
-    if (mongoose.connection.readyState === 1) {
-      // Convert string ID to ObjectId if needed
-      const mongoUserId = mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : userId;
-      const streak = await Streak.findOne({ userId: mongoUserId }) || { 
-        currentStreak: 0, 
-        longestStreak: 0,
-        totalPuzzlesSolved: 0,
-        solvedPuzzles: [],
-        solvedHistory: []
-      };
-      // Build weekly counts for last 7 days by weekday (Mon..Sun)
-      const weeklyCounts = [0,0,0,0,0,0,0]; // Mon=0 ... Sun=6
-      (streak.solvedHistory || []).forEach(entry => {
-        const d = new Date(entry.solvedAt);
-        // JS getDay: 0=Sun,1=Mon..6=Sat => convert to Mon=0..Sun=6
-        const jsDay = d.getDay();
-        const idx = jsDay === 0 ? 6 : jsDay - 1;
-        weeklyCounts[idx]++;
-      });
+    const streak = (await storage.getStreak(userId)) || newStreak(userId);
 
-      res.json({
-        currentStreak: streak.currentStreak,
-        longestStreak: streak.longestStreak,
-        totalPuzzlesSolved: streak.totalPuzzlesSolved,
-        lastActivityDate: streak.lastActivityDate,
-        uniquePuzzlesSolved: streak.solvedPuzzles?.length || 0,
-        weeklyCounts
-      });
-    } else {
-      const streak = memoryStreaks.find(s => String(s.userId) === String(userId)) || { 
-        currentStreak: 0, 
-        longestStreak: 0,
-        totalPuzzlesSolved: 0,
-        lastActivityDate: null,
-        solvedPuzzles: [],
-        solvedHistory: []
-      };
-
-      const weeklyCounts = [0,0,0,0,0,0,0];
-      (streak.solvedHistory || []).forEach(entry => {
-        const d = new Date(entry.solvedAt);
-        const jsDay = d.getDay();
-        const idx = jsDay === 0 ? 6 : jsDay - 1;
-        weeklyCounts[idx]++;
-      });
+    const timeZone = await userTimeZone(userId);
 
-      res.json({
-        currentStreak: streak.currentStreak,
-        longestStreak: streak.longestStreak,
-        totalPuzzlesSolved: streak.totalPuzzlesSolved,
-        lastActivityDate: streak.lastActivityDate,
-        uniquePuzzlesSolved: streak.solvedPuzzles?.length || 0,
-        totalTimeSpent: streak.totalTimeSpent || 0,
-        weeklyCounts
-      });
+    // Days missed since the last visit spend freezes (or end the streak) now, not at the next solve
+    if (settleMissedDays(streak, new Date(), timeZone)) {
+      await storage.saveStreak(streak);
     }
+
+    const timeSpent = summarizePlayTime(await storage.listPlaySessions(userId));
+
+    // Solves in the current Mon..Sun week in the user's timezone; older weeks live in /api/stats/activity
+    const today = localDay(new Date(), timeZone);
+    const weekStart = addDays(today, -weekdayIndex(today));
+    const weeklyCounts = [0,0,0,0,0,0,0]; // Mon=0 ... Sun=6
+    (streak.solvedHistory || []).forEach(entry => {
+      const day = localDay(entry.solvedAt, timeZone);
+      if (day >= weekStart && day <= today) weeklyCounts[weekdayIndex(day)]++;
+    });
+
+    // Solves recorded before hint tracking count as hint-free
+    const solvedWithoutHints = (streak.solvedHistory || []).filter(entry => !entry.hintsUsed).length;
+    const hintsUsed = (streak.solvedHistory || []).reduce((sum, entry) => sum + (entry.hintsUsed || 0), 0);
+
+    res.json({
+      currentStreak: streak.currentStreak,
+      longestStreak: streak.longestStreak,
+      totalPuzzlesSolved: streak.totalPuzzlesSolved,
+      lastActivityDate: streak.lastActivityDate,
+      uniquePuzzlesSolved: streak.solvedPuzzles?.length || 0,
+      // Seconds: server-measured session time, plus any total the client reported before sessions existed
+      totalTimeSpent: (streak.totalTimeSpent || 0) + Math.round(timeSpent.totalMs / 1000),
+      timeSpent,
+      solvedWithoutHints,
+      hintsUsed,
+      weeklyCounts,
+      timeZone,
+      streakFreezes: {
+        available: streak.streakFreezes || 0,
+        used: (streak.frozenDays || []).length,
+        max: MAX_FREEZES,
+        earnEvery: FREEZE_EARN_EVERY
+      },
+      frozenDays: streak.frozenDays || []
+    });
   } catch (error) {
     console.error('Stats error:', error);
     res.status(500).json({ error: 'Failed to fetch stats' });
   }
 });
 
+// Solves, time on puzzles and categories per local day, week or month (protected).
+// Defaults to the last 7 days by day.
+app.get('/api/stats/activity', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const timeZone = await userTimeZone(userId);
+    const granularity = req.query.granularity || 'day';
+    const to = req.query.to || localDay(new Date(), timeZone);
+    const from = req.query.from || (isDay(to) ? addDays(to, -6) : to);
+
+    if (!GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: `granularity must be one of ${GRANULARITIES.join(', ')}` });
+    }
+    if (!isDay(from) || !isDay(to)) {
+      return res.status(400).json({ error: 'from and to must be dates like 2026-01-31' });
+    }
+    if (from > to || daysBetween(from, to) >= MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: `from must not be after to, and the range is limited to ${MAX_RANGE_DAYS} days` });
+    }
+
+    const streak = (await storage.getStreak(userId)) || newStreak(userId);
+    const sessions = await storage.listPlaySessions(userId);
+
+    res.json(buildActivity({
+      solves: streak.solvedHistory || [],
+      sessions,
+      from,
+      to,
+      granularity,
+      timeZone,
+      categoryOf: (puzzleId) => catalog.find(puzzleId)?.category
+    }));
+  } catch (error) {
+    console.error('Activity error:', error);
+    res.status(500).json({ error: 'Failed to fetch activity' });
+  }
+});
+
+// Solved count, first-try accuracy, attempts, hints, skips and median solve time
+// per category and level (protected)
+app.get('/api/stats/categories', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const [puzzleStates, sessions] = await Promise.all([
+      storage.listPuzzleStates(userId),
+      storage.listPlaySessions(userId)
+    ]);
+
+    res.json(buildCategoryStats({
+      categories: CATEGORIES,
+      levels: LEVELS,
+      puzzles: catalog.all().filter(p => !p.retired),
+      puzzleStates,
+      byPuzzle: summarizePlayTime(sessions).byPuzzle
+    }));
+  } catch (error) {
+    console.error('Category stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch category stats' });
+  }
+});
+
 app.get('/api/progress', authenticateToken, async (req, res) => {
   try {
     const userId = req.userId;
-    const categories = ['math', 'logic', 'riddles', 'patterns'];
-    const levels = [1, 2, 3];
-    
-    if (mongoose.connection.readyState === 1) {
-      // MongoDB is available
-      // Convert string ID to ObjectId if needed
-      const mongoUserId = mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : userId;
-      
-      // Get all progress records for this user
-      const progress = await LevelProgress.find({ userId: mongoUserId });
-      
-      const missingProgress = [];
-      categories.forEach(category => {
-        levels.forEach(level => {
-          if (!progress.some(p => p.category === category && p.level === level)) {
-            missingProgress.push({
-              userId: mongoUserId,
-              category,
-              level,
-              puzzlesSolved: 0,
-              totalPuzzles: 5,
-              completed: false,
-              solvedPuzzleIds: []
-            });
-          }
-        });
-      });
-      
-      // Create any missing progress records
-      if (missingProgress.length > 0) {
-        await LevelProgress.insertMany(missingProgress);
-        const allProgress = await LevelProgress.find({ userId: mongoUserId });
-        console.log(`Created ${missingProgress.length} missing progress records for user ${userId}`);
-        res.json({ progress: allProgress });
-      } else {
-        console.log(`Found ${progress.length} progress records for user ${userId}`);
-        res.json({ progress });
-      }
-    } else {
-      // Memory storage fallback
-      // Filter existing progress records for this user
-      let progress = memoryLevelProgress.filter(p => String(p.userId) === String(userId));
-
-      // Add missing progress records
-      categories.forEach(category => {
-        levels.forEach(level => {
-          if (!progress.some(p => p.category === category && p.level === level)) {
-            progress.push({
-              userId: String(userId),
-              category,
-              level,
-              puzzlesSolved: 0,
-              totalPuzzles: 5,
-              completed: false,
-              solvedPuzzleIds: [],
-              completedAt: null,
-              createdAt: new Date()
-            });
-          }
-        });
-      });
 
-      // Store any newly created progress records in memory
-      progress.forEach(p => {
-        if (!memoryLevelProgress.some(mp => 
-          mp.userId === p.userId && 
-          mp.category === p.category && 
-          mp.level === p.level
-        )) {
-          memoryLevelProgress.push(p);
+    // Get all progress records for this user
+    const progress = await storage.listLevelProgress(userId);
+
+    // Create any missing progress records
+    const missingProgress = [];
+    CATEGORIES.forEach(category => {
+      LEVELS.forEach(level => {
+        if (!progress.some(p => p.category === category && p.level === level)) {
+          missingProgress.push(newLevelProgress(userId, category, level, catalog.level(category, level).length));
         }
       });
+    });
+
+    for (const record of missingProgress) {
+      progress.push(await storage.saveLevelProgress(record));
+    }
 
-      res.json({ progress });
+    if (missingProgress.length > 0) {
+      console.log(`Created ${missingProgress.length} missing progress records for user ${userId}`);
+    } else {
+      console.log(`Found ${progress.length} progress records for user ${userId}`);
     }
+    res.json({ progress });
   } catch (error) {
     console.error('Progress fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch progress' });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`✅ BrainKick Enhanced server running on port ${PORT}`);
-  console.log(`📍 Health: http://localhost:${PORT}/api/health`);
-  console.log(`🧩 Total puzzles available: ${Object.values(puzzles).reduce((acc, category) => 
-    acc + Object.values(category).reduce((catAcc, level) => catAcc + level.length, 0), 0)}`);
-  if (mongoose.connection.readyState !== 1) {
-    console.log('💡 Install MongoDB for persistent data storage');
+const start = async () => {
+  try {
+    catalog = createPuzzleCatalog(loadPuzzles(process.env.PUZZLE_DIR));
+  } catch (error) {
+    console.error('❌ Failed to load puzzles:', error.message);
+    process.exit(1);
+  }
+
+  try {
+    mail = createMailTransport();
+  } catch (error) {
+    console.error('❌ Mail setup failed:', error.message);
+    process.exit(1);
   }
-});
+
+  try {
+    storage = await createStorage();
+    await catalog.refresh(storage);
+    // Cache outside metering, so cached answers don't use up anyone's quota
+    ai = withAiCache(withAiMetering(ai, storage), storage);
+    experiments = createExperiments(storage);
+    authSessions = createAuthSessions(storage, { secret: JWT_SECRET });
+    passwordResets = createPasswordResets(storage);
+  } catch (error) {
+    console.error('❌ Storage initialization failed:', error.message);
+    process.exit(1);
+  }
+
+  app.use('/api/admin', authenticateToken, createAdminRouter({ storage, catalog, experiments, requireRole }));
+
+  // Resolves with the HTTP server once it is listening, so tests can start it on PORT=0
+  return new Promise(resolve => {
+    const server = app.listen(PORT, () => {
+      const { port } = server.address();
+      console.log(`✅ BrainKick Enhanced server running on port ${port}`);
+      console.log(`📍 Health: http://localhost:${port}/api/health`);
+      console.log(`🧩 Total puzzles available: ${catalog.count()}`);
+      console.log(`💾 Storage: ${storage.name}`);
+      console.log(`🤖 AI: ${ai ? `${ai.name}, model ${ai.model}` : 'disabled'}`);
+      console.log(`📧 Mail: ${mail.name}`);
+      if (storage.name === 'In-Memory') {
+        console.log('💡 Data is not persisted; use MongoDB or STORAGE=file for persistent storage');
+      }
+      resolve(server);
+    });
+  });
+};
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, start };
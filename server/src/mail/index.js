@@ -0,0 +1,56 @@
+// Outgoing mail. Every transport implements
+//   name                           for logs and the health check
+//   send({ to, subject, text })    -> resolves once the message is handed off
+// send may reject; callers decide whether that is fatal.
+const { createSmtpTransport } = require('./smtp');
+const { createOutboxTransport } = require('./outbox');
+
+const DEFAULT_FROM = 'BrainKick <no-reply@brainkick.local>';
+const DEFAULT_OUTBOX_DIR = './data/outbox';
+
+// Pick a transport once at startup from MAIL_TRANSPORT:
+//   smtp   - deliver through SMTP_HOST (SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   outbox - write each message to MAIL_OUTBOX_DIR and the console, for development and tests
+//   auto   - smtp when SMTP_HOST is set, outbox otherwise (default); with
+//            NODE_ENV=production, a missing SMTP_HOST refuses to start instead
+// MAIL_FROM sets the sender address.
+const createMailTransport = () => {
+  const mode = (process.env.MAIL_TRANSPORT || 'auto').toLowerCase();
+  const from = process.env.MAIL_FROM || DEFAULT_FROM;
+  const smtp = () => createSmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from
+  });
+  const outbox = () => createOutboxTransport({ dir: process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR, from });
+
+  switch (mode) {
+    case 'smtp':
+      if (!process.env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+      }
+      return smtp();
+
+    case 'outbox':
+      return outbox();
+
+    case 'auto':
+      if (process.env.SMTP_HOST) {
+        return smtp();
+      }
+      // Reset links written to a server-side folder never reach anyone
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('SMTP_HOST is not set in production; set it, or MAIL_TRANSPORT=outbox to keep mail local on purpose');
+      }
+      console.warn('⚠️ SMTP_HOST is not set. Emails will be written to the outbox instead of being sent.');
+      return outbox();
+
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${mode}" (expected auto, smtp or outbox)`);
+  }
+};
+
+module.exports = { createMailTransport };
@@ -0,0 +1,26 @@
+// Development mail transport: nothing leaves the machine. Each message is
+// written as a JSON file to the outbox directory and echoed to the console.
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+const createOutboxTransport = ({ dir, from }) => {
+  const resolvedDir = path.resolve(dir);
+
+  return {
+    name: `Outbox (${resolvedDir})`,
+
+    async send({ to, subject, text }) {
+      const sentAt = new Date();
+      const message = { from, to, subject, text, sentAt };
+      // Timestamped names keep the files in the order they were sent
+      const fileName = `${sentAt.toISOString().replace(/[:.]/g, '-')}-${randomUUID().slice(0, 8)}.json`;
+
+      await fs.promises.mkdir(resolvedDir, { recursive: true });
+      await fs.promises.writeFile(path.join(resolvedDir, fileName), JSON.stringify(message, null, 2), 'utf8');
+      console.log(`📬 Mail to ${to}: ${subject}\n${text}`);
+    }
+  };
+};
+
+module.exports = { createOutboxTransport };
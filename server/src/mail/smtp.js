@@ -0,0 +1,21 @@
+// Mail delivery through any SMTP server
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: `SMTP (${host}:${port})`,
+
+    async send({ to, subject, text }) {
+      await transporter.sendMail({ from, to, subject, text });
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Answers that failed local validation but were accepted by the AI judge,
+// kept so admins can review what the model lets through
+const aiAcceptanceSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  puzzleId: { type: String, required: true },
+  answer: { type: String, required: true },
+  confidence: { type: Number, required: true },
+  reason: { type: String, default: '' },
+  provider: { type: String },
+  model: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+aiAcceptanceSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AiAcceptance', aiAcceptanceSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Cached AI output (judgments, hints, explanations), shared between users
+const aiCacheEntrySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  kind: { type: String, enum: ['judgment', 'hint', 'explanation'], required: true },
+  puzzleId: { type: String, required: true },
+  value: { type: mongoose.Schema.Types.Mixed, required: true },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+// MongoDB removes entries on its own once expiresAt passes
+aiCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+aiCacheEntrySchema.index({ puzzleId: 1, kind: 1 });
+
+module.exports = mongoose.model('AiCacheEntry', aiCacheEntrySchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// One AI call (or a call refused by a quota) with its token counts. A call is
+// recorded as 'pending' before it is made, so it counts against quotas at once.
+const aiUsageSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  route: { type: String, required: true },
+  kind: { type: String, enum: ['judgment', 'hint', 'explanation'], required: true },
+  model: { type: String },
+  day: { type: String, required: true }, // UTC date, YYYY-MM-DD
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  outcome: { type: String, enum: ['pending', 'ok', 'failed', 'over-quota'], required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+aiUsageSchema.index({ day: 1, userId: 1 });
+
+module.exports = mongoose.model('AiUsage', aiUsageSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One /validate, /hint or /skip call: the raw data behind accuracy stats,
+// puzzle analytics and review features
+const attemptSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  puzzleId: { type: String, required: true },
+  category: { type: String },
+  level: { type: Number },
+  action: { type: String, enum: ['validate', 'hint', 'skip'], required: true },
+  // validate: what was submitted and how it was judged
+  answer: { type: String },
+  correct: { type: Boolean },
+  credited: { type: Boolean },
+  validator: { type: String },
+  // 'local' or 'ai' for verdicts; 'curated' or 'ai' for hint and skip content
+  source: { type: String },
+  // hint: the tier revealed
+  hintTier: { type: Number },
+  // Time on the puzzle as reported by the client, when it sent one
+  elapsedMs: { type: Number, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+attemptSchema.index({ userId: 1, createdAt: -1 });
+attemptSchema.index({ puzzleId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Attempt', attemptSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Access tokens carry its id; the refresh token is stored
+// only as a hash and rotates on every use.
+const authSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true },
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null }
+});
+
+// MongoDB removes sessions on its own once the refresh token has expired
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+authSessionSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// First time a user saw an experiment variant for a puzzle, and when they
+// solved that puzzle afterwards
+const experimentExposureSchema = new mongoose.Schema({
+  experimentId: { type: String, required: true },
+  variant: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  puzzleId: { type: String, required: true },
+  shownAt: { type: Date, default: Date.now },
+  solvedAt: { type: Date, default: null }
+});
+
+experimentExposureSchema.index({ experimentId: 1, userId: 1, puzzleId: 1 }, { unique: true });
+experimentExposureSchema.index({ userId: 1, puzzleId: 1 });
+
+module.exports = mongoose.model('ExperimentExposure', experimentExposureSchema);
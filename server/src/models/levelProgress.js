@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const levelProgressSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  category: { type: String, required: true },
+  level: { type: Number, required: true },
+  completed: { type: Boolean, default: false },
+  puzzlesSolved: { type: Number, default: 0 },
+  totalPuzzles: { type: Number, default: 5 }, // 5 puzzles per level
+  solvedPuzzleIds: [{ type: String }], // Track which specific puzzles were solved
+  completedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Create compound index for efficient queries
+levelProgressSchema.index({ userId: 1, category: 1, level: 1 }, { unique: true });
+
+module.exports = mongoose.model('LevelProgress', levelProgressSchema);
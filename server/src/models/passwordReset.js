@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A password reset link sent by email. The token is stored only as a hash and
+// works once.
+const passwordResetSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+});
+
+// MongoDB removes reset tokens on its own once they have expired
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+passwordResetSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('PasswordReset', passwordResetSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One stretch of play on a category level, timed by the server from heartbeats
+const playSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  category: { type: String, required: true },
+  level: { type: Number, required: true },
+  // The puzzle on screen; time since the last heartbeat is credited to it
+  currentPuzzleId: { type: String },
+  // Active time per puzzle and in total, in milliseconds
+  puzzles: [{ _id: false, puzzleId: String, activeMs: { type: Number, default: 0 } }],
+  activeMs: { type: Number, default: 0 },
+  startedAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+  // null while the session is open
+  endedAt: { type: Date, default: null },
+  endReason: { type: String, enum: ['left', 'completed', 'timeout', 'replaced', null], default: null }
+});
+
+playSessionSchema.index({ userId: 1, startedAt: -1 });
+playSessionSchema.index({ 'puzzles.puzzleId': 1 });
+
+module.exports = mongoose.model('PlaySession', playSessionSchema);
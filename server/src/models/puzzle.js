@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Puzzle Schema
+// _id is the content id from the puzzle packs (e.g. 'math-1-0') so imports can upsert by it.
+const puzzleSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  title: { type: String, required: true },
+  prompt: { type: String, required: true },
+  category: { type: String, required: true },
+  level: { type: Number, required: true },
+  position: { type: Number, required: true },
+  correctAnswers: [{ type: String }],
+  // Ordered from a gentle nudge to a near-solution
+  hints: { type: [String], default: undefined },
+  // Single hint from before hint tiers; only read when hints is empty
+  hint: { type: String },
+  explanation: { type: String },
+  // Answer validator, e.g. { type: 'numeric', tolerance: 0.5 }; text matching when unset
+  validator: { type: mongoose.Schema.Types.Mixed },
+  // Retired puzzles stay stored so existing progress still resolves, but are no longer served
+  retired: { type: Boolean, default: false },
+  // 'pack' puzzles are managed by the seed script; 'admin' ones were edited through the API
+  source: { type: String, enum: ['pack', 'admin'], default: 'pack' },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+puzzleSchema.index({ category: 1, level: 1, position: 1 });
+
+module.exports = mongoose.model('Puzzle', puzzleSchema);
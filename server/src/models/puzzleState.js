@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Per-user, per-puzzle attempt state
+const puzzleStateSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  puzzleId: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['unseen', 'attempted', 'hinted', 'skipped', 'solved'],
+    default: 'unseen'
+  },
+  attempts: { type: Number, default: 0 },
+  // attempts at the moment of the first credited answer; later submissions don't change it
+  attemptsToSolve: { type: Number, default: null },
+  hintsUsed: { type: Number, default: 0 },
+  skippedAt: { type: Date },
+  solvedAt: { type: Date },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+puzzleStateSchema.index({ userId: 1, puzzleId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PuzzleState', puzzleStateSchema);
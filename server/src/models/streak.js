@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Streak Schema
+const streakSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  currentStreak: { type: Number, default: 0 },
+  longestStreak: { type: Number, default: 0 },
+  lastActivityDate: { type: Date },
+  // Earned freezes on hand, and the local days (YYYY-MM-DD) they covered
+  streakFreezes: { type: Number, default: 0 },
+  frozenDays: [{ type: String }],
+  totalPuzzlesSolved: { type: Number, default: 0 },
+  solvedPuzzles: [{ type: String }], // Track which puzzles were solved to avoid duplicates
+  // Keep a small history of solves with timestamps so we can build weekly charts
+  solvedHistory: [{ puzzleId: String, solvedAt: Date, hintsUsed: { type: Number, default: 0 } }],
+  // Seconds reported by the client before play sessions measured time on the server
+  totalTimeSpent: { type: Number, default: 0 },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Streak', streakSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// User Schema
+// Passwords are hashed by the caller before they reach storage so that every
+// backend stores the same value.
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  email: { type: String, required: true, unique: true },
+  password: { type: String, required: true },
+  // 'editor' can author puzzles, 'admin' can also retire them
+  role: { type: String, enum: ['user', 'editor', 'admin'], default: 'user' },
+  // IANA zone (e.g. 'America/Denver') that streak days are counted in; UTC when unset
+  timeZone: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('User', userSchema);
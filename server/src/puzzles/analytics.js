@@ -0,0 +1,131 @@
+// Per-puzzle play analytics built from attempt records, for content authors
+// looking for puzzles that are too hard, ambiguous or missing accepted answers.
+const { normalizeText } = require('../validators/normalize');
+const { foldPlurals, isCloseSpelling } = require('../validators/fuzzy');
+const { rate, median } = require('../stats/math');
+const { summarizePlayTime } = require('../sessions');
+
+const MAX_WRONG_ANSWERS = 10;
+const MAX_VARIANTS = 5;
+
+// Group wrong answers that only differ in case, punctuation, articles, plurals
+// or a small typo. Bigger clusters absorb close spellings of their key first.
+const clusterWrongAnswers = (validations) => {
+  const byKey = new Map();
+  validations.filter(a => !a.correct && typeof a.answer === 'string').forEach(attempt => {
+    const key = foldPlurals(normalizeText(attempt.answer));
+    if (!key) return;
+    if (!byKey.has(key)) byKey.set(key, { key, count: 0, users: new Set(), variants: new Map() });
+    const cluster = byKey.get(key);
+    const variant = attempt.answer.trim();
+    cluster.count++;
+    cluster.users.add(attempt.userId);
+    cluster.variants.set(variant, (cluster.variants.get(variant) || 0) + 1);
+  });
+
+  const merged = [];
+  [...byKey.values()]
+    .sort((a, b) => b.count - a.count)
+    .forEach(cluster => {
+      const target = merged.find(m => isCloseSpelling(cluster.key, m.key));
+      if (!target) {
+        merged.push(cluster);
+        return;
+      }
+      target.count += cluster.count;
+      cluster.users.forEach(user => target.users.add(user));
+      cluster.variants.forEach((count, variant) => target.variants.set(variant, (target.variants.get(variant) || 0) + count));
+    });
+
+  return merged
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_WRONG_ANSWERS)
+    .map(cluster => {
+      const variants = [...cluster.variants.entries()].sort((a, b) => b[1] - a[1]).map(([variant]) => variant);
+      return {
+        answer: variants[0],
+        count: cluster.count,
+        users: cluster.users.size,
+        variants: variants.slice(0, MAX_VARIANTS)
+      };
+    });
+};
+
+// Server-measured time each player spent on one puzzle, from their play sessions
+const timeOnPuzzleByUser = (puzzleId, sessions) => {
+  const sessionsByUser = new Map();
+  sessions.forEach(session => {
+    if (!sessionsByUser.has(session.userId)) sessionsByUser.set(session.userId, []);
+    sessionsByUser.get(session.userId).push(session);
+  });
+  return new Map([...sessionsByUser].map(([userId, userSessions]) => [
+    userId,
+    summarizePlayTime(userSessions).byPuzzle.find(p => p.puzzleId === puzzleId)?.activeMs || 0
+  ]));
+};
+
+// Attempts must be oldest first; sessions are the play sessions with time on
+// the puzzle. Rates are per player, so one user hammering the same puzzle can't
+// skew them. Time to solve comes from play sessions rather than the client's
+// elapsedMs, which a client can report as anything.
+const summarizePuzzleAttempts = (puzzleId, attempts, sessions = []) => {
+  const byUser = new Map();
+  attempts.forEach(attempt => {
+    if (!byUser.has(attempt.userId)) byUser.set(attempt.userId, []);
+    byUser.get(attempt.userId).push(attempt);
+  });
+  const timeByUser = timeOnPuzzleByUser(puzzleId, sessions);
+
+  let answered = 0;
+  let solvedFirstTry = 0;
+  let solved = 0;
+  let skipped = 0;
+  let hinted = 0;
+  const hintTiers = [];
+  const solveTimes = [];
+
+  byUser.forEach((userAttempts, userId) => {
+    const firstValidation = userAttempts.findIndex(a => a.action === 'validate');
+    if (firstValidation !== -1) {
+      answered++;
+      // First try means the very first thing the player did was answer correctly
+      if (firstValidation === 0 && userAttempts[0].correct) solvedFirstTry++;
+    }
+
+    const solve = userAttempts.find(a => a.action === 'validate' && a.correct);
+    if (solve) {
+      solved++;
+      if (timeByUser.get(userId) > 0) solveTimes.push(timeByUser.get(userId));
+    }
+
+    if (userAttempts.some(a => a.action === 'skip')) skipped++;
+
+    const tiers = userAttempts.filter(a => a.action === 'hint').map(a => a.hintTier || 1);
+    if (tiers.length > 0) {
+      hinted++;
+      hintTiers.push(Math.max(...tiers));
+    }
+  });
+
+  const validations = attempts.filter(a => a.action === 'validate');
+  const players = byUser.size;
+
+  return {
+    players,
+    attempts: validations.length,
+    hintRequests: attempts.filter(a => a.action === 'hint').length,
+    skips: attempts.filter(a => a.action === 'skip').length,
+    firstTrySolveRate: rate(solvedFirstTry, answered),
+    solveRate: rate(solved, players),
+    skipRate: rate(skipped, players),
+    hintRate: rate(hinted, players),
+    averageHintTier: hintTiers.length
+      ? Math.round((hintTiers.reduce((sum, tier) => sum + tier, 0) / hintTiers.length) * 100) / 100
+      : null,
+    medianTimeToSolveMs: median(solveTimes),
+    aiAcceptedAnswers: validations.filter(a => a.correct && a.source === 'ai').length,
+    commonWrongAnswers: clusterWrongAnswers(validations)
+  };
+};
+
+module.exports = { summarizePuzzleAttempts, clusterWrongAnswers };
@@ -0,0 +1,61 @@
+// Runtime puzzle catalog: content-pack puzzles with stored puzzles (imported
+// by the seed script or written through the admin API) layered on top by _id.
+// A stored puzzle always wins, whatever its age, so edits to a pack file only
+// reach a database-backed server once the seed script has re-imported them.
+
+const byPosition = (a, b) => a.position - b.position;
+
+// Fields players may see before answering. Answers, hints and explanations are
+// only released by the /validate, /hint and /skip routes.
+const PUBLIC_FIELDS = ['_id', 'title', 'prompt', 'category', 'level', 'position'];
+
+const toPublicPuzzle = (puzzle) =>
+  Object.fromEntries(PUBLIC_FIELDS.map(field => [field, puzzle[field]]));
+
+// Ordered hint tiers, falling back to the legacy single hint
+const hintTiers = (puzzle) =>
+  (Array.isArray(puzzle.hints) && puzzle.hints.length > 0 ? puzzle.hints : [puzzle.hint].filter(Boolean));
+
+const createPuzzleCatalog = (packPuzzles) => {
+  let byId = new Map(packPuzzles.map(p => [p._id, p]));
+
+  const active = () => [...byId.values()].filter(p => !p.retired);
+
+  return {
+    // Re-read stored puzzles; call after every write through the admin API
+    async refresh(storage) {
+      const merged = new Map(packPuzzles.map(p => [p._id, p]));
+      (await storage.listPuzzles()).forEach(p => merged.set(p._id, p));
+      byId = merged;
+    },
+
+    // Includes retired puzzles so answers to them can still be resolved
+    find(puzzleId) {
+      return byId.get(puzzleId) || null;
+    },
+
+    // Active puzzles of one level in play order
+    level(category, level) {
+      return active()
+        .filter(p => p.category === category && p.level === Number(level))
+        .sort(byPosition);
+    },
+
+    // Every puzzle of one level, retired ones included
+    levelWithRetired(category, level) {
+      return [...byId.values()]
+        .filter(p => p.category === category && p.level === Number(level))
+        .sort(byPosition);
+    },
+
+    all() {
+      return [...byId.values()];
+    },
+
+    count() {
+      return active().length;
+    }
+  };
+};
+
+module.exports = { createPuzzleCatalog, toPublicPuzzle, hintTiers };
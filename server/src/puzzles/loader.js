@@ -0,0 +1,127 @@
+// Loads puzzle content packs (one JSON or YAML file per category/level) from
+// a directory and flattens them into a list of puzzles.
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validatePack } = require('./schema');
+
+const PACK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const DEFAULT_PUZZLE_DIR = path.join(__dirname, '../../content/puzzles');
+
+// Carries every problem found so authors can fix a pack in one pass
+class PuzzlePackError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid puzzle content (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n` +
+      problems.map(p => `  ${p.file}:${p.line}: ${p.message}`).join('\n')
+    );
+    this.name = 'PuzzlePackError';
+    this.problems = problems;
+  }
+}
+
+const lineAtOffset = (raw, offset) => raw.slice(0, offset).split('\n').length;
+
+// Best-effort line of a puzzle inside its file: where its _id is declared
+const lineOfPuzzle = (raw, puzzleId) => {
+  if (!puzzleId) return 1;
+  const lines = raw.split('\n');
+  const index = lines.findIndex(line =>
+    /_id/.test(line) && (line.includes(`"${puzzleId}"`) || line.includes(`'${puzzleId}'`) || line.trim().endsWith(puzzleId))
+  );
+  return index === -1 ? 1 : index + 1;
+};
+
+const parsePack = (raw, file) => {
+  if (path.extname(file) === '.json') {
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      const position = /position (\d+)/.exec(err.message);
+      const line = position ? lineAtOffset(raw, Number(position[1])) : 1;
+      throw new PuzzlePackError([{ file, line, message: err.message }]);
+    }
+  }
+
+  try {
+    return yaml.load(raw, { filename: file });
+  } catch (err) {
+    const line = err.mark ? err.mark.line + 1 : 1;
+    throw new PuzzlePackError([{ file, line, message: err.reason || err.message }]);
+  }
+};
+
+// Read, parse and validate every pack in dir. Throws PuzzlePackError listing
+// every problem across all files.
+const loadPuzzlePacks = (dir = DEFAULT_PUZZLE_DIR) => {
+  if (!fs.existsSync(dir)) {
+    throw new PuzzlePackError([{ file: dir, line: 1, message: 'puzzle content directory does not exist' }]);
+  }
+
+  const files = fs.readdirSync(dir)
+    .filter(name => PACK_EXTENSIONS.includes(path.extname(name)))
+    .sort();
+  const problems = [];
+  const packs = [];
+  const idLocations = new Map();
+  const levelLocations = new Map();
+
+  files.forEach(name => {
+    const file = path.join(dir, name);
+    const raw = fs.readFileSync(file, 'utf8');
+
+    let pack;
+    try {
+      pack = parsePack(raw, file);
+    } catch (err) {
+      if (!(err instanceof PuzzlePackError)) throw err;
+      problems.push(...err.problems);
+      return;
+    }
+
+    const packProblems = validatePack(pack);
+    packProblems.forEach(({ puzzleId, message }) => {
+      problems.push({ file, line: lineOfPuzzle(raw, puzzleId), message });
+    });
+
+    // _id must be unique across every pack, not just within one
+    (Array.isArray(pack?.puzzles) ? pack.puzzles : []).forEach(puzzle => {
+      if (typeof puzzle?._id !== 'string') return;
+      const line = lineOfPuzzle(raw, puzzle._id);
+      if (idLocations.has(puzzle._id)) {
+        problems.push({ file, line, message: `duplicate _id "${puzzle._id}" (first defined in ${idLocations.get(puzzle._id)})` });
+      } else {
+        idLocations.set(puzzle._id, `${file}:${line}`);
+      }
+    });
+    if (packProblems.length > 0) return;
+
+    const levelKey = `${pack.category}/${pack.level}`;
+    if (levelLocations.has(levelKey)) {
+      problems.push({ file, line: 1, message: `${levelKey} is already defined in ${levelLocations.get(levelKey)}` });
+      return;
+    }
+    levelLocations.set(levelKey, file);
+
+    packs.push({ ...pack, file });
+  });
+
+  if (problems.length > 0) {
+    throw new PuzzlePackError(problems);
+  }
+
+  return packs;
+};
+
+// Flatten packs into puzzles that carry their own category and level
+const flattenPacks = (packs) =>
+  packs.flatMap(({ category, level, puzzles }) =>
+    puzzles
+      .map(puzzle => ({ ...puzzle, category, level }))
+      .sort((a, b) => a.position - b.position)
+  );
+
+const loadPuzzles = (dir = DEFAULT_PUZZLE_DIR) => flattenPacks(loadPuzzlePacks(dir));
+
+module.exports = { loadPuzzles, loadPuzzlePacks, flattenPacks, PuzzlePackError, DEFAULT_PUZZLE_DIR };
@@ -0,0 +1,111 @@
+// Puzzle schema checks shared by everything that accepts puzzle content.
+// Each check returns a list of human-readable problems; an empty list means valid.
+const { validateValidatorConfig } = require('../validators');
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Validate a single puzzle object (category/level are checked at pack level)
+const validatePuzzle = (puzzle) => {
+  const errors = [];
+
+  if (!puzzle || typeof puzzle !== 'object' || Array.isArray(puzzle)) {
+    return ['puzzle must be an object'];
+  }
+
+  if (!isNonEmptyString(puzzle._id)) errors.push('_id is required');
+  if (!isNonEmptyString(puzzle.title)) errors.push('title is required');
+  if (!isNonEmptyString(puzzle.prompt)) errors.push('prompt is required');
+  if (!isNonEmptyString(puzzle.explanation)) errors.push('explanation is required');
+
+  // Hints go from a gentle nudge to a near-solution. Puzzles stored before
+  // hint tiers existed may still carry a single legacy `hint` string.
+  if (puzzle.hints !== undefined && puzzle.hints !== null) {
+    if (!Array.isArray(puzzle.hints) || puzzle.hints.length === 0 || !puzzle.hints.every(isNonEmptyString)) {
+      errors.push('hints must be a non-empty list of non-empty strings');
+    }
+  } else if (!isNonEmptyString(puzzle.hint)) {
+    errors.push('hints is required');
+  }
+
+  if (!Number.isInteger(puzzle.position) || puzzle.position < 0) {
+    errors.push('position must be a non-negative integer');
+  }
+
+  if (!Array.isArray(puzzle.correctAnswers) || puzzle.correctAnswers.length === 0) {
+    errors.push('correctAnswers must be a non-empty list');
+  } else if (!puzzle.correctAnswers.every(isNonEmptyString)) {
+    errors.push('correctAnswers must only contain non-empty strings');
+  } else {
+    // Validator options may derive their expected value from correctAnswers
+    errors.push(...validateValidatorConfig(puzzle));
+  }
+
+  return errors;
+};
+
+// Validate one category/level pack. Returns [{ puzzleId, message }] so callers
+// can point at the offending puzzle.
+const validatePack = (pack) => {
+  const errors = [];
+
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return [{ puzzleId: null, message: 'pack must be an object with category, level and puzzles' }];
+  }
+
+  if (!isNonEmptyString(pack.category)) {
+    errors.push({ puzzleId: null, message: 'category is required' });
+  }
+  if (!Number.isInteger(pack.level) || pack.level < 1) {
+    errors.push({ puzzleId: null, message: 'level must be a positive integer' });
+  }
+  if (!Array.isArray(pack.puzzles) || pack.puzzles.length === 0) {
+    errors.push({ puzzleId: null, message: 'puzzles must be a non-empty list' });
+    return errors;
+  }
+
+  const seenIds = new Set();
+  pack.puzzles.forEach((puzzle, index) => {
+    const puzzleId = puzzle?._id || null;
+    validatePuzzle(puzzle).forEach(message => {
+      errors.push({ puzzleId, message: puzzleId ? message : `puzzles[${index}]: ${message}` });
+    });
+    if (puzzleId && seenIds.has(puzzleId)) {
+      errors.push({ puzzleId, message: `duplicate _id "${puzzleId}"` });
+    }
+    seenIds.add(puzzleId);
+  });
+
+  errors.push(...validatePositions(pack.puzzles));
+  return errors;
+};
+
+// Positions within a level must be exactly 0..n-1
+const validatePositions = (puzzles) => {
+  const errors = [];
+  const byPosition = new Map();
+
+  puzzles.forEach(puzzle => {
+    if (!Number.isInteger(puzzle?.position)) return;
+    if (byPosition.has(puzzle.position)) {
+      errors.push({
+        puzzleId: puzzle._id || null,
+        message: `position ${puzzle.position} is already used by "${byPosition.get(puzzle.position)}"`
+      });
+    }
+    byPosition.set(puzzle.position, puzzle._id);
+  });
+
+  for (let position = 0; position < puzzles.length; position++) {
+    if (!byPosition.has(position)) {
+      errors.push({
+        puzzleId: null,
+        message: `positions must be contiguous from 0 to ${puzzles.length - 1}; ${position} is missing`
+      });
+      break;
+    }
+  }
+
+  return errors;
+};
+
+module.exports = { validatePuzzle, validatePack, validatePositions };
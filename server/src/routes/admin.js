@@ -0,0 +1,285 @@
+// Admin puzzle authoring and review routes, mounted at /api/admin behind authenticateToken.
+// Every write is checked with the same pack validation the loader uses, applied
+// to the level as it would look after the change.
+const express = require('express');
+const { validatePack } = require('../puzzles/schema');
+const { EXPERIMENTS } = require('../experiments');
+const { summarizeUsage, utcDay } = require('../ai/usage');
+const { summarizePuzzleAttempts } = require('../puzzles/analytics');
+
+// Fields an author may set directly; identity and ordering have their own rules
+const AUTHORED_FIELDS = ['title', 'prompt', 'correctAnswers', 'hints', 'explanation', 'validator'];
+
+const AI_CACHE_KINDS = ['judgment', 'hint', 'explanation'];
+
+const pickAuthoredFields = (body) =>
+  Object.fromEntries(AUTHORED_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+const createAdminRouter = ({ storage, catalog, experiments, requireRole }) => {
+  const router = express.Router();
+  const canAuthor = requireRole('admin', 'editor');
+
+  // Problems with a level as it would be after a change ([] when valid)
+  const validateLevel = (category, level, puzzles) =>
+    validatePack({ category, level, puzzles: puzzles.filter(p => !p.retired) })
+      .map(({ puzzleId, message }) => (puzzleId ? `${puzzleId}: ${message}` : message));
+
+  // Cached AI output may depend on the old content, so it goes with every save
+  const savePuzzles = async (puzzles) => {
+    const updatedAt = new Date();
+    for (const puzzle of puzzles) {
+      await storage.savePuzzle({ ...puzzle, source: 'admin', updatedAt });
+      await storage.purgeAiCache({ puzzleId: puzzle._id });
+    }
+    await catalog.refresh(storage);
+  };
+
+  const nextPuzzleId = (category, level) => {
+    let index = catalog.levelWithRetired(category, level).length;
+    while (catalog.find(`${category}-${level}-${index}`)) index++;
+    return `${category}-${level}-${index}`;
+  };
+
+  // List puzzles (retired included) for one level, or everything
+  router.get('/puzzles', canAuthor, (req, res) => {
+    const { category, level } = req.query;
+    const puzzles = category && level
+      ? catalog.levelWithRetired(category, Number(level))
+      : catalog.all();
+    res.json({ puzzles });
+  });
+
+  // Create a puzzle. Without a position it is appended to the end of the level;
+  // with one, later puzzles shift down to make room.
+  router.post('/puzzles', canAuthor, async (req, res) => {
+    try {
+      const { category, _id } = req.body;
+      const level = Number(req.body.level);
+
+      if (typeof category !== 'string' || !category.trim() || !Number.isInteger(level) || level < 1) {
+        return res.status(400).json({ error: 'category and a positive integer level are required' });
+      }
+      if (_id !== undefined && catalog.find(_id)) {
+        return res.status(409).json({ error: `A puzzle with _id "${_id}" already exists` });
+      }
+
+      const levelPuzzles = catalog.level(category, level);
+      const position = req.body.position === undefined ? levelPuzzles.length : req.body.position;
+      const puzzle = {
+        ...pickAuthoredFields(req.body),
+        _id: _id === undefined ? nextPuzzleId(category, level) : _id,
+        category,
+        level,
+        position,
+        retired: false
+      };
+
+      const shifted = Number.isInteger(position)
+        ? levelPuzzles.filter(p => p.position >= position).map(p => ({ ...p, position: p.position + 1 }))
+        : [];
+      const unchanged = levelPuzzles.filter(p => !shifted.some(s => s._id === p._id));
+
+      const errors = validateLevel(category, level, [...unchanged, ...shifted, puzzle]);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid puzzle', details: errors });
+      }
+
+      await savePuzzles([...shifted, puzzle]);
+      console.log(`✅ Puzzle ${puzzle._id} created by user ${req.userId}`);
+      res.status(201).json({ puzzle: catalog.find(puzzle._id) });
+    } catch (error) {
+      console.error('Puzzle create error:', error);
+      res.status(500).json({ error: 'Failed to create puzzle' });
+    }
+  });
+
+  // Reorder one level: order lists every active puzzle id in the new play order
+  router.put('/puzzles/order', canAuthor, async (req, res) => {
+    try {
+      const { category, order } = req.body;
+      const level = Number(req.body.level);
+      const levelPuzzles = catalog.level(category, level);
+
+      const sameIds = Array.isArray(order) &&
+        order.length === levelPuzzles.length &&
+        new Set(order).size === order.length &&
+        levelPuzzles.every(p => order.includes(p._id));
+      if (levelPuzzles.length === 0 || !sameIds) {
+        return res.status(400).json({ error: 'order must list every active puzzle id of the level exactly once' });
+      }
+
+      const reordered = order.map((puzzleId, position) => ({ ...catalog.find(puzzleId), position }));
+      const errors = validateLevel(category, level, reordered);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid order', details: errors });
+      }
+
+      await savePuzzles(reordered.filter(p => p.position !== catalog.find(p._id).position));
+      console.log(`✅ ${category} level ${level} reordered by user ${req.userId}`);
+      res.json({ puzzles: catalog.level(category, level) });
+    } catch (error) {
+      console.error('Puzzle reorder error:', error);
+      res.status(500).json({ error: 'Failed to reorder puzzles' });
+    }
+  });
+
+  // Update a puzzle's content. Category, level and position are not editable here.
+  router.put('/puzzles/:id', canAuthor, async (req, res) => {
+    try {
+      const existing = catalog.find(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Puzzle not found' });
+      }
+
+      const puzzle = { ...existing, ...pickAuthoredFields(req.body) };
+      const levelPuzzles = catalog.levelWithRetired(existing.category, existing.level)
+        .map(p => (p._id === puzzle._id ? puzzle : p));
+      const errors = validateLevel(existing.category, existing.level, levelPuzzles);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid puzzle', details: errors });
+      }
+
+      await savePuzzles([puzzle]);
+      console.log(`✅ Puzzle ${puzzle._id} updated by user ${req.userId}`);
+      res.json({ puzzle: catalog.find(puzzle._id) });
+    } catch (error) {
+      console.error('Puzzle update error:', error);
+      res.status(500).json({ error: 'Failed to update puzzle' });
+    }
+  });
+
+  // Retire a puzzle: it stops being served and the rest of the level closes the gap.
+  // The record is kept so progress that references it still resolves.
+  router.post('/puzzles/:id/retire', requireRole('admin'), async (req, res) => {
+    try {
+      const existing = catalog.find(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Puzzle not found' });
+      }
+      if (existing.retired) {
+        return res.status(400).json({ error: 'Puzzle is already retired' });
+      }
+
+      const remaining = catalog.level(existing.category, existing.level)
+        .filter(p => p._id !== existing._id);
+      if (remaining.length === 0) {
+        return res.status(400).json({ error: 'Cannot retire the last puzzle of a level' });
+      }
+
+      const compacted = remaining
+        .map((p, position) => ({ ...p, position }))
+        .filter(p => p.position !== catalog.find(p._id).position);
+
+      await savePuzzles([{ ...existing, retired: true }, ...compacted]);
+      console.log(`✅ Puzzle ${existing._id} retired by user ${req.userId}`);
+      res.json({ puzzle: catalog.find(existing._id) });
+    } catch (error) {
+      console.error('Puzzle retire error:', error);
+      res.status(500).json({ error: 'Failed to retire puzzle' });
+    }
+  });
+
+  // How players fare on one puzzle: solve, skip and hint rates, median time to
+  // solve and the wrong answers given most often
+  router.get('/puzzles/:id/analytics', canAuthor, async (req, res) => {
+    try {
+      const puzzle = catalog.find(req.params.id);
+      if (!puzzle) {
+        return res.status(404).json({ error: 'Puzzle not found' });
+      }
+
+      const [attempts, sessions] = await Promise.all([
+        storage.listPuzzleAttempts(puzzle._id),
+        storage.listPuzzlePlaySessions(puzzle._id)
+      ]);
+      res.json({
+        puzzle: {
+          _id: puzzle._id,
+          title: puzzle.title,
+          category: puzzle.category,
+          level: puzzle.level,
+          position: puzzle.position,
+          retired: !!puzzle.retired,
+          correctAnswers: puzzle.correctAnswers
+        },
+        ...summarizePuzzleAttempts(puzzle._id, attempts, sessions)
+      });
+    } catch (error) {
+      console.error('Puzzle analytics error:', error);
+      res.status(500).json({ error: 'Failed to build puzzle analytics' });
+    }
+  });
+
+  // Answers the AI judge accepted after local validation failed, newest first
+  router.get('/ai-acceptances', canAuthor, async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+      const acceptances = await storage.listAiAcceptances({ limit });
+      res.json({
+        acceptances: acceptances.map(acceptance => ({
+          ...acceptance,
+          puzzleTitle: catalog.find(acceptance.puzzleId)?.title || null
+        }))
+      });
+    } catch (error) {
+      console.error('AI acceptance list error:', error);
+      res.status(500).json({ error: 'Failed to list AI acceptances' });
+    }
+  });
+
+  // Running experiments and their variant weights
+  router.get('/experiments', canAuthor, (req, res) => {
+    res.json({
+      experiments: Object.entries(EXPERIMENTS).map(([id, { description, variants }]) => ({ id, description, variants }))
+    });
+  });
+
+  // Solve rate and time-to-solve per variant
+  router.get('/experiments/:id/report', canAuthor, async (req, res) => {
+    try {
+      if (!Object.hasOwn(EXPERIMENTS, req.params.id)) {
+        return res.status(404).json({ error: 'Experiment not found' });
+      }
+      res.json(await experiments.report(req.params.id));
+    } catch (error) {
+      console.error('Experiment report error:', error);
+      res.status(500).json({ error: 'Failed to build experiment report' });
+    }
+  });
+
+  // AI calls, tokens and estimated spend per UTC day and route for the last `days` days
+  router.get('/ai-usage', requireRole('admin'), async (req, res) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+      const to = utcDay();
+      const from = utcDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+      const usage = await storage.listAiUsage({ from, to });
+      res.json({ from, to, ...summarizeUsage(usage) });
+    } catch (error) {
+      console.error('AI usage report error:', error);
+      res.status(500).json({ error: 'Failed to build AI usage report' });
+    }
+  });
+
+  // Drop cached AI judgments, hints and explanations. Both filters are optional;
+  // without either the whole cache is cleared.
+  router.delete('/ai-cache', requireRole('admin'), async (req, res) => {
+    try {
+      const { puzzleId, kind } = req.query;
+      if (kind !== undefined && !AI_CACHE_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `kind must be one of ${AI_CACHE_KINDS.join(', ')}` });
+      }
+
+      const purged = await storage.purgeAiCache({ puzzleId, kind });
+      console.log(`🧹 Purged ${purged} AI cache entr${purged === 1 ? 'y' : 'ies'} (user ${req.userId})`);
+      res.json({ purged });
+    } catch (error) {
+      console.error('AI cache purge error:', error);
+      res.status(500).json({ error: 'Failed to purge AI cache' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
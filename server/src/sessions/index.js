@@ -0,0 +1,98 @@
+// Play sessions: the server's own measure of time on puzzles. The client starts
+// a session when it loads a level, sends a heartbeat while the puzzle screen is
+// visible and ends it on leaving. Only the gaps between heartbeats count, timed
+// with the server clock, so a client can't report time it didn't spend.
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// A longer gap means the player was away (tab hidden, laptop asleep) and earns nothing
+const MAX_HEARTBEAT_GAP_MS = 3 * HEARTBEAT_INTERVAL_MS;
+
+// Open sessions without a heartbeat for this long were abandoned (e.g. the tab closed)
+const SESSION_TIMEOUT_MS = 10 * 60 * 1000;
+
+const END_REASONS = ['left', 'completed'];
+
+const newPlaySession = (userId, category, level, puzzleId, now) => ({
+  userId: String(userId),
+  category,
+  level,
+  currentPuzzleId: puzzleId,
+  puzzles: [],
+  activeMs: 0,
+  startedAt: now,
+  lastSeenAt: now,
+  endedAt: null,
+  endReason: null
+});
+
+const isStale = (session, now) =>
+  !session.endedAt && now - new Date(session.lastSeenAt) > SESSION_TIMEOUT_MS;
+
+// Credit the time since the last heartbeat to the puzzle that was on screen.
+// Returns the milliseconds credited.
+const creditTime = (session, now) => {
+  const gap = now - new Date(session.lastSeenAt);
+  const credit = gap > 0 && gap <= MAX_HEARTBEAT_GAP_MS ? gap : 0;
+  session.lastSeenAt = now;
+  if (credit === 0 || !session.currentPuzzleId) return 0;
+
+  let entry = session.puzzles.find(p => p.puzzleId === session.currentPuzzleId);
+  if (!entry) {
+    entry = { puzzleId: session.currentPuzzleId, activeMs: 0 };
+    session.puzzles.push(entry);
+  }
+  entry.activeMs += credit;
+  session.activeMs += credit;
+  return credit;
+};
+
+// Abandoned sessions keep what their heartbeats earned and end when last seen
+const endSession = (session, now, reason) => {
+  if (isStale(session, now)) {
+    session.endedAt = session.lastSeenAt;
+    session.endReason = 'timeout';
+  } else {
+    creditTime(session, now);
+    session.endedAt = now;
+    session.endReason = reason;
+  }
+  return session;
+};
+
+// Time per category, level and puzzle across sessions
+const summarizePlayTime = (sessions) => {
+  const byCategory = {};
+  const byLevel = new Map();
+  const byPuzzle = new Map();
+
+  sessions.forEach(session => {
+    byCategory[session.category] = (byCategory[session.category] || 0) + session.activeMs;
+    const levelKey = `${session.category} ${session.level}`;
+    if (!byLevel.has(levelKey)) byLevel.set(levelKey, { category: session.category, level: session.level, activeMs: 0 });
+    byLevel.get(levelKey).activeMs += session.activeMs;
+    session.puzzles.forEach(({ puzzleId, activeMs }) => {
+      byPuzzle.set(puzzleId, (byPuzzle.get(puzzleId) || 0) + activeMs);
+    });
+  });
+
+  return {
+    totalMs: sessions.reduce((sum, session) => sum + session.activeMs, 0),
+    sessions: sessions.length,
+    byCategory,
+    byLevel: [...byLevel.values()].sort((a, b) => a.category.localeCompare(b.category) || a.level - b.level),
+    byPuzzle: [...byPuzzle.entries()].map(([puzzleId, activeMs]) => ({ puzzleId, activeMs }))
+  };
+};
+
+module.exports = {
+  HEARTBEAT_INTERVAL_MS,
+  MAX_HEARTBEAT_GAP_MS,
+  SESSION_TIMEOUT_MS,
+  END_REASONS,
+  newPlaySession,
+  isStale,
+  creditTime,
+  endSession,
+  summarizePlayTime
+};
@@ -0,0 +1,15 @@
+// Numeric settings read from the environment. Anything unset, non-numeric or
+// out of range falls back to the default instead of failing at startup.
+
+// Positive number from the environment, or the fallback. With allowZero, 0 is
+// kept too, for settings where it means "off" or "free".
+const numberSetting = (name, fallback, { allowZero = false } = {}) => {
+  const raw = process.env[name];
+  // Number('') is 0, which would quietly switch off a zero-means-off setting
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const value = Number(raw);
+  const inRange = allowZero ? value >= 0 : value > 0;
+  return Number.isFinite(value) && inRange ? value : fallback;
+};
+
+module.exports = { numberSetting };
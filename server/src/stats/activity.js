@@ -0,0 +1,75 @@
+// Dated activity buckets for the stats view: solves, time on puzzles and the
+// categories played, per local day, week (Monday first) or calendar month.
+const { localDay, addDays, weekdayIndex } = require('../streaks');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Longest range one request may cover, so a year heatmap fits with room to spare
+const MAX_RANGE_DAYS = 731;
+
+// A real calendar date written YYYY-MM-DD ('2026-02-30' is not one)
+const isDay = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const bucketStart = (day, granularity) => {
+  if (granularity === 'week') return addDays(day, -weekdayIndex(day));
+  if (granularity === 'month') return `${day.slice(0, 7)}-01`;
+  return day;
+};
+
+const nextBucket = (start, granularity) => {
+  if (granularity === 'week') return addDays(start, 7);
+  if (granularity === 'month') {
+    const date = new Date(`${start}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    return date.toISOString().slice(0, 10);
+  }
+  return addDays(start, 1);
+};
+
+// solves: [{ puzzleId, solvedAt }]; sessions: play sessions, whose time counts
+// on the day they started; categoryOf maps a puzzle id to its category.
+// Buckets cover from..to (local days, inclusive); partial weeks and months at
+// the edges only count days inside the range.
+const buildActivity = ({ solves, sessions, from, to, granularity, timeZone, categoryOf }) => {
+  const buckets = [];
+  const byStart = new Map();
+  for (let start = bucketStart(from, granularity); start <= to; start = nextBucket(start, granularity)) {
+    const bucket = { start, end: addDays(nextBucket(start, granularity), -1), solves: 0, timeSpentMs: 0, categories: {} };
+    buckets.push(bucket);
+    byStart.set(start, bucket);
+  }
+
+  const bucketFor = (day) => (day >= from && day <= to ? byStart.get(bucketStart(day, granularity)) : null);
+
+  solves.forEach(solve => {
+    const bucket = bucketFor(localDay(solve.solvedAt, timeZone));
+    if (!bucket) return;
+    bucket.solves++;
+    const category = categoryOf(solve.puzzleId) || 'other';
+    bucket.categories[category] = (bucket.categories[category] || 0) + 1;
+  });
+
+  sessions.forEach(session => {
+    const bucket = bucketFor(localDay(session.startedAt, timeZone));
+    if (bucket) bucket.timeSpentMs += session.activeMs;
+  });
+
+  return {
+    from,
+    to,
+    granularity,
+    timeZone,
+    buckets,
+    totals: {
+      solves: buckets.reduce((sum, b) => sum + b.solves, 0),
+      timeSpentMs: buckets.reduce((sum, b) => sum + b.timeSpentMs, 0),
+      activeDays: new Set(solves.map(s => localDay(s.solvedAt, timeZone)).filter(day => day >= from && day <= to)).size
+    }
+  };
+};
+
+module.exports = { GRANULARITIES, MAX_RANGE_DAYS, isDay, buildActivity };
@@ -0,0 +1,55 @@
+// Per-category and per-level breakdown of one user's play: how much is solved,
+// how often the first answer is right, and how long solving takes.
+const { rate, median } = require('./math');
+
+// Submissions up to and including the one that first earned credit. States
+// solved before attemptsToSolve was recorded only have the running total.
+const attemptsToSolve = (state) => state.attemptsToSolve ?? state.attempts;
+
+// states: the puzzle states of the puzzles in one group; timeByPuzzle: server-measured ms
+const summarize = (puzzles, states, timeByPuzzle) => {
+  const answered = states.filter(s => s.attempts > 0);
+  const solved = states.filter(s => s.status === 'solved');
+  // Right on the first submission, without having seen the answer through a skip
+  const firstTry = solved.filter(s => attemptsToSolve(s) === 1 && !s.skippedAt);
+  const solveTimes = solved.map(s => timeByPuzzle.get(s.puzzleId)).filter(ms => ms > 0);
+
+  return {
+    totalPuzzles: puzzles.length,
+    solved: solved.length,
+    firstTryAccuracy: rate(firstTry.length, answered.length),
+    averageAttempts: solved.length
+      ? Math.round((solved.reduce((sum, s) => sum + attemptsToSolve(s), 0) / solved.length) * 100) / 100
+      : null,
+    hintsUsed: states.reduce((sum, s) => sum + (s.hintsUsed || 0), 0),
+    skips: states.filter(s => s.skippedAt).length,
+    medianTimeMs: median(solveTimes)
+  };
+};
+
+// puzzles: the active catalog puzzles; byPuzzle: summarizePlayTime(...).byPuzzle
+const buildCategoryStats = ({ categories, levels, puzzles, puzzleStates, byPuzzle }) => {
+  const stateById = new Map(puzzleStates.map(s => [s.puzzleId, s]));
+  const timeByPuzzle = new Map(byPuzzle.map(({ puzzleId, activeMs }) => [puzzleId, activeMs]));
+  const statesOf = (group) => group.map(p => stateById.get(p._id)).filter(Boolean);
+
+  const breakdown = categories.map(category => {
+    const categoryPuzzles = puzzles.filter(p => p.category === category);
+    return {
+      category,
+      ...summarize(categoryPuzzles, statesOf(categoryPuzzles), timeByPuzzle),
+      levels: levels.map(level => {
+        const levelPuzzles = categoryPuzzles.filter(p => p.level === level);
+        return { level, ...summarize(levelPuzzles, statesOf(levelPuzzles), timeByPuzzle) };
+      })
+    };
+  });
+
+  const allPuzzles = puzzles.filter(p => categories.includes(p.category));
+  return {
+    categories: breakdown,
+    overall: summarize(allPuzzles, statesOf(allPuzzles), timeByPuzzle)
+  };
+};
+
+module.exports = { buildCategoryStats };
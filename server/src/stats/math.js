@@ -0,0 +1,13 @@
+// Small numeric helpers shared by the stats, analytics and experiment reports.
+
+// count / total rounded to three decimals; null when there is nothing to divide by
+const rate = (count, total) => (total ? Math.round((count / total) * 1000) / 1000 : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+module.exports = { rate, median };
@@ -0,0 +1,62 @@
+// File-backed storage adapter for single-box deployments without MongoDB.
+// Keeps the working set in memory (via the memory adapter) and rewrites the
+// whole data file after every change.
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStorage, emptyState } = require('./memory');
+
+// JSON has no Date type; bring back the fields we store as dates
+const reviveDates = (key, value) => {
+  if (typeof value === 'string' && /(At|Date)$/.test(key)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date;
+  }
+  return value;
+};
+
+const loadState = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return emptyState();
+  }
+
+  const raw = fs.readFileSync(filePath, 'utf8');
+  try {
+    // Collections added after the file was written start out empty
+    return { ...emptyState(), ...JSON.parse(raw, reviveDates) };
+  } catch (err) {
+    throw new Error(`Data file ${filePath} is not valid JSON: ${err.message}`);
+  }
+};
+
+// Write to a temp file in the same directory, then rename over the target.
+// rename() is atomic on the same filesystem, so a crash mid-write never
+// leaves a truncated data file behind.
+const writeAtomic = async (filePath, contents) => {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpPath, contents, 'utf8');
+  await fs.promises.rename(tmpPath, filePath);
+};
+
+const createFileStorage = (filePath) => {
+  const resolvedPath = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  const state = loadState(resolvedPath);
+
+  // Serialize writes so an older snapshot can never land after a newer one
+  let pending = Promise.resolve();
+  const persist = () => {
+    const contents = JSON.stringify(state, null, 2);
+    pending = pending
+      .catch(() => {})
+      .then(() => writeAtomic(resolvedPath, contents));
+    return pending;
+  };
+
+  return {
+    ...createMemoryStorage({ state, onChange: persist }),
+    name: 'File',
+    filePath: resolvedPath
+  };
+};
+
+module.exports = { createFileStorage };
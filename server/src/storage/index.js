@@ -0,0 +1,135 @@
+// Storage layer. Routes talk to one repository interface and never check which
+// database is behind it:
+//
+//   createUser({ username, email, password, role, timeZone }) -> user
+//   findUserById(userId)                             -> user | null
+//   updateUser(userId, fields)                       -> user | null
+//   findUserByEmail(email)                           -> user | null
+//   findUserByEmailOrUsername(email, username)       -> user | null
+//   getStreak(userId)                                -> streak | null
+//   saveStreak(streak)                               -> streak
+//   getLevelProgress(userId, category, level)        -> progress | null
+//   listLevelProgress(userId)                        -> progress[]
+//   saveLevelProgress(progress)                      -> progress
+//   getPuzzleState(userId, puzzleId)                 -> puzzleState | null
+//   listPuzzleStates(userId)                         -> puzzleState[]
+//   savePuzzleState(puzzleState)                     -> puzzleState
+//   listPuzzles()                                    -> puzzle[] (authored/imported puzzles)
+//   savePuzzle(puzzle)                               -> puzzle
+//   logAiAcceptance(acceptance)                      -> acceptance
+//   listAiAcceptances({ limit })                     -> acceptance[] (newest first)
+//   getAiCacheEntry(key)                             -> entry | null (expired entries count as missing)
+//   saveAiCacheEntry(entry)                          -> entry (replaces any entry with the same key)
+//   purgeAiCache({ puzzleId, kind })                 -> number of entries removed (both filters optional)
+//   saveExperimentExposure(exposure)                 -> exposure (the first one per experiment, user and puzzle wins)
+//   markExperimentExposuresSolved(userId, puzzleId, solvedAt)
+//   listExperimentExposures(experimentId)            -> exposure[]
+//   recordAiUsage(usage)                             -> usage
+//   saveAiUsage(usage)                               -> usage (updates an existing record)
+//   countAiCalls({ day, userId })                    -> calls reserved or made, not refused (userId optional)
+//   listAiUsage({ from, to })                        -> usage[] for days from..to (YYYY-MM-DD, inclusive)
+//   recordAttempt(attempt)                           -> attempt
+//   listAttempts(userId, { puzzleId, action, offset, limit })
+//                                                    -> { attempts (newest first), total }
+//   listPuzzleAttempts(puzzleId)                     -> every user's attempts at one puzzle, oldest first
+//   createPlaySession(session)                       -> session
+//   getPlaySession(sessionId)                        -> session | null
+//   savePlaySession(session)                         -> session
+//   listPlaySessions(userId)                         -> session[], oldest first
+//   listPuzzlePlaySessions(puzzleId)                 -> every user's sessions with time on one puzzle
+//   createAuthSession(session)                       -> session
+//   getAuthSession(sessionId)                        -> session | null
+//   saveAuthSession(session)                         -> session
+//   listAuthSessions(userId)                         -> session[]
+//   createPasswordReset(reset)                       -> reset
+//   getPasswordReset(resetId)                        -> reset | null
+//   savePasswordReset(reset)                         -> reset
+//   listPasswordResets(userId)                       -> reset[]
+//
+// Every method is async and works with plain objects whose ids are strings.
+const mongoose = require('mongoose');
+const { createMongoStorage } = require('./mongo');
+const { createMemoryStorage } = require('./memory');
+const { createFileStorage } = require('./file');
+
+const newStreak = (userId) => ({
+  userId: String(userId),
+  currentStreak: 0,
+  longestStreak: 0,
+  lastActivityDate: null,
+  streakFreezes: 0,
+  frozenDays: [],
+  totalPuzzlesSolved: 0,
+  solvedPuzzles: [],
+  solvedHistory: [],
+  totalTimeSpent: 0
+});
+
+const newLevelProgress = (userId, category, level, totalPuzzles = 5) => ({
+  userId: String(userId),
+  category,
+  level,
+  completed: false,
+  puzzlesSolved: 0,
+  totalPuzzles,
+  solvedPuzzleIds: [],
+  completedAt: null,
+  createdAt: new Date()
+});
+
+const newPuzzleState = (userId, puzzleId) => ({
+  userId: String(userId),
+  puzzleId,
+  status: 'unseen',
+  attempts: 0,
+  attemptsToSolve: null,
+  hintsUsed: 0,
+  skippedAt: null,
+  solvedAt: null
+});
+
+const connectMongo = () =>
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/brainkick', {
+    serverSelectionTimeoutMS: 5000
+  });
+
+// Pick a backend once at startup from STORAGE:
+//   mongo  - MongoDB only; fail if it is unreachable
+//   file   - JSON data file at DATA_FILE (default ./data/brainkick.json)
+//   memory - in-memory only, lost on restart
+//   auto   - MongoDB when it is reachable, memory otherwise (default)
+const createStorage = async () => {
+  const mode = (process.env.STORAGE || 'auto').toLowerCase();
+
+  switch (mode) {
+    case 'mongo':
+      await connectMongo();
+      console.log('✅ Connected to MongoDB');
+      return createMongoStorage();
+
+    case 'file': {
+      const storage = createFileStorage(process.env.DATA_FILE || './data/brainkick.json');
+      console.log(`✅ Using data file ${storage.filePath}`);
+      return storage;
+    }
+
+    case 'memory':
+      return createMemoryStorage();
+
+    case 'auto':
+      try {
+        await connectMongo();
+        console.log('✅ Connected to MongoDB');
+        return createMongoStorage();
+      } catch (err) {
+        console.log('❌ MongoDB connection failed, using in-memory storage');
+        console.log('   Set STORAGE=file to keep data across restarts without MongoDB');
+        return createMemoryStorage();
+      }
+
+    default:
+      throw new Error(`Unknown STORAGE mode "${mode}" (expected auto, mongo, file or memory)`);
+  }
+};
+
+module.exports = { createStorage, newStreak, newLevelProgress, newPuzzleState };
@@ -0,0 +1,336 @@
+// In-memory storage adapter. Data lives only as long as the process does,
+// unless a caller passes an onChange hook to persist the state (see file.js).
+
+const { randomUUID } = require('crypto');
+
+// Hand out copies so callers can't mutate stored records without saving them
+const clone = (record) => (record ? structuredClone(record) : null);
+
+const emptyState = () => ({
+  userIdCounter: 1,
+  users: [],
+  streaks: [],
+  levelProgress: [],
+  puzzles: [],
+  puzzleStates: [],
+  aiAcceptances: [],
+  aiCache: [],
+  experimentExposures: [],
+  aiUsage: [],
+  attempts: [],
+  playSessions: [],
+  authSessions: [],
+  passwordResets: []
+});
+
+const createMemoryStorage = ({ state = emptyState(), onChange = async () => {} } = {}) => {
+  const {
+    users, streaks, levelProgress, puzzles, puzzleStates, aiAcceptances, aiCache, experimentExposures, aiUsage,
+    attempts, playSessions, authSessions, passwordResets
+  } = state;
+
+  const removeFromCache = (shouldRemove) => {
+    const before = aiCache.length;
+    const kept = aiCache.filter(entry => !shouldRemove(entry));
+    aiCache.splice(0, aiCache.length, ...kept);
+    return before - kept.length;
+  };
+
+  return {
+    name: 'In-Memory',
+
+    async createUser({ username, email, password, role = 'user', timeZone = null }) {
+      const user = {
+        // store in-memory ids as strings for consistency with JWT and Mongo ids
+        _id: String(state.userIdCounter++),
+        username,
+        email,
+        password,
+        role,
+        timeZone,
+        createdAt: new Date()
+      };
+      users.push(user);
+      await onChange(state);
+      return clone(user);
+    },
+
+    async findUserById(userId) {
+      return clone(users.find(u => u._id === String(userId)));
+    },
+
+    async updateUser(userId, fields) {
+      const user = users.find(u => u._id === String(userId));
+      if (!user) return null;
+      Object.assign(user, clone(fields));
+      await onChange(state);
+      return clone(user);
+    },
+
+    async findUserByEmail(email) {
+      return clone(users.find(u => u.email === email));
+    },
+
+    async findUserByEmailOrUsername(email, username) {
+      return clone(users.find(u => u.email === email || u.username === username));
+    },
+
+    async getStreak(userId) {
+      return clone(streaks.find(s => s.userId === String(userId)));
+    },
+
+    async saveStreak(streak) {
+      const record = clone({ ...streak, userId: String(streak.userId) });
+      const index = streaks.findIndex(s => s.userId === record.userId);
+      if (index === -1) {
+        streaks.push(record);
+      } else {
+        streaks[index] = record;
+      }
+      await onChange(state);
+      return clone(record);
+    },
+
+    async getLevelProgress(userId, category, level) {
+      return clone(levelProgress.find(p =>
+        p.userId === String(userId) && p.category === category && p.level === level
+      ));
+    },
+
+    async listLevelProgress(userId) {
+      return levelProgress.filter(p => p.userId === String(userId)).map(clone);
+    },
+
+    async saveLevelProgress(progress) {
+      const record = clone({ ...progress, userId: String(progress.userId) });
+      const index = levelProgress.findIndex(p =>
+        p.userId === record.userId && p.category === record.category && p.level === record.level
+      );
+      if (index === -1) {
+        levelProgress.push(record);
+      } else {
+        levelProgress[index] = record;
+      }
+      await onChange(state);
+      return clone(record);
+    },
+
+    async getPuzzleState(userId, puzzleId) {
+      return clone(puzzleStates.find(s => s.userId === String(userId) && s.puzzleId === puzzleId));
+    },
+
+    async listPuzzleStates(userId) {
+      return puzzleStates.filter(s => s.userId === String(userId)).map(clone);
+    },
+
+    async savePuzzleState(puzzleState) {
+      const record = clone({ ...puzzleState, userId: String(puzzleState.userId) });
+      const index = puzzleStates.findIndex(s => s.userId === record.userId && s.puzzleId === record.puzzleId);
+      if (index === -1) {
+        puzzleStates.push(record);
+      } else {
+        puzzleStates[index] = record;
+      }
+      await onChange(state);
+      return clone(record);
+    },
+
+    async listPuzzles() {
+      return puzzles.map(clone);
+    },
+
+    async savePuzzle(puzzle) {
+      const record = clone(puzzle);
+      const index = puzzles.findIndex(p => p._id === record._id);
+      if (index === -1) {
+        puzzles.push(record);
+      } else {
+        puzzles[index] = record;
+      }
+      await onChange(state);
+      return clone(record);
+    },
+
+    async logAiAcceptance(acceptance) {
+      const record = clone({ ...acceptance, _id: randomUUID(), userId: String(acceptance.userId) });
+      aiAcceptances.push(record);
+      await onChange(state);
+      return clone(record);
+    },
+
+    async listAiAcceptances({ limit = 50 } = {}) {
+      return aiAcceptances.slice(-limit).reverse().map(clone);
+    },
+
+    async getAiCacheEntry(key) {
+      const entry = aiCache.find(e => e.key === key);
+      return entry && entry.expiresAt > new Date() ? clone(entry) : null;
+    },
+
+    async saveAiCacheEntry(entry) {
+      // Drop expired entries while we are here so the cache can't grow forever
+      const now = new Date();
+      removeFromCache(e => e.key === entry.key || e.expiresAt <= now);
+      const record = clone({ ...entry, _id: randomUUID() });
+      aiCache.push(record);
+      await onChange(state);
+      return clone(record);
+    },
+
+    async purgeAiCache({ puzzleId, kind } = {}) {
+      const removed = removeFromCache(e =>
+        (puzzleId === undefined || e.puzzleId === puzzleId) && (kind === undefined || e.kind === kind)
+      );
+      if (removed > 0) await onChange(state);
+      return removed;
+    },
+
+    async saveExperimentExposure(exposure) {
+      const existing = experimentExposures.find(e =>
+        e.experimentId === exposure.experimentId &&
+        e.userId === String(exposure.userId) &&
+        e.puzzleId === exposure.puzzleId
+      );
+      if (existing) return clone(existing);
+
+      const record = clone({ ...exposure, _id: randomUUID(), userId: String(exposure.userId) });
+      experimentExposures.push(record);
+      await onChange(state);
+      return clone(record);
+    },
+
+    async markExperimentExposuresSolved(userId, puzzleId, solvedAt) {
+      const unsolved = experimentExposures.filter(e =>
+        e.userId === String(userId) && e.puzzleId === puzzleId && !e.solvedAt
+      );
+      if (unsolved.length === 0) return;
+      unsolved.forEach(e => { e.solvedAt = solvedAt; });
+      await onChange(state);
+    },
+
+    async listExperimentExposures(experimentId) {
+      return experimentExposures.filter(e => e.experimentId === experimentId).map(clone);
+    },
+
+    async recordAiUsage(usage) {
+      const record = clone({ ...usage, _id: randomUUID(), userId: usage.userId === null ? null : String(usage.userId) });
+      aiUsage.push(record);
+      await onChange(state);
+      return clone(record);
+    },
+
+    async saveAiUsage(usage) {
+      const index = aiUsage.findIndex(u => u._id === usage._id);
+      if (index === -1) return null;
+      aiUsage[index] = clone({ ...usage, userId: usage.userId === null ? null : String(usage.userId) });
+      await onChange(state);
+      return clone(aiUsage[index]);
+    },
+
+    async countAiCalls({ day, userId }) {
+      return aiUsage.filter(u =>
+        u.day === day && u.outcome !== 'over-quota' && (userId === undefined || u.userId === String(userId))
+      ).length;
+    },
+
+    async listAiUsage({ from, to }) {
+      return aiUsage.filter(u => u.day >= from && u.day <= to).map(clone);
+    },
+
+    async recordAttempt(attempt) {
+      const record = clone({ ...attempt, _id: randomUUID(), userId: String(attempt.userId) });
+      attempts.push(record);
+      await onChange(state);
+      return clone(record);
+    },
+
+    // Attempts are appended in time order, so newest first is a reverse
+    async listAttempts(userId, { puzzleId, action, offset = 0, limit = 20 } = {}) {
+      const matching = attempts.filter(a =>
+        a.userId === String(userId) &&
+        (puzzleId === undefined || a.puzzleId === puzzleId) &&
+        (action === undefined || a.action === action)
+      ).reverse();
+      return { attempts: matching.slice(offset, offset + limit).map(clone), total: matching.length };
+    },
+
+    async listPuzzleAttempts(puzzleId) {
+      return attempts.filter(a => a.puzzleId === puzzleId).map(clone);
+    },
+
+    async createPlaySession(session) {
+      const record = clone({ ...session, _id: randomUUID(), userId: String(session.userId) });
+      playSessions.push(record);
+      await onChange(state);
+      return clone(record);
+    },
+
+    async getPlaySession(sessionId) {
+      return clone(playSessions.find(s => s._id === String(sessionId)));
+    },
+
+    async savePlaySession(session) {
+      const index = playSessions.findIndex(s => s._id === session._id);
+      if (index === -1) return null;
+      playSessions[index] = clone({ ...session, userId: String(session.userId) });
+      await onChange(state);
+      return clone(playSessions[index]);
+    },
+
+    async listPlaySessions(userId) {
+      return playSessions.filter(s => s.userId === String(userId)).map(clone);
+    },
+
+    async listPuzzlePlaySessions(puzzleId) {
+      return playSessions.filter(s => (s.puzzles || []).some(p => p.puzzleId === puzzleId)).map(clone);
+    },
+
+    async createAuthSession(session) {
+      const record = clone({ ...session, _id: randomUUID(), userId: String(session.userId) });
+      authSessions.push(record);
+      await onChange(state);
+      return clone(record);
+    },
+
+    async getAuthSession(sessionId) {
+      return clone(authSessions.find(s => s._id === String(sessionId)));
+    },
+
+    async saveAuthSession(session) {
+      const index = authSessions.findIndex(s => s._id === session._id);
+      if (index === -1) return null;
+      authSessions[index] = clone({ ...session, userId: String(session.userId) });
+      await onChange(state);
+      return clone(authSessions[index]);
+    },
+
+    async listAuthSessions(userId) {
+      return authSessions.filter(s => s.userId === String(userId)).map(clone);
+    },
+
+    async createPasswordReset(reset) {
+      const record = clone({ ...reset, _id: randomUUID(), userId: String(reset.userId) });
+      passwordResets.push(record);
+      await onChange(state);
+      return clone(record);
+    },
+
+    async getPasswordReset(resetId) {
+      return clone(passwordResets.find(r => r._id === String(resetId)));
+    },
+
+    async savePasswordReset(reset) {
+      const index = passwordResets.findIndex(r => r._id === reset._id);
+      if (index === -1) return null;
+      passwordResets[index] = clone({ ...reset, userId: String(reset.userId) });
+      await onChange(state);
+      return clone(passwordResets[index]);
+    },
+
+    async listPasswordResets(userId) {
+      return passwordResets.filter(r => r.userId === String(userId)).map(clone);
+    }
+  };
+};
+
+module.exports = { createMemoryStorage, emptyState };
@@ -0,0 +1,294 @@
+// MongoDB storage adapter. Expects mongoose to already be connected.
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Streak = require('../models/streak');
+const LevelProgress = require('../models/levelProgress');
+const Puzzle = require('../models/puzzle');
+const PuzzleState = require('../models/puzzleState');
+const AiAcceptance = require('../models/aiAcceptance');
+const AiCacheEntry = require('../models/aiCacheEntry');
+const ExperimentExposure = require('../models/experimentExposure');
+const AiUsage = require('../models/aiUsage');
+const Attempt = require('../models/attempt');
+const PlaySession = require('../models/playSession');
+const AuthSession = require('../models/authSession');
+const PasswordReset = require('../models/passwordReset');
+
+// Convert string ID to ObjectId if needed
+const toObjectId = (id) =>
+  mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id) : id;
+
+// Lean documents keep ObjectIds; routes and JWTs work with plain string ids
+const toRecord = (doc) => {
+  if (!doc) return null;
+  const { __v, ...record } = doc;
+  record._id = String(record._id);
+  if (record.userId != null) {
+    record.userId = String(record.userId);
+  }
+  return record;
+};
+
+// Strip identity fields so they are never part of an update
+const toUpdate = (record) => {
+  const { _id, __v, userId, ...fields } = record;
+  return fields;
+};
+
+const createMongoStorage = () => ({
+  name: 'MongoDB',
+
+  async createUser({ username, email, password, role = 'user', timeZone = null }) {
+    const user = await User.create({ username, email, password, role, timeZone });
+    return toRecord(user.toObject());
+  },
+
+  async findUserById(userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+    return toRecord(await User.findById(userId).lean());
+  },
+
+  async updateUser(userId, fields) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+    return toRecord(await User.findByIdAndUpdate(userId, { $set: fields }, { new: true }).lean());
+  },
+
+  async findUserByEmail(email) {
+    return toRecord(await User.findOne({ email }).lean());
+  },
+
+  async findUserByEmailOrUsername(email, username) {
+    return toRecord(await User.findOne({ $or: [{ email }, { username }] }).lean());
+  },
+
+  async getStreak(userId) {
+    return toRecord(await Streak.findOne({ userId: toObjectId(userId) }).lean());
+  },
+
+  async saveStreak(streak) {
+    const saved = await Streak.findOneAndUpdate(
+      { userId: toObjectId(streak.userId) },
+      { $set: toUpdate(streak) },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    return toRecord(saved);
+  },
+
+  async getLevelProgress(userId, category, level) {
+    return toRecord(await LevelProgress.findOne({ userId: toObjectId(userId), category, level }).lean());
+  },
+
+  async listLevelProgress(userId) {
+    const progress = await LevelProgress.find({ userId: toObjectId(userId) }).lean();
+    return progress.map(toRecord);
+  },
+
+  async saveLevelProgress(progress) {
+    const { category, level } = progress;
+    const saved = await LevelProgress.findOneAndUpdate(
+      { userId: toObjectId(progress.userId), category, level },
+      { $set: toUpdate(progress) },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    return toRecord(saved);
+  },
+
+  async getPuzzleState(userId, puzzleId) {
+    return toRecord(await PuzzleState.findOne({ userId: toObjectId(userId), puzzleId }).lean());
+  },
+
+  async listPuzzleStates(userId) {
+    const states = await PuzzleState.find({ userId: toObjectId(userId) }).lean();
+    return states.map(toRecord);
+  },
+
+  async savePuzzleState(puzzleState) {
+    const { puzzleId } = puzzleState;
+    const saved = await PuzzleState.findOneAndUpdate(
+      { userId: toObjectId(puzzleState.userId), puzzleId },
+      { $set: toUpdate(puzzleState) },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    return toRecord(saved);
+  },
+
+  async listPuzzles() {
+    const puzzles = await Puzzle.find({}).lean();
+    return puzzles.map(toRecord);
+  },
+
+  async savePuzzle(puzzle) {
+    const { _id, __v, ...fields } = puzzle;
+    const saved = await Puzzle.findOneAndUpdate(
+      { _id },
+      { $set: fields },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    return toRecord(saved);
+  },
+
+  async logAiAcceptance(acceptance) {
+    const saved = await AiAcceptance.create({ ...acceptance, userId: toObjectId(acceptance.userId) });
+    return toRecord(saved.toObject());
+  },
+
+  async listAiAcceptances({ limit = 50 } = {}) {
+    const acceptances = await AiAcceptance.find({}).sort({ createdAt: -1 }).limit(limit).lean();
+    return acceptances.map(toRecord);
+  },
+
+  // The TTL index deletes expired entries eventually; the expiresAt filter covers the gap
+  async getAiCacheEntry(key) {
+    return toRecord(await AiCacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean());
+  },
+
+  async saveAiCacheEntry(entry) {
+    const { _id, __v, ...fields } = entry;
+    const saved = await AiCacheEntry.findOneAndUpdate(
+      { key: entry.key },
+      { $set: fields },
+      { upsert: true, new: true }
+    ).lean();
+    return toRecord(saved);
+  },
+
+  async purgeAiCache({ puzzleId, kind } = {}) {
+    const filter = {
+      ...(puzzleId !== undefined && { puzzleId }),
+      ...(kind !== undefined && { kind })
+    };
+    const { deletedCount } = await AiCacheEntry.deleteMany(filter);
+    return deletedCount;
+  },
+
+  async saveExperimentExposure(exposure) {
+    const { experimentId, puzzleId } = exposure;
+    const saved = await ExperimentExposure.findOneAndUpdate(
+      { experimentId, userId: toObjectId(exposure.userId), puzzleId },
+      { $setOnInsert: toUpdate(exposure) },
+      { upsert: true, new: true }
+    ).lean();
+    return toRecord(saved);
+  },
+
+  async markExperimentExposuresSolved(userId, puzzleId, solvedAt) {
+    await ExperimentExposure.updateMany(
+      { userId: toObjectId(userId), puzzleId, solvedAt: null },
+      { $set: { solvedAt } }
+    );
+  },
+
+  async listExperimentExposures(experimentId) {
+    const exposures = await ExperimentExposure.find({ experimentId }).lean();
+    return exposures.map(toRecord);
+  },
+
+  async recordAiUsage(usage) {
+    const saved = await AiUsage.create({ ...usage, userId: usage.userId === null ? null : toObjectId(usage.userId) });
+    return toRecord(saved.toObject());
+  },
+
+  async saveAiUsage(usage) {
+    return toRecord(await AiUsage.findByIdAndUpdate(usage._id, { $set: toUpdate(usage) }, { new: true }).lean());
+  },
+
+  async countAiCalls({ day, userId }) {
+    return AiUsage.countDocuments({
+      day,
+      outcome: { $ne: 'over-quota' },
+      ...(userId !== undefined && { userId: toObjectId(userId) })
+    });
+  },
+
+  async listAiUsage({ from, to }) {
+    const usage = await AiUsage.find({ day: { $gte: from, $lte: to } }).lean();
+    return usage.map(toRecord);
+  },
+
+  async recordAttempt(attempt) {
+    const saved = await Attempt.create({ ...attempt, userId: toObjectId(attempt.userId) });
+    return toRecord(saved.toObject());
+  },
+
+  async listAttempts(userId, { puzzleId, action, offset = 0, limit = 20 } = {}) {
+    const filter = {
+      userId: toObjectId(userId),
+      ...(puzzleId !== undefined && { puzzleId }),
+      ...(action !== undefined && { action })
+    };
+    const [attempts, total] = await Promise.all([
+      Attempt.find(filter).sort({ createdAt: -1, _id: -1 }).skip(offset).limit(limit).lean(),
+      Attempt.countDocuments(filter)
+    ]);
+    return { attempts: attempts.map(toRecord), total };
+  },
+
+  async listPuzzleAttempts(puzzleId) {
+    const attempts = await Attempt.find({ puzzleId }).sort({ createdAt: 1, _id: 1 }).lean();
+    return attempts.map(toRecord);
+  },
+
+  async createPlaySession(session) {
+    const saved = await PlaySession.create({ ...session, userId: toObjectId(session.userId) });
+    return toRecord(saved.toObject());
+  },
+
+  async getPlaySession(sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    return toRecord(await PlaySession.findById(sessionId).lean());
+  },
+
+  async savePlaySession(session) {
+    return toRecord(await PlaySession.findByIdAndUpdate(session._id, { $set: toUpdate(session) }, { new: true }).lean());
+  },
+
+  async listPlaySessions(userId) {
+    const sessions = await PlaySession.find({ userId: toObjectId(userId) }).sort({ startedAt: 1 }).lean();
+    return sessions.map(toRecord);
+  },
+
+  async listPuzzlePlaySessions(puzzleId) {
+    const sessions = await PlaySession.find({ 'puzzles.puzzleId': puzzleId }).sort({ startedAt: 1 }).lean();
+    return sessions.map(toRecord);
+  },
+
+  async createAuthSession(session) {
+    const saved = await AuthSession.create({ ...session, userId: toObjectId(session.userId) });
+    return toRecord(saved.toObject());
+  },
+
+  async getAuthSession(sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    return toRecord(await AuthSession.findById(sessionId).lean());
+  },
+
+  async saveAuthSession(session) {
+    return toRecord(await AuthSession.findByIdAndUpdate(session._id, { $set: toUpdate(session) }, { new: true }).lean());
+  },
+
+  async listAuthSessions(userId) {
+    const sessions = await AuthSession.find({ userId: toObjectId(userId) }).lean();
+    return sessions.map(toRecord);
+  },
+
+  async createPasswordReset(reset) {
+    const saved = await PasswordReset.create({ ...reset, userId: toObjectId(reset.userId) });
+    return toRecord(saved.toObject());
+  },
+
+  async getPasswordReset(resetId) {
+    if (!mongoose.Types.ObjectId.isValid(resetId)) return null;
+    return toRecord(await PasswordReset.findById(resetId).lean());
+  },
+
+  async savePasswordReset(reset) {
+    return toRecord(await PasswordReset.findByIdAndUpdate(reset._id, { $set: toUpdate(reset) }, { new: true }).lean());
+  },
+
+  async listPasswordResets(userId) {
+    const resets = await PasswordReset.find({ userId: toObjectId(userId) }).lean();
+    return resets.map(toRecord);
+  }
+});
+
+module.exports = { createMongoStorage };
@@ -0,0 +1,119 @@
+// Daily streaks counted in the player's own timezone. A "day" is a local
+// calendar date (YYYY-MM-DD) in the user's IANA zone, so the boundary is the
+// player's midnight rather than the server's, and DST days are just days.
+
+// Users who never sent a timezone count days in UTC
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Streak freezes: one is earned for every FREEZE_EARN_EVERY streak days, up to
+// MAX_FREEZES held at once. Each one covers a single missed day.
+const FREEZE_EARN_EVERY = 7;
+const MAX_FREEZES = 2;
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone || timeZone.length > 64) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE);
+
+// Intl formatters are expensive to build, so keep one per zone
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// The local calendar date of an instant, e.g. '2026-03-08'
+const localDay = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    formatterFor(resolveTimeZone(timeZone)).formatToParts(new Date(date)).map(({ type, value }) => [type, value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Calendar arithmetic on day strings. Done in UTC, where every day is 24 hours.
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+
+// 0 = Monday ... 6 = Sunday
+const weekdayIndex = (day) => (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+
+// The last day the streak is accounted for, whether played or frozen
+const coveredThrough = (streak, timeZone) => {
+  const lastActive = streak.lastActivityDate ? localDay(streak.lastActivityDate, timeZone) : null;
+  const lastFrozen = (streak.frozenDays || []).reduce((latest, day) => (day > latest ? day : latest), '');
+  return lastFrozen > (lastActive || '') ? lastFrozen : lastActive;
+};
+
+// Settle the days that ended without a solve since the streak was last covered.
+// If the freezes on hand cover all of them they are spent and those days are
+// recorded as frozen; otherwise the streak is lost and the freezes are kept.
+// Returns true when the streak changed and needs saving.
+const settleMissedDays = (streak, now, timeZone) => {
+  const through = coveredThrough(streak, timeZone);
+  if (!streak.currentStreak || !through) return false;
+
+  const yesterday = addDays(localDay(now, timeZone), -1);
+  const missed = daysBetween(through, yesterday);
+  if (missed <= 0) return false;
+
+  if (missed > (streak.streakFreezes || 0)) {
+    streak.currentStreak = 0;
+    return true;
+  }
+
+  streak.streakFreezes -= missed;
+  streak.frozenDays = streak.frozenDays || [];
+  for (let day = addDays(through, 1); day <= yesterday; day = addDays(day, 1)) {
+    streak.frozenDays.push(day);
+  }
+  return true;
+};
+
+// Count a solve at `now` towards the streak. Only the first solve of a local day
+// moves it: it extends a streak that is covered through yesterday (frozen days
+// keep it alive without adding to it) and restarts one that lapsed.
+const recordStreakDay = (streak, now, timeZone) => {
+  settleMissedDays(streak, now, timeZone);
+  if (streak.lastActivityDate && localDay(streak.lastActivityDate, timeZone) === localDay(now, timeZone)) return;
+
+  streak.currentStreak = (streak.currentStreak || 0) + 1;
+  streak.longestStreak = Math.max(streak.longestStreak || 0, streak.currentStreak);
+  streak.lastActivityDate = now;
+
+  if (streak.currentStreak % FREEZE_EARN_EVERY === 0 && (streak.streakFreezes || 0) < MAX_FREEZES) {
+    streak.streakFreezes = (streak.streakFreezes || 0) + 1;
+  }
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  FREEZE_EARN_EVERY,
+  MAX_FREEZES,
+  isValidTimeZone,
+  resolveTimeZone,
+  localDay,
+  addDays,
+  daysBetween,
+  weekdayIndex,
+  settleMissedDays,
+  recordStreakDay
+};
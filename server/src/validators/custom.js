@@ -0,0 +1,45 @@
+// Named checks for puzzles whose answers don't fit a generic validator.
+//   validator: { type: 'custom', name: 'implication', terms: ['p', 'r'] }  (terms optional)
+// Add new checks to CHECKS; each returns true when the answer is correct.
+const { normalizeText } = require('./normalize');
+
+const CHECKS = {
+  // 'P implies R' written any common way: 'p -> r', 'P → R', 'if p then r', ...
+  implication(answer, puzzle, config) {
+    const [from, to] = (config.terms || ['p', 'r']).map(term => term.toLowerCase());
+    const text = normalizeText(answer).replace(/\s+/g, '');
+    return [
+      `${from}implies${to}`,
+      `${from}->${to}`,
+      `${from}=>${to}`,
+      `${from}→${to}`,
+      `${from}⇒${to}`,
+      `if${from}then${to}`,
+      `${from}entails${to}`
+    ].includes(text);
+  }
+};
+
+module.exports = {
+  type: 'custom',
+
+  // Own properties only, so names like 'toString' can't reach Object.prototype
+  validateConfig(config) {
+    const errors = [];
+    if (typeof config.name !== 'string' || !Object.hasOwn(CHECKS, config.name)) {
+      errors.push(`custom validator "${config.name}" is not defined (known: ${Object.keys(CHECKS).join(', ')})`);
+    }
+    const { terms } = config;
+    if (terms !== undefined &&
+        !(Array.isArray(terms) && terms.length === 2 && terms.every(term => typeof term === 'string' && term.trim()))) {
+      errors.push('custom validator terms must be two non-empty strings');
+    }
+    return errors;
+  },
+
+  check(answer, puzzle, config) {
+    return Object.hasOwn(CHECKS, config.name) && CHECKS[config.name](answer, puzzle, config)
+      ? { correct: true, reason: `Accepted — passes the ${config.name} check` }
+      : { correct: false };
+  }
+};
@@ -0,0 +1,287 @@
+// Small arithmetic expression evaluator for math answers. Understands decimals,
+// fractions and mixed numbers, percentages, + - * / ^ and parentheses, the
+// usual operator symbols (×, ÷, −, **) and English number words, so that
+// '0.5', '1/2', '50%' and 'one half' all evaluate to the same value.
+//
+// Values are exact rationals { exact: true, num, den } while they fit in safe
+// integers, and fall back to { exact: false, value } floats otherwise.
+
+const gcd = (a, b) => (b === 0 ? Math.abs(a) : gcd(b, a % b));
+
+const toNumber = (v) => (v.exact ? v.num / v.den : v.value);
+
+const float = (value) => (Number.isFinite(value) ? { exact: false, value } : null);
+
+const rational = (num, den) => {
+  if (den === 0) return null;
+  if (!Number.isSafeInteger(num) || !Number.isSafeInteger(den)) return float(num / den);
+  const sign = den < 0 ? -1 : 1;
+  const divisor = gcd(num, den) || 1;
+  return { exact: true, num: (sign * num) / divisor, den: (sign * den) / divisor };
+};
+
+const arithmetic = {
+  '+': (a, b) => (a.exact && b.exact ? rational(a.num * b.den + b.num * a.den, a.den * b.den) : float(toNumber(a) + toNumber(b))),
+  '-': (a, b) => (a.exact && b.exact ? rational(a.num * b.den - b.num * a.den, a.den * b.den) : float(toNumber(a) - toNumber(b))),
+  '*': (a, b) => (a.exact && b.exact ? rational(a.num * b.num, a.den * b.den) : float(toNumber(a) * toNumber(b))),
+  '/': (a, b) => {
+    if (toNumber(b) === 0) return null;
+    return a.exact && b.exact ? rational(a.num * b.den, a.den * b.num) : float(toNumber(a) / toNumber(b));
+  },
+  '^': (a, b) => {
+    // Integer powers of rationals stay exact; anything else is a float
+    if (a.exact && b.exact && b.den === 1 && Math.abs(b.num) <= 64) {
+      const power = Math.abs(b.num);
+      const result = rational(a.num ** power, a.den ** power);
+      return result && b.num < 0 ? arithmetic['/'](rational(1, 1), result) : result;
+    }
+    return float(toNumber(a) ** toNumber(b));
+  }
+};
+
+// ---- Words to symbols ----------------------------------------------------
+
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19,
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+const SCALES = { hundred: 100, thousand: 1000, million: 1000000 };
+const DENOMINATORS = {
+  half: 2, halves: 2, third: 3, thirds: 3, quarter: 4, quarters: 4, fourth: 4, fourths: 4,
+  fifth: 5, fifths: 5, sixth: 6, sixths: 6, seventh: 7, sevenths: 7, eighth: 8, eighths: 8,
+  ninth: 9, ninths: 9, tenth: 10, tenths: 10
+};
+
+// Longer phrases first so 'divided by' wins over a bare 'by'
+const OPERATOR_WORDS = [
+  [/\bto the power of\b/g, '^'],
+  [/\bdivided by\b/g, '/'],
+  [/\bmultiplied by\b/g, '*'],
+  [/\band an? half\b/g, '1/2'], // 'two and a half' -> mixed number '2 1/2'
+  [/\btimes\b/g, '*'],
+  [/\bplus\b/g, '+'],
+  [/\bminus\b/g, '-'],
+  [/\bnegative\b/g, '-'],
+  [/\bover\b/g, '/'],
+  [/\bsquared\b/g, '^2'],
+  [/\bcubed\b/g, '^3'],
+  [/\bpercent\b/g, '%']
+];
+
+// Replace runs of number words ('one hundred twenty-five', 'three quarters')
+// with digits. Words that are not numbers pass through untouched.
+const replaceNumberWords = (text) => {
+  const words = text.split(/\s+/);
+  const out = [];
+  let total = null;
+  let current = 0;
+
+  const flush = () => {
+    if (total !== null) out.push(String(total + current));
+    total = null;
+    current = 0;
+  };
+
+  words.forEach((word, index) => {
+    const parts = word.split('-');
+    if (parts.length > 1 && parts.every(part => UNITS[part] !== undefined)) {
+      // 'twenty-five'
+      total = total ?? 0;
+      current += parts.reduce((sum, part) => sum + UNITS[part], 0);
+      return;
+    }
+    if (UNITS[word] !== undefined) {
+      total = total ?? 0;
+      current += UNITS[word];
+      return;
+    }
+    if (SCALES[word] !== undefined && total !== null) {
+      if (word === 'hundred') {
+        current = (current || 1) * 100;
+      } else {
+        total += (current || 1) * SCALES[word];
+        current = 0;
+      }
+      return;
+    }
+    if (word === 'and' && total !== null && UNITS[words[index + 1]] !== undefined) {
+      // 'one hundred and five'
+      return;
+    }
+    if (DENOMINATORS[word] !== undefined) {
+      // 'three quarters' -> 3/4, 'half' / 'a half' -> 1/2
+      const numerator = total !== null ? total + current : 1;
+      total = null;
+      current = 0;
+      if (out[out.length - 1] === 'a' || out[out.length - 1] === 'one') out.pop();
+      out.push(`(${numerator}/${DENOMINATORS[word]})`);
+      return;
+    }
+    flush();
+    out.push(word);
+  });
+  flush();
+
+  return out.filter(word => word !== 'a' && word !== 'an').join(' ');
+};
+
+const preprocess = (text) => {
+  let result = String(text)
+    .toLowerCase()
+    .trim()
+    .replace(/[.!?]+$/, '')
+    .replace(/(\d),(?=\d{3}\b)/g, '$1') // thousands separators
+    .replace(/\$/g, '')
+    .replace(/[×✕]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/[−–]/g, '-')
+    .replace(/\*\*/g, '^');
+
+  OPERATOR_WORDS.forEach(([pattern, symbol]) => {
+    result = result.replace(pattern, ` ${symbol} `);
+  });
+
+  return replaceNumberWords(result).trim();
+};
+
+// ---- Tokenizer and parser -----------------------------------------------
+
+const tokenize = (text) => {
+  const tokens = [];
+  let rest = text;
+
+  while (rest.length > 0) {
+    rest = rest.replace(/^\s+/, '');
+    if (!rest) break;
+
+    // Mixed number: '1 1/2'
+    let match = /^(\d+)\s+(\d+)\s*\/\s*(\d+)/.exec(rest);
+    if (match && !/^\s*[\^]/.test(rest.slice(match[0].length))) {
+      const [, whole, num, den] = match.map(Number);
+      const value = rational(whole * den + num, den);
+      if (!value) return null;
+      tokens.push({ type: 'number', value, grouped: true });
+      rest = rest.slice(match[0].length);
+      continue;
+    }
+
+    match = /^(\d+\.?\d*|\.\d+)/.exec(rest);
+    if (match) {
+      const [whole, decimals = ''] = match[1].split('.');
+      tokens.push({ type: 'number', value: rational(Number(`${whole || 0}${decimals}`), 10 ** decimals.length) });
+      rest = rest.slice(match[0].length);
+      continue;
+    }
+
+    if ('+-*/^%()'.includes(rest[0])) {
+      tokens.push({ type: rest[0] });
+      rest = rest.slice(1);
+      continue;
+    }
+
+    return null; // Anything else means this isn't an arithmetic answer
+  }
+
+  return tokens;
+};
+
+const parse = (tokens) => {
+  let index = 0;
+  const peek = () => tokens[index]?.type;
+  const take = () => tokens[index++];
+
+  // Each level returns a value, or null for invalid input
+  const expression = () => {
+    let left = term();
+    while (left && (peek() === '+' || peek() === '-')) {
+      const op = take().type;
+      const right = term();
+      left = right && arithmetic[op](left, right);
+    }
+    return left;
+  };
+
+  const term = () => {
+    let left = unary();
+    while (left && (peek() === '*' || peek() === '/')) {
+      const op = take().type;
+      const right = unary();
+      left = right && arithmetic[op](left, right);
+    }
+    return left;
+  };
+
+  const unary = () => {
+    if (peek() === '-') {
+      take();
+      const value = unary();
+      return value && arithmetic['*'](rational(-1, 1), value);
+    }
+    if (peek() === '+') {
+      take();
+      return unary();
+    }
+    return power();
+  };
+
+  const power = () => {
+    const base = postfix();
+    if (base && peek() === '^') {
+      take();
+      const exponent = unary(); // right-associative
+      return exponent && arithmetic['^'](base, exponent);
+    }
+    return base;
+  };
+
+  const postfix = () => {
+    let value = primary();
+    while (value && peek() === '%') {
+      take();
+      value = arithmetic['/'](value, rational(100, 1));
+    }
+    return value;
+  };
+
+  const primary = () => {
+    const token = take();
+    if (!token) return null;
+    if (token.type === 'number') return token.value;
+    if (token.type === '(') {
+      const value = expression();
+      return value && take()?.type === ')' ? value : null;
+    }
+    return null;
+  };
+
+  const value = expression();
+  return value && index === tokens.length ? value : null;
+};
+
+// Evaluate an answer like '2^3', '50%' or 'three quarters'; null if it isn't arithmetic
+const evaluateExpression = (text) => {
+  const tokens = tokenize(preprocess(text));
+  return tokens && tokens.length > 0 ? parse(tokens) : null;
+};
+
+// Exact comparison for rationals, tolerance (plus float noise) otherwise
+const valuesEqual = (a, b, tolerance = 0) => {
+  if (a.exact && b.exact && tolerance === 0) {
+    return a.num === b.num && a.den === b.den;
+  }
+  return Math.abs(toNumber(a) - toNumber(b)) <= tolerance + 1e-9;
+};
+
+// True when the answer is an expression copied from the prompt, e.g. answering
+// '15 + 27' to 'What is 15 + 27?'. Plain numbers never count as restating.
+const restatesPrompt = (answer, prompt) => {
+  const compact = (text) => preprocess(text).replace(/\s+/g, '');
+  const compactAnswer = compact(answer);
+  return /[-+*/^%]/.test(compactAnswer.replace(/^-/, '')) && compact(prompt).includes(compactAnswer);
+};
+
+const formatValue = (v) => (v.exact ? (v.den === 1 ? String(v.num) : `${v.num}/${v.den}`) : String(v.value));
+
+module.exports = { evaluateExpression, valuesEqual, restatesPrompt, formatValue, toNumber };
@@ -0,0 +1,33 @@
+// Exact rational equivalence between fractions, mixed numbers, decimals and
+// percentages, so '1/2', '2/4', '0.5', '50%' and 'one half' are all the same answer.
+//   validator: { type: 'fraction', value: '1/2' }
+// value defaults to the first correct answer.
+const { evaluateExpression, valuesEqual, restatesPrompt, formatValue } = require('./expression');
+
+const expectedValue = (puzzle, config) =>
+  evaluateExpression(config.value !== undefined ? String(config.value) : puzzle.correctAnswers[0]);
+
+module.exports = {
+  type: 'fraction',
+
+  validateConfig(config, puzzle) {
+    const expected = expectedValue(puzzle, config);
+    return expected && expected.exact
+      ? []
+      : ['fraction validator needs a fraction or decimal value or first correct answer'];
+  },
+
+  check(answer, puzzle, config) {
+    if (restatesPrompt(answer, puzzle.prompt)) {
+      return { correct: false, reason: 'Answer restates the question' };
+    }
+    const actual = evaluateExpression(answer);
+    const expected = expectedValue(puzzle, config);
+    if (!actual) return { correct: false };
+
+    if (!valuesEqual(actual, expected)) return { correct: false };
+    return String(answer).trim() === formatValue(expected)
+      ? { correct: true }
+      : { correct: true, reason: `Accepted — equivalent to ${formatValue(expected)}` };
+  }
+};
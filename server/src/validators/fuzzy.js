@@ -0,0 +1,49 @@
+// Spelling tolerance for free-text answers
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// Typos allowed for an expected answer of this length. Up to 6 letters one edit
+// is too often another real word ('tower' for 'towel', 'flare' for 'flame'), so
+// those get none, and 9 letters only allow one so 'correct' never passes for
+// 'incorrect'.
+const allowedEdits = (length) => {
+  if (length <= 6) return 0;
+  if (length <= 9) return 1;
+  return 2;
+};
+
+// Fold simple English plurals to the singular, word by word
+const singular = (word) => {
+  if (word.length <= 3) return word;
+  if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+  if (/(sses|xes|zes|ches|shes)$/.test(word)) return word.slice(0, -2);
+  if (/[^s]s$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+const foldPlurals = (text) => text.split(' ').map(singular).join(' ');
+
+// Digits carry meaning character by character ('13' vs '18'), so never fuzz
+// them. The first letter must match too: typos there are rare, while dropping
+// it often flips the meaning ('neither' -> 'either').
+const isCloseSpelling = (answer, expected) =>
+  !/\d/.test(expected) &&
+  answer[0] === expected[0] &&
+  editDistance(answer, expected) <= allowedEdits(expected.length);
+
+module.exports = { editDistance, allowedEdits, foldPlurals, isCloseSpelling };
@@ -0,0 +1,60 @@
+// Answer validator registry. A puzzle picks its validator with
+//   validator: { type: 'numeric', ...options }
+// and falls back to exact text matching when it declares none.
+//
+// A validator module exports:
+//   type                               registry key
+//   validateConfig(config, puzzle)  -> list of problems ([] when valid)
+//   check(answer, puzzle, config)   -> { correct, reason? }
+//
+// reason explains a non-obvious acceptance ("Accepted — close spelling of 'echo'")
+// and is shown to the player.
+const text = require('./text');
+
+const validators = new Map();
+
+const registerValidator = (validator) => {
+  validators.set(validator.type, validator);
+};
+
+[
+  text,
+  require('./numeric'),
+  require('./fraction'),
+  require('./list'),
+  require('./regex'),
+  require('./custom')
+].forEach(registerValidator);
+
+const validatorConfig = (puzzle) => ({ type: 'text', ...(puzzle.validator || {}) });
+
+// Schema check used by the pack loader and the admin API
+const validateValidatorConfig = (puzzle) => {
+  if (puzzle.validator != null &&
+      (!puzzle.validator || typeof puzzle.validator !== 'object' || Array.isArray(puzzle.validator))) {
+    return ['validator must be an object with a type'];
+  }
+
+  const config = validatorConfig(puzzle);
+  const validator = validators.get(config.type);
+  if (!validator) {
+    return [`unknown validator type "${config.type}" (known: ${[...validators.keys()].join(', ')})`];
+  }
+  return validator.validateConfig(config, puzzle);
+};
+
+// Decide whether answer solves puzzle. correctAnswers always count as accepted
+// spellings, whatever the validator type; only other matches carry a reason.
+const checkAnswer = (puzzle, answer) => {
+  const config = validatorConfig(puzzle);
+  if (config.type !== 'text') {
+    // Typed answers only fall back to exact spellings, never to fuzzy matching
+    const exact = text.check(answer, puzzle, { fuzzy: false });
+    if (exact.correct) return { ...exact, validator: config.type };
+  }
+
+  const result = validators.get(config.type).check(answer, puzzle, config);
+  return { ...result, validator: config.type };
+};
+
+module.exports = { registerValidator, validateValidatorConfig, checkAnswer };
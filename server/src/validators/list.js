@@ -0,0 +1,62 @@
+// Answers made of several items, e.g. '5 and -5'. Order does not matter unless
+// ordered is set.
+//   validator: { type: 'list', items: ['5', '-5'], ordered: false }
+// items defaults to the first correct answer split on the separators.
+// Items that evaluate to numbers compare by value, so '5.0' matches '5'.
+const { normalizeText } = require('./normalize');
+const { evaluateExpression, valuesEqual } = require('./expression');
+
+const SEPARATOR = /\s*(?:,|;|&|\band\b)\s*/;
+
+const splitItems = (value) =>
+  String(value)
+    .split(SEPARATOR)
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const expectedItems = (puzzle, config) =>
+  Array.isArray(config.items) ? config.items.map(String) : splitItems(puzzle.correctAnswers[0]);
+
+const sameItem = (a, b) => {
+  if (normalizeText(a) === normalizeText(b)) return true;
+  const [valueA, valueB] = [evaluateExpression(a), evaluateExpression(b)];
+  return Boolean(valueA && valueB && valuesEqual(valueA, valueB));
+};
+
+// Unordered match: every actual item pairs off with a distinct expected item
+const sameItemsAnyOrder = (actual, expected) => {
+  const remaining = [...expected];
+  return actual.every(item => {
+    const index = remaining.findIndex(candidate => sameItem(item, candidate));
+    if (index === -1) return false;
+    remaining.splice(index, 1);
+    return true;
+  });
+};
+
+module.exports = {
+  type: 'list',
+
+  validateConfig(config, puzzle) {
+    const errors = [];
+    if (config.items !== undefined && (!Array.isArray(config.items) || config.items.length === 0)) {
+      errors.push('list validator items must be a non-empty list');
+    } else if (expectedItems(puzzle, config).length < 2) {
+      errors.push('list validator needs at least two items');
+    }
+    return errors;
+  },
+
+  check(answer, puzzle, config) {
+    const actual = splitItems(answer);
+    const expected = expectedItems(puzzle, config);
+    if (actual.length !== expected.length) return { correct: false };
+
+    const correct = config.ordered
+      ? actual.every((item, index) => sameItem(item, expected[index]))
+      : sameItemsAnyOrder(actual, expected);
+    return correct
+      ? { correct: true, reason: `Accepted — all ${expected.length} items present` }
+      : { correct: false };
+  }
+};
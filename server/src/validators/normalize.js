@@ -0,0 +1,12 @@
+// Text normalization shared by the answer validators
+
+// Lowercase, drop punctuation, collapse whitespace and strip a leading article
+const normalizeText = (value) =>
+  String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[.,!?;]/g, '') // Remove punctuation
+    .replace(/\s+/g, ' ') // Normalize spaces
+    .replace(/^(a|an|the)\s+/, ''); // Remove articles
+
+module.exports = { normalizeText };
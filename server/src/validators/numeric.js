@@ -0,0 +1,44 @@
+// Numeric answers, optionally within an absolute tolerance.
+//   validator: { type: 'numeric', value: 121, tolerance: 0.5 }
+// value defaults to the first correct answer. Answers are evaluated locally, so
+// '2^3', '8.0' and 'eight' all count for 8.
+const { evaluateExpression, valuesEqual, restatesPrompt, formatValue } = require('./expression');
+
+const expectedValue = (puzzle, config) =>
+  evaluateExpression(config.value !== undefined ? String(config.value) : puzzle.correctAnswers[0]);
+
+module.exports = {
+  type: 'numeric',
+
+  validateConfig(config, puzzle) {
+    const errors = [];
+    if (!expectedValue(puzzle, config)) {
+      errors.push('numeric validator needs a numeric value or a numeric first correct answer');
+    }
+    if (config.tolerance !== undefined && !(typeof config.tolerance === 'number' && config.tolerance >= 0)) {
+      errors.push('numeric validator tolerance must be a non-negative number');
+    }
+    return errors;
+  },
+
+  check(answer, puzzle, config) {
+    if (restatesPrompt(answer, puzzle.prompt)) {
+      return { correct: false, reason: 'Answer restates the question' };
+    }
+    const actual = evaluateExpression(answer);
+    if (!actual) return { correct: false };
+
+    const expected = expectedValue(puzzle, config);
+    const tolerance = config.tolerance || 0;
+    if (!valuesEqual(actual, expected, tolerance)) return { correct: false };
+
+    // Only explain matches that don't look like the expected answer already
+    if (String(answer).trim() === formatValue(expected)) return { correct: true };
+    return {
+      correct: true,
+      reason: valuesEqual(actual, expected)
+        ? `Accepted — equal to ${formatValue(expected)}`
+        : `Accepted — within ${tolerance} of ${formatValue(expected)}`
+    };
+  }
+};
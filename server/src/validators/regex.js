@@ -0,0 +1,27 @@
+// Regular expression match against the trimmed answer.
+//   validator: { type: 'regex', pattern: '^(the )?(letter )?m$', flags: 'i' }
+// flags default to 'i'. Anchor the pattern yourself if partial matches must fail.
+
+const compile = (config) => new RegExp(config.pattern, config.flags === undefined ? 'i' : config.flags);
+
+module.exports = {
+  type: 'regex',
+
+  validateConfig(config) {
+    if (typeof config.pattern !== 'string' || !config.pattern) {
+      return ['regex validator needs a pattern'];
+    }
+    try {
+      compile(config);
+      return [];
+    } catch (err) {
+      return [`regex validator pattern is invalid: ${err.message}`];
+    }
+  },
+
+  check(answer, puzzle, config) {
+    return compile(config).test(String(answer).trim())
+      ? { correct: true, reason: 'Accepted — matches the answer pattern' }
+      : { correct: false };
+  }
+};
@@ -0,0 +1,57 @@
+// Free-text answers, matched after normalization against correctAnswers and
+// the puzzle's synonyms. Fuzzy matching (plural folding and small typos) is on
+// by default for riddles and logic and can be toggled per puzzle.
+//   validator: { type: 'text', synonyms: ['quiet'], fuzzy: true }
+const { normalizeText } = require('./normalize');
+const { foldPlurals, isCloseSpelling } = require('./fuzzy');
+
+const FUZZY_CATEGORIES = ['riddles', 'logic'];
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+module.exports = {
+  type: 'text',
+
+  validateConfig(config) {
+    const errors = [];
+    if (config.synonyms !== undefined && !isStringList(config.synonyms)) {
+      errors.push('text validator synonyms must be a list of non-empty strings');
+    }
+    if (config.fuzzy !== undefined && typeof config.fuzzy !== 'boolean') {
+      errors.push('text validator fuzzy must be true or false');
+    }
+    return errors;
+  },
+
+  check(answer, puzzle, config = {}) {
+    const normalized = normalizeText(answer);
+    const canonical = puzzle.correctAnswers[0];
+
+    if (puzzle.correctAnswers.some(correct => normalizeText(correct) === normalized)) {
+      return { correct: true };
+    }
+
+    const synonyms = config.synonyms || [];
+    if (synonyms.some(synonym => normalizeText(synonym) === normalized)) {
+      return { correct: true, reason: `Accepted — synonym of '${canonical}'` };
+    }
+
+    const fuzzy = config.fuzzy !== undefined ? config.fuzzy : FUZZY_CATEGORIES.includes(puzzle.category);
+    if (!fuzzy) return { correct: false };
+
+    const candidates = [...puzzle.correctAnswers, ...synonyms].map(normalizeText);
+    const folded = foldPlurals(normalized);
+
+    const pluralMatch = candidates.find(candidate => foldPlurals(candidate) === folded);
+    if (pluralMatch !== undefined) {
+      return { correct: true, reason: `Accepted — singular/plural form of '${pluralMatch}'` };
+    }
+
+    const closeMatch = candidates.find(candidate => isCloseSpelling(folded, foldPlurals(candidate)));
+    if (closeMatch !== undefined) {
+      return { correct: true, reason: `Accepted — close spelling of '${closeMatch}'` };
+    }
+
+    return { correct: false };
+  }
+};
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isDay, buildActivity } = require('../src/stats/activity');
+
+const categoryOf = (puzzleId) => puzzleId.split('-')[0];
+const solve = (solvedAt, puzzleId = 'logic-1-0') => ({ puzzleId, solvedAt: new Date(solvedAt) });
+const activity = (fields) => buildActivity({ solves: [], sessions: [], timeZone: 'UTC', categoryOf, ...fields });
+const counts = (result) => result.buckets.map(({ start, solves }) => [start, solves]);
+
+describe('isDay', () => {
+  it('accepts real calendar dates only', () => {
+    assert.ok(isDay('2024-02-29'));
+    for (const value of ['2023-02-29', '2026-02-30', '2024-1-05', '2024-01-05T00:00', '', null]) {
+      assert.equal(isDay(value), false, String(value));
+    }
+  });
+});
+
+describe('activity buckets', () => {
+  it('counts days in the user\'s timezone across the spring DST change', () => {
+    const result = activity({
+      from: '2024-03-09',
+      to: '2024-03-11',
+      granularity: 'day',
+      timeZone: 'America/New_York',
+      solves: [
+        solve('2024-03-10T04:30:00Z'), // 23:30 EST on the 9th
+        solve('2024-03-10T06:30:00Z'), // 01:30 EST on the 10th, just before clocks go forward
+        solve('2024-03-11T03:30:00Z'), // 23:30 EDT on the 10th
+        solve('2024-03-11T04:30:00Z') // 00:30 EDT on the 11th; at the old offset it would still be the 10th
+      ],
+      sessions: [{ startedAt: new Date('2024-03-11T03:59:00Z'), activeMs: 60000 }] // 23:59 EDT on the 10th
+    });
+
+    assert.deepEqual(counts(result), [['2024-03-09', 1], ['2024-03-10', 2], ['2024-03-11', 1]]);
+    assert.equal(result.buckets[1].timeSpentMs, 60000);
+    assert.equal(result.totals.activeDays, 3);
+  });
+
+  it('counts days in the user\'s timezone across the autumn DST change', () => {
+    const result = activity({
+      from: '2024-11-03',
+      to: '2024-11-04',
+      granularity: 'day',
+      timeZone: 'America/New_York',
+      solves: [
+        solve('2024-11-03T05:30:00Z'), // 01:30 EDT, the first time round
+        solve('2024-11-03T06:30:00Z'), // 01:30 EST, the second time round
+        solve('2024-11-04T04:30:00Z') // 23:30 EST on the 3rd; at the old offset it would be the 4th
+      ]
+    });
+
+    assert.deepEqual(counts(result), [['2024-11-03', 3], ['2024-11-04', 0]]);
+  });
+
+  it('starts weeks on Monday and only counts days inside a partial week', () => {
+    // Wednesday 13 March to Tuesday 19 March 2024
+    const result = activity({
+      from: '2024-03-13',
+      to: '2024-03-19',
+      granularity: 'week',
+      solves: [
+        solve('2024-03-12T12:00:00Z'), // Tuesday before the range, same week
+        solve('2024-03-13T12:00:00Z', 'math-1-0'),
+        solve('2024-03-17T23:59:00Z'), // Sunday closes the first week
+        solve('2024-03-18T00:00:00Z'), // Monday opens the second
+        solve('2024-03-20T12:00:00Z') // Wednesday after the range, same week
+      ]
+    });
+
+    assert.deepEqual(result.buckets.map(({ start, end }) => [start, end]), [
+      ['2024-03-11', '2024-03-17'],
+      ['2024-03-18', '2024-03-24']
+    ]);
+    assert.deepEqual(counts(result), [['2024-03-11', 2], ['2024-03-18', 1]]);
+    assert.deepEqual(result.buckets[0].categories, { math: 1, logic: 1 });
+    assert.equal(result.totals.solves, 3);
+  });
+
+  it('groups by calendar month, trimming partial months to the range', () => {
+    const result = activity({
+      from: '2024-01-31',
+      to: '2024-03-01',
+      granularity: 'month',
+      solves: [
+        solve('2024-01-30T12:00:00Z'),
+        solve('2024-01-31T12:00:00Z'),
+        solve('2024-02-29T12:00:00Z'),
+        solve('2024-03-01T12:00:00Z'),
+        solve('2024-03-02T12:00:00Z')
+      ]
+    });
+
+    assert.deepEqual(result.buckets.map(({ start, end }) => [start, end]), [
+      ['2024-01-01', '2024-01-31'],
+      ['2024-02-01', '2024-02-29'],
+      ['2024-03-01', '2024-03-31']
+    ]);
+    assert.deepEqual(counts(result), [['2024-01-01', 1], ['2024-02-01', 1], ['2024-03-01', 1]]);
+  });
+});
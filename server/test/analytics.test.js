@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizePuzzleAttempts, clusterWrongAnswers } = require('../src/puzzles/analytics');
+
+const PUZZLE = 'riddles-1-0';
+
+// Attempts in the order given, one second apart
+const attemptsOf = (rows) => rows.map(([userId, action, fields = {}], index) => ({
+  userId,
+  puzzleId: PUZZLE,
+  action,
+  createdAt: new Date(Date.UTC(2024, 0, 1, 0, 0, index)),
+  ...fields
+}));
+const right = { answer: 'echo', correct: true };
+const wrong = (answer) => ({ answer, correct: false });
+
+const session = (userId, activeMs) => ({ userId, activeMs, puzzles: [{ puzzleId: PUZZLE, activeMs }] });
+
+describe('puzzle analytics', () => {
+  it('computes rates per player, not per attempt', () => {
+    const summary = summarizePuzzleAttempts(PUZZLE, attemptsOf([
+      // ann: right first time
+      ['ann', 'validate', right],
+      // bob: hammers wrong answers, then takes a hint and solves
+      ...Array.from({ length: 8 }, () => ['bob', 'validate', wrong('shout')]),
+      ['bob', 'hint', { hintTier: 2 }],
+      ['bob', 'validate', right],
+      // cat: hint first, then right; not a first try
+      ['cat', 'hint', { hintTier: 1 }],
+      ['cat', 'validate', right],
+      // dan: skips without answering
+      ['dan', 'skip']
+    ]));
+
+    assert.equal(summary.players, 4);
+    assert.equal(summary.attempts, 11);
+    assert.equal(summary.solveRate, 0.75);
+    assert.equal(summary.firstTrySolveRate, 0.333);
+    assert.equal(summary.skipRate, 0.25);
+    assert.equal(summary.hintRate, 0.5);
+    assert.equal(summary.averageHintTier, 1.5);
+  });
+
+  it('takes time to solve from play sessions, not client-reported elapsedMs', () => {
+    const summary = summarizePuzzleAttempts(PUZZLE, attemptsOf([
+      ['ann', 'validate', { ...right, elapsedMs: 1 }],
+      ['bob', 'validate', { ...right, elapsedMs: 1 }],
+      ['cat', 'validate', { ...right, elapsedMs: 1 }],
+      // Time on the puzzle without solving it isn't time to solve
+      ['dan', 'validate', wrong('shout')]
+    ]), [
+      session('ann', 20000),
+      // Two sessions on the same puzzle add up
+      session('bob', 30000),
+      session('bob', 30000),
+      session('dan', 90000)
+      // cat has no session time, so isn't counted
+    ]);
+
+    assert.equal(summary.medianTimeToSolveMs, 40000);
+  });
+
+  it('has no rates or median without players', () => {
+    const summary = summarizePuzzleAttempts(PUZZLE, []);
+    assert.equal(summary.players, 0);
+    assert.equal(summary.solveRate, null);
+    assert.equal(summary.medianTimeToSolveMs, null);
+  });
+});
+
+describe('wrong answer clustering', () => {
+  it('groups answers differing in case, punctuation, articles, plurals or a typo', () => {
+    const [cluster, ...rest] = clusterWrongAnswers(attemptsOf([
+      ['ann', 'validate', wrong('A whisper')],
+      ['bob', 'validate', wrong('whisper!')],
+      ['bob', 'validate', wrong('whispers')],
+      ['cat', 'validate', wrong('wisper')],
+      ['dan', 'validate', wrong('shout')]
+    ]));
+
+    assert.equal(cluster.count, 4);
+    assert.equal(cluster.users, 3);
+    assert.equal(cluster.variants.length, 4);
+    assert.deepEqual(rest.map(c => [c.answer, c.count]), [['shout', 1]]);
+  });
+
+  it('leaves short answers a letter apart in separate clusters', () => {
+    const clusters = clusterWrongAnswers(attemptsOf([
+      ['ann', 'validate', wrong('tower')],
+      ['bob', 'validate', wrong('towel')]
+    ]));
+    assert.equal(clusters.length, 2);
+  });
+
+  it('reports the most frequent spelling of each cluster first', () => {
+    const [cluster] = clusterWrongAnswers(attemptsOf([
+      ['ann', 'validate', wrong('Whisper')],
+      ['bob', 'validate', wrong('whisper')],
+      ['cat', 'validate', wrong('whisper')]
+    ]));
+    assert.equal(cluster.answer, 'whisper');
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuthSessions } = require('../src/auth/sessions');
+const { createMemoryStorage } = require('../src/storage/memory');
+
+const DAY = 24 * 60 * 60 * 1000;
+const req = { get: () => 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Chrome/120.0', ip: '203.0.113.7' };
+
+describe('auth sessions', () => {
+  let storage;
+  let sessions;
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1) });
+    // Reuse detection warns on the console
+    mock.method(console, 'warn', () => {});
+    storage = createMemoryStorage();
+    sessions = createAuthSessions(storage, { secret: 'test-secret' });
+  });
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('issues an access token for the session it starts', async () => {
+    const { token, refreshToken } = await sessions.start('u1', req);
+    const auth = await sessions.verifyAccessToken(token);
+    assert.equal(auth.userId, 'u1');
+    assert.equal(refreshToken.split('.')[0], auth.sessionId);
+    assert.equal(await sessions.verifyAccessToken('not-a-jwt'), null);
+  });
+
+  it('rotates the refresh token on every refresh', async () => {
+    const first = await sessions.start('u1', req);
+    const second = await sessions.refresh(first.refreshToken, req);
+    assert.ok(second);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    // Same session, new secret
+    assert.equal(second.refreshToken.split('.')[0], first.refreshToken.split('.')[0]);
+
+    const third = await sessions.refresh(second.refreshToken, req);
+    assert.ok(third);
+    assert.ok(await sessions.verifyAccessToken(third.token));
+  });
+
+  it('revokes the whole session when a rotated refresh token is replayed', async () => {
+    const first = await sessions.start('u1', req);
+    const second = await sessions.refresh(first.refreshToken, req);
+
+    assert.equal(await sessions.refresh(first.refreshToken, req), null);
+    assert.equal(console.warn.mock.callCount(), 1);
+    // The legitimate holder is signed out too
+    assert.equal(await sessions.refresh(second.refreshToken, req), null);
+    assert.equal(await sessions.verifyAccessToken(second.token), null);
+    assert.deepEqual(await sessions.list('u1'), []);
+  });
+
+  it('rejects malformed and unknown refresh tokens without revoking anything', async () => {
+    const { refreshToken } = await sessions.start('u1', req);
+    for (const token of [undefined, '', 'no-dot', '.secret', `${refreshToken.split('.')[0]}.`, 'missing.secret', 42]) {
+      assert.equal(await sessions.refresh(token, req), null, String(token));
+    }
+    assert.ok(await sessions.refresh(refreshToken, req));
+  });
+
+  it('stops refreshing once the session expires', async () => {
+    const { refreshToken } = await sessions.start('u1', req);
+    mock.timers.tick(30 * DAY);
+    assert.equal(await sessions.refresh(refreshToken, req), null);
+  });
+
+  it('signs one device out on logout, leaving the others', async () => {
+    const laptop = await sessions.start('u1', req);
+    const phone = await sessions.start('u1', req);
+    const { sessionId } = await sessions.verifyAccessToken(laptop.token);
+
+    assert.equal(await sessions.revoke('u1', sessionId), true);
+    assert.equal(await sessions.verifyAccessToken(laptop.token), null);
+    assert.equal(await sessions.refresh(laptop.refreshToken, req), null);
+    assert.ok(await sessions.verifyAccessToken(phone.token));
+    assert.equal((await sessions.list('u1')).length, 1);
+
+    // Already gone
+    assert.equal(await sessions.revoke('u1', sessionId), false);
+  });
+
+  it('only lets users revoke their own sessions', async () => {
+    const { token } = await sessions.start('u1', req);
+    const { sessionId } = await sessions.verifyAccessToken(token);
+    assert.equal(await sessions.revoke('u2', sessionId), false);
+    assert.ok(await sessions.verifyAccessToken(token));
+  });
+
+  it('signs out every device with revokeAll', async () => {
+    const devices = [await sessions.start('u1', req), await sessions.start('u1', req)];
+    const other = await sessions.start('u2', req);
+
+    assert.equal(await sessions.revokeAll('u1'), 2);
+    for (const { token } of devices) {
+      assert.equal(await sessions.verifyAccessToken(token), null);
+    }
+    assert.ok(await sessions.verifyAccessToken(other.token));
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { withAiCache } = require('../src/ai/cache');
+const { createMemoryStorage } = require('../src/storage/memory');
+
+const HOUR = 60 * 60 * 1000;
+const puzzle = { _id: 'riddles-1-0', title: 'Echo', prompt: 'What answers back?', correctAnswers: ['echo'] };
+
+// A provider that counts its calls and can be told to fail
+const countingProvider = () => {
+  const calls = { judgeAnswer: 0, generateHint: 0, explainSolution: 0 };
+  return {
+    calls,
+    fail: false,
+    name: 'counting',
+    model: 'test',
+    async judgeAnswer() {
+      calls.judgeAnswer++;
+      if (this.fail) throw new Error('provider down');
+      return { correct: true, confidence: 0.9, reason: 'close enough' };
+    },
+    async generateHint(p, tier) {
+      calls.generateHint++;
+      return `hint ${tier}`;
+    },
+    async explainSolution() {
+      calls.explainSolution++;
+      return 'because';
+    }
+  };
+};
+
+describe('AI cache', () => {
+  let storage;
+  let provider;
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1) });
+    delete process.env.AI_CACHE_TTL_HOURS;
+    storage = createMemoryStorage();
+    provider = countingProvider();
+  });
+  afterEach(() => {
+    mock.timers.reset();
+    delete process.env.AI_CACHE_TTL_HOURS;
+  });
+
+  it('serves repeat requests from the cache, keyed by normalized answer and hint tier', async () => {
+    const ai = withAiCache(provider, storage);
+    const first = await ai.judgeAnswer(puzzle, 'An Echo!');
+    assert.deepEqual(await ai.judgeAnswer(puzzle, 'an echo'), first);
+    assert.equal(provider.calls.judgeAnswer, 1);
+
+    await ai.generateHint(puzzle, 1);
+    await ai.generateHint(puzzle, 1);
+    await ai.generateHint(puzzle, 2);
+    assert.equal(provider.calls.generateHint, 2);
+
+    await ai.explainSolution(puzzle);
+    await ai.explainSolution(puzzle);
+    assert.equal(provider.calls.explainSolution, 1);
+  });
+
+  it('never caches failed calls', async () => {
+    const ai = withAiCache(provider, storage);
+    provider.fail = true;
+    await assert.rejects(ai.judgeAnswer(puzzle, 'echo'), /provider down/);
+    provider.fail = false;
+    await ai.judgeAnswer(puzzle, 'echo');
+    assert.equal(provider.calls.judgeAnswer, 2);
+  });
+
+  it('asks the provider again once an entry expires', async () => {
+    process.env.AI_CACHE_TTL_HOURS = '2';
+    const ai = withAiCache(provider, storage);
+    await ai.judgeAnswer(puzzle, 'echo');
+
+    mock.timers.tick(2 * HOUR - 1);
+    await ai.judgeAnswer(puzzle, 'echo');
+    assert.equal(provider.calls.judgeAnswer, 1);
+
+    mock.timers.tick(1);
+    await ai.judgeAnswer(puzzle, 'echo');
+    assert.equal(provider.calls.judgeAnswer, 2);
+  });
+
+  it('asks the provider again after the puzzle is purged', async () => {
+    const ai = withAiCache(provider, storage);
+    const other = { ...puzzle, _id: 'riddles-1-1' };
+    await ai.judgeAnswer(puzzle, 'echo');
+    await ai.generateHint(puzzle, 1);
+    await ai.judgeAnswer(other, 'echo');
+
+    assert.equal(await storage.purgeAiCache({ puzzleId: puzzle._id }), 2);
+    await ai.judgeAnswer(puzzle, 'echo');
+    await ai.judgeAnswer(other, 'echo');
+    assert.equal(provider.calls.judgeAnswer, 3);
+  });
+
+  it('is off with AI_CACHE_TTL_HOURS=0', async () => {
+    process.env.AI_CACHE_TTL_HOURS = '0';
+    const ai = withAiCache(provider, storage);
+    assert.equal(ai, provider);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('experiment exposures', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  const exposures = (experimentId) =>
+    server.data().experimentExposures.filter(e => e.experimentId === experimentId);
+
+  it('marks a hint exposure solved by the answer that solves the puzzle, once', async () => {
+    const { token } = await server.register();
+    const hinted = () => exposures('hint-source').find(e => e.puzzleId === 'logic-1-1');
+
+    await server.request('POST', '/puzzles/logic-1-1/hint', { token });
+    await server.request('POST', '/puzzles/logic-1-1/validate', { token, body: { answer: 'potato' } });
+    assert.equal(hinted().solvedAt, null);
+
+    await server.request('POST', '/puzzles/logic-1-1/validate', { token, body: { answer: 'carrot' } });
+    const { solvedAt } = hinted();
+    assert.ok(solvedAt);
+
+    await server.request('POST', '/puzzles/logic-1-1/validate', { token, body: { answer: 'carrot' } });
+    assert.equal(hinted().solvedAt, solvedAt);
+  });
+
+  it('records no exposures for hints and skips on a solved puzzle', async () => {
+    const { token } = await server.register();
+    const solve = await server.request('POST', '/puzzles/logic-1-0/validate', { token, body: { answer: '10' } });
+    assert.equal(solve.body.correct, true);
+
+    // Solve, ask for a hint, answer again: none of it is a hint-led solve
+    await server.request('POST', '/puzzles/logic-1-0/hint', { token });
+    await server.request('POST', '/puzzles/logic-1-0/skip', { token });
+    await server.request('POST', '/puzzles/logic-1-0/validate', { token, body: { answer: '10' } });
+
+    assert.deepEqual(exposures('hint-source').filter(e => e.puzzleId === 'logic-1-0'), []);
+    assert.deepEqual(exposures('skip-explanation-source').filter(e => e.puzzleId === 'logic-1-0'), []);
+  });
+});
@@ -0,0 +1,38 @@
+// Storage backends the shared behavior tests run against. MongoDB needs a
+// server, so it only runs when TEST_MONGODB_URI points at one; the suite
+// drops that database between tests, so never point it at real data.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { createMemoryStorage } = require('../../src/storage/memory');
+const { createFileStorage } = require('../../src/storage/file');
+const { createMongoStorage } = require('../../src/storage/mongo');
+
+const tempDataFile = () =>
+  path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'brainkick-test-')), 'data.json');
+
+const backends = [
+  {
+    name: 'memory',
+    create: async () => createMemoryStorage()
+  },
+  {
+    name: 'file',
+    create: async () => createFileStorage(tempDataFile())
+  },
+  {
+    name: 'mongo',
+    skip: !process.env.TEST_MONGODB_URI && 'set TEST_MONGODB_URI to run against MongoDB',
+    create: async () => {
+      if (mongoose.connection.readyState !== 1) {
+        await mongoose.connect(process.env.TEST_MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+      }
+      await mongoose.connection.dropDatabase();
+      return createMongoStorage();
+    },
+    close: () => mongoose.disconnect()
+  }
+];
+
+module.exports = { backends, tempDataFile };
@@ -0,0 +1,66 @@
+// Runs the real Express app against a temporary data file, for route tests.
+// The server module keeps its storage and config at module level, and
+// node --test gives each test file its own process, so start one per file.
+const fs = require('fs');
+const path = require('path');
+const { tempDataFile } = require('./backends');
+
+const startServer = async (env = {}) => {
+  const dataFile = tempDataFile();
+  const outboxDir = path.join(path.dirname(dataFile), 'outbox');
+  Object.assign(process.env, {
+    PORT: '0',
+    STORAGE: 'file',
+    DATA_FILE: dataFile,
+    AI_PROVIDER: 'none',
+    MAIL_TRANSPORT: 'outbox',
+    MAIL_OUTBOX_DIR: outboxDir,
+    JWT_SECRET: 'test-secret'
+  }, env);
+
+  // The server narrates every request; keep test output to failures
+  console.log = () => {};
+  console.warn = () => {};
+
+  const { start } = require('../../src');
+  const server = await start();
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  const request = async (method, url, { body, token } = {}) => {
+    const response = await fetch(`${base}${url}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // Register a fresh account; resolves with { token, refreshToken, user }
+  let users = 0;
+  const register = async () => {
+    users++;
+    const { body } = await request('POST', '/auth/register', {
+      body: { username: `player${users}`, email: `player${users}@example.com`, password: 'secret1' }
+    });
+    return body;
+  };
+
+  return {
+    request,
+    register,
+    // What storage has written so far; every save is flushed before the response
+    data: () => JSON.parse(fs.readFileSync(dataFile, 'utf8')),
+    // Messages the outbox mail transport has written, oldest first
+    mail: () => (fs.existsSync(outboxDir) ? fs.readdirSync(outboxDir).sort() : [])
+      .map(file => JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8'))),
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = { startServer };
@@ -0,0 +1,34 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMailTransport } = require('../src/mail');
+
+describe('mail transport selection', () => {
+  const saved = { ...process.env };
+  afterEach(() => {
+    for (const name of ['NODE_ENV', 'MAIL_TRANSPORT', 'SMTP_HOST']) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  });
+
+  it('falls back to the outbox in development when SMTP_HOST is unset', () => {
+    delete process.env.SMTP_HOST;
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = 'development';
+    assert.match(createMailTransport().name, /^Outbox/);
+  });
+
+  it('refuses to fall back to the outbox in production', () => {
+    delete process.env.SMTP_HOST;
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => createMailTransport(), /SMTP_HOST is not set in production/);
+  });
+
+  it('still allows an explicit outbox in production', () => {
+    delete process.env.SMTP_HOST;
+    process.env.MAIL_TRANSPORT = 'outbox';
+    process.env.NODE_ENV = 'production';
+    assert.match(createMailTransport().name, /^Outbox/);
+  });
+});
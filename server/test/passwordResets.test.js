@@ -0,0 +1,97 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPasswordResets } = require('../src/auth/passwordResets');
+const { createMemoryStorage } = require('../src/storage/memory');
+const { startServer } = require('./helpers/server');
+
+const MINUTE = 60 * 1000;
+
+describe('password reset tokens', () => {
+  let resets;
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1) });
+    resets = createPasswordResets(createMemoryStorage());
+  });
+  afterEach(() => mock.timers.reset());
+
+  it('resolves a fresh token to its user once', async () => {
+    const token = await resets.issue('u1');
+    assert.equal(await resets.consume(token), 'u1');
+    assert.equal(await resets.consume(token), null);
+  });
+
+  it('spends every outstanding token of the user with the one used', async () => {
+    const older = await resets.issue('u1');
+    const newer = await resets.issue('u1');
+    const otherUser = await resets.issue('u2');
+
+    assert.equal(await resets.consume(newer), 'u1');
+    assert.equal(await resets.consume(older), null);
+    assert.equal(await resets.consume(otherUser), 'u2');
+  });
+
+  it('rejects expired tokens', async () => {
+    const token = await resets.issue('u1');
+    mock.timers.tick(60 * MINUTE);
+    assert.equal(await resets.consume(token), null);
+  });
+
+  it('rejects malformed tokens and wrong secrets', async () => {
+    const token = await resets.issue('u1');
+    const [id] = token.split('.');
+    for (const bad of [undefined, null, 42, '', 'no-dot', `${id}.`, `.${token.split('.')[1]}`, `${id}.wrong-secret`, `${token}.extra`]) {
+      assert.equal(await resets.consume(bad), null, String(bad));
+    }
+    // None of that spent the real token
+    assert.equal(await resets.consume(token), 'u1');
+  });
+});
+
+describe('POST /api/auth/reset', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  // The reset mail is sent in the background, so wait for it to land
+  const resetTokenFromMail = async (email) => {
+    for (let i = 0; i < 50; i++) {
+      const message = server.mail().find(m => m.to === email);
+      if (message) return decodeURIComponent(/resetToken=([^\s]+)/.exec(message.text)[1]);
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`No reset mail for ${email}`);
+  };
+
+  it('sets the new password and signs out every device', async () => {
+    const { token, refreshToken, user } = await server.register();
+    const login = (password) => server.request('POST', '/auth/login', { body: { email: user.email, password } });
+    const otherDevice = (await login('secret1')).body;
+
+    await server.request('POST', '/auth/forgot', { body: { email: user.email } });
+    const resetToken = await resetTokenFromMail(user.email);
+    const reset = await server.request('POST', '/auth/reset', { body: { token: resetToken, password: 'brand-new' } });
+    assert.equal(reset.status, 200);
+
+    for (const access of [token, otherDevice.token]) {
+      assert.equal((await server.request('GET', '/stats', { token: access })).status, 401);
+    }
+    for (const refresh of [refreshToken, otherDevice.refreshToken]) {
+      assert.equal((await server.request('POST', '/auth/refresh', { body: { refreshToken: refresh } })).status, 401);
+    }
+    assert.equal((await login('secret1')).status, 401);
+    assert.equal((await login('brand-new')).status, 200);
+
+    // The link only works once
+    const again = await server.request('POST', '/auth/reset', { body: { token: resetToken, password: 'another-one' } });
+    assert.equal(again.status, 400);
+  });
+
+  it('refuses malformed tokens and short passwords', async () => {
+    const malformed = await server.request('POST', '/auth/reset', { body: { token: 'nonsense', password: 'long-enough' } });
+    assert.equal(malformed.status, 400);
+    const short = await server.request('POST', '/auth/reset', { body: { token: 'nonsense', password: '123' } });
+    assert.match(short.body.error, /at least 6 characters/);
+  });
+});
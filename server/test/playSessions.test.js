@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_HEARTBEAT_GAP_MS,
+  SESSION_TIMEOUT_MS,
+  newPlaySession,
+  isStale,
+  creditTime,
+  endSession,
+  summarizePlayTime
+} = require('../src/sessions');
+
+// Fixed clock: every timestamp is an offset from one start time
+const START = Date.UTC(2024, 0, 1, 12, 0, 0);
+const at = (ms) => new Date(START + ms);
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const session = (puzzleId = 'logic-1-0') => newPlaySession('u1', 'logic', 1, puzzleId, at(0));
+
+describe('creditTime', () => {
+  it('credits the gap since the last heartbeat to the puzzle on screen', () => {
+    const s = session();
+    assert.equal(creditTime(s, at(30 * SECOND)), 30 * SECOND);
+    assert.equal(creditTime(s, at(60 * SECOND)), 30 * SECOND);
+    assert.deepEqual(s.puzzles, [{ puzzleId: 'logic-1-0', activeMs: 60 * SECOND }]);
+    assert.equal(s.activeMs, 60 * SECOND);
+    assert.deepEqual(s.lastSeenAt, at(60 * SECOND));
+  });
+
+  it('credits a gap of exactly the cap but nothing longer', () => {
+    const s = session();
+    assert.equal(MAX_HEARTBEAT_GAP_MS, 90 * SECOND);
+    assert.equal(creditTime(s, at(MAX_HEARTBEAT_GAP_MS)), MAX_HEARTBEAT_GAP_MS);
+    assert.equal(creditTime(s, at(2 * MAX_HEARTBEAT_GAP_MS + 1)), 0);
+    assert.equal(s.activeMs, MAX_HEARTBEAT_GAP_MS);
+    // The clock restarts from the late heartbeat, so the next normal gap counts
+    assert.equal(creditTime(s, at(2 * MAX_HEARTBEAT_GAP_MS + 1 + 30 * SECOND)), 30 * SECOND);
+  });
+
+  it('credits nothing for heartbeats out of order or without a puzzle on screen', () => {
+    const s = session();
+    creditTime(s, at(30 * SECOND));
+    assert.equal(creditTime(s, at(20 * SECOND)), 0);
+    assert.equal(creditTime(s, at(20 * SECOND)), 0);
+
+    const idle = session(null);
+    assert.equal(creditTime(idle, at(30 * SECOND)), 0);
+    assert.deepEqual(idle.puzzles, []);
+    assert.deepEqual(idle.lastSeenAt, at(30 * SECOND));
+  });
+
+  it('credits the puzzle that is on screen when the heartbeat arrives', () => {
+    const s = session();
+    creditTime(s, at(30 * SECOND));
+    s.currentPuzzleId = 'logic-1-1';
+    creditTime(s, at(50 * SECOND));
+    assert.deepEqual(s.puzzles, [
+      { puzzleId: 'logic-1-0', activeMs: 30 * SECOND },
+      { puzzleId: 'logic-1-1', activeMs: 20 * SECOND }
+    ]);
+  });
+});
+
+describe('ending sessions', () => {
+  it('is stale after 10 minutes without a heartbeat', () => {
+    const s = session();
+    assert.equal(SESSION_TIMEOUT_MS, 10 * MINUTE);
+    assert.equal(isStale(s, at(10 * MINUTE)), false);
+    assert.equal(isStale(s, at(10 * MINUTE + 1)), true);
+    assert.equal(isStale({ ...s, endedAt: at(MINUTE) }, at(60 * MINUTE)), false);
+  });
+
+  it('credits the last gap when the player leaves', () => {
+    const s = session();
+    creditTime(s, at(30 * SECOND));
+    endSession(s, at(45 * SECOND), 'left');
+    assert.equal(s.activeMs, 45 * SECOND);
+    assert.deepEqual(s.endedAt, at(45 * SECOND));
+    assert.equal(s.endReason, 'left');
+  });
+
+  it('ends an abandoned session when it was last seen, crediting nothing more', () => {
+    const s = session();
+    creditTime(s, at(30 * SECOND));
+    endSession(s, at(30 * SECOND + 11 * MINUTE), 'left');
+    assert.equal(s.activeMs, 30 * SECOND);
+    assert.deepEqual(s.endedAt, at(30 * SECOND));
+    assert.equal(s.endReason, 'timeout');
+  });
+});
+
+describe('summarizePlayTime', () => {
+  const played = (category, level, puzzles) => ({
+    category,
+    level,
+    puzzles: Object.entries(puzzles).map(([puzzleId, activeMs]) => ({ puzzleId, activeMs })),
+    activeMs: Object.values(puzzles).reduce((sum, ms) => sum + ms, 0)
+  });
+
+  it('totals time by category, level and puzzle across sessions', () => {
+    const summary = summarizePlayTime([
+      played('math', 2, { 'math-2-0': 4000 }),
+      played('logic', 1, { 'logic-1-0': 1000, 'logic-1-1': 2000 }),
+      played('logic', 1, { 'logic-1-0': 500 }),
+      played('logic', 2, { 'logic-2-0': 3000 })
+    ]);
+
+    assert.equal(summary.totalMs, 10500);
+    assert.equal(summary.sessions, 4);
+    assert.deepEqual(summary.byCategory, { math: 4000, logic: 6500 });
+    assert.deepEqual(summary.byLevel, [
+      { category: 'logic', level: 1, activeMs: 3500 },
+      { category: 'logic', level: 2, activeMs: 3000 },
+      { category: 'math', level: 2, activeMs: 4000 }
+    ]);
+    assert.deepEqual(
+      Object.fromEntries(summary.byPuzzle.map(({ puzzleId, activeMs }) => [puzzleId, activeMs])),
+      { 'math-2-0': 4000, 'logic-1-0': 1500, 'logic-1-1': 2000, 'logic-2-0': 3000 }
+    );
+  });
+
+  it('is all zeros without sessions', () => {
+    assert.deepEqual(summarizePlayTime([]), { totalMs: 0, sessions: 0, byCategory: {}, byLevel: [], byPuzzle: [] });
+  });
+});
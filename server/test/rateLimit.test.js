@@ -0,0 +1,20 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../src/auth/rateLimit');
+
+describe('rate limiter', () => {
+  it('allows up to the limit per key within a window', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+    assert.equal(limiter.hit('a', 0), true);
+    assert.equal(limiter.hit('a', 10), true);
+    assert.equal(limiter.hit('a', 20), false);
+    assert.equal(limiter.hit('b', 20), true);
+  });
+
+  it('starts counting again once the window is over', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 1000 });
+    assert.equal(limiter.hit('a', 0), true);
+    assert.equal(limiter.hit('a', 999), false);
+    assert.equal(limiter.hit('a', 1000), true);
+  });
+});
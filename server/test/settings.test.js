@@ -0,0 +1,35 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { numberSetting } = require('../src/settings');
+
+describe('numberSetting', () => {
+  afterEach(() => {
+    delete process.env.TEST_SETTING;
+  });
+
+  it('uses the fallback when the variable is unset, blank or not a number', () => {
+    assert.equal(numberSetting('TEST_SETTING', 15), 15);
+    for (const value of ['', 'abc', 'Infinity']) {
+      process.env.TEST_SETTING = value;
+      assert.equal(numberSetting('TEST_SETTING', 15), 15, value);
+    }
+  });
+
+  it('accepts positive values only by default', () => {
+    process.env.TEST_SETTING = '2.5';
+    assert.equal(numberSetting('TEST_SETTING', 15), 2.5);
+    for (const value of ['0', '-1']) {
+      process.env.TEST_SETTING = value;
+      assert.equal(numberSetting('TEST_SETTING', 15), 15, value);
+    }
+  });
+
+  it('keeps 0 with allowZero but still rejects negatives and blanks', () => {
+    process.env.TEST_SETTING = '0';
+    assert.equal(numberSetting('TEST_SETTING', 50, { allowZero: true }), 0);
+    for (const value of ['-5', '', ' ']) {
+      process.env.TEST_SETTING = value;
+      assert.equal(numberSetting('TEST_SETTING', 50, { allowZero: true }), 50, value);
+    }
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { rate, median } = require('../src/stats/math');
+const { buildCategoryStats } = require('../src/stats/categories');
+
+describe('stats math', () => {
+  it('rounds rates to three decimals and has no rate without a total', () => {
+    assert.equal(rate(1, 3), 0.333);
+    assert.equal(rate(0, 0), null);
+  });
+
+  it('takes the middle value, averaging the two middles of an even list', () => {
+    assert.equal(median([]), null);
+    assert.equal(median([30, 10, 20]), 20);
+    assert.equal(median([10, 40, 20, 30]), 25);
+  });
+});
+
+describe('category stats', () => {
+  const puzzles = [0, 1, 2].map(position => ({ _id: `logic-1-${position}`, category: 'logic', level: 1 }));
+  const stats = (puzzleStates) =>
+    buildCategoryStats({ categories: ['logic'], levels: [1], puzzles, puzzleStates, byPuzzle: [] }).overall;
+
+  it('counts attempts up to the first credited answer, not submissions after it', () => {
+    const { firstTryAccuracy, averageAttempts } = stats([
+      // Solved first time, then answered twice more after solving
+      { puzzleId: 'logic-1-0', status: 'solved', attempts: 3, attemptsToSolve: 1 },
+      { puzzleId: 'logic-1-1', status: 'solved', attempts: 2, attemptsToSolve: 2 }
+    ]);
+    assert.equal(firstTryAccuracy, 0.5);
+    assert.equal(averageAttempts, 1.5);
+  });
+
+  it('falls back to the running total for states solved before attemptsToSolve existed', () => {
+    const { firstTryAccuracy } = stats([
+      { puzzleId: 'logic-1-0', status: 'solved', attempts: 1 },
+      { puzzleId: 'logic-1-1', status: 'attempted', attempts: 2, attemptsToSolve: null }
+    ]);
+    assert.equal(firstTryAccuracy, 0.5);
+  });
+
+  it('does not count a first-try answer after a skip', () => {
+    const { firstTryAccuracy } = stats([
+      { puzzleId: 'logic-1-0', status: 'solved', attempts: 1, attemptsToSolve: 1, skippedAt: new Date() }
+    ]);
+    assert.equal(firstTryAccuracy, 0);
+  });
+});
@@ -0,0 +1,280 @@
+// Behavior every storage adapter must share. Routes never check which backend
+// they run on, so a difference here is a bug in one of the adapters.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { backends, tempDataFile } = require('./helpers/backends');
+const { createFileStorage } = require('../src/storage/file');
+const { newStreak, newLevelProgress, newPuzzleState } = require('../src/storage');
+
+const HOUR = 60 * 60 * 1000;
+
+for (const backend of backends) {
+  describe(`${backend.name} storage`, { skip: backend.skip }, () => {
+    let storage;
+    let user;
+
+    const createUser = (name, fields = {}) =>
+      storage.createUser({ username: name, email: `${name}@example.com`, password: 'hashed', ...fields });
+
+    before(async () => {
+      storage = await backend.create();
+      user = await createUser('alice', { timeZone: 'Europe/Paris' });
+    });
+
+    after(async () => {
+      if (backend.close) await backend.close();
+    });
+
+    describe('users', () => {
+      it('creates users with string ids and the default role', () => {
+        assert.equal(typeof user._id, 'string');
+        assert.equal(user.role, 'user');
+        assert.equal(user.timeZone, 'Europe/Paris');
+        assert.ok(user.createdAt instanceof Date);
+      });
+
+      it('finds users by id, email, or email or username', async () => {
+        assert.equal((await storage.findUserById(user._id)).username, 'alice');
+        assert.equal((await storage.findUserByEmail('alice@example.com'))._id, user._id);
+        assert.equal((await storage.findUserByEmailOrUsername('nobody@example.com', 'alice'))._id, user._id);
+        assert.equal(await storage.findUserByEmail('nobody@example.com'), null);
+        assert.equal(await storage.findUserById('not-an-id'), null);
+      });
+
+      it('updates only the given fields', async () => {
+        const updated = await storage.updateUser(user._id, { role: 'editor' });
+        assert.equal(updated.role, 'editor');
+        assert.equal(updated.email, 'alice@example.com');
+        assert.equal((await storage.findUserById(user._id)).role, 'editor');
+      });
+    });
+
+    describe('streaks, level progress and puzzle states', () => {
+      it('upserts one streak per user', async () => {
+        assert.equal(await storage.getStreak(user._id), null);
+        await storage.saveStreak(newStreak(user._id));
+        const saved = await storage.saveStreak({ ...newStreak(user._id), currentStreak: 3, frozenDays: ['2024-03-09'] });
+
+        assert.equal(saved.userId, user._id);
+        const streak = await storage.getStreak(user._id);
+        assert.equal(streak.currentStreak, 3);
+        assert.deepEqual(streak.frozenDays, ['2024-03-09']);
+      });
+
+      it('keys level progress by user, category and level', async () => {
+        await storage.saveLevelProgress(newLevelProgress(user._id, 'logic', 1, 5));
+        await storage.saveLevelProgress({ ...newLevelProgress(user._id, 'logic', 1, 5), puzzlesSolved: 2 });
+        await storage.saveLevelProgress(newLevelProgress(user._id, 'math', 1, 5));
+
+        assert.equal((await storage.getLevelProgress(user._id, 'logic', 1)).puzzlesSolved, 2);
+        assert.equal(await storage.getLevelProgress(user._id, 'logic', 2), null);
+        assert.equal((await storage.listLevelProgress(user._id)).length, 2);
+      });
+
+      it('keys puzzle states by user and puzzle', async () => {
+        await storage.savePuzzleState({ ...newPuzzleState(user._id, 'logic-1-0'), status: 'attempted', attempts: 1 });
+        await storage.savePuzzleState({ ...newPuzzleState(user._id, 'logic-1-0'), status: 'solved', attempts: 2 });
+
+        const state = await storage.getPuzzleState(user._id, 'logic-1-0');
+        assert.equal(state.status, 'solved');
+        assert.equal(state.attempts, 2);
+        assert.equal((await storage.listPuzzleStates(user._id)).length, 1);
+      });
+
+      it('returns copies that do not change stored records', async () => {
+        const streak = await storage.getStreak(user._id);
+        streak.currentStreak = 99;
+        assert.equal((await storage.getStreak(user._id)).currentStreak, 3);
+      });
+    });
+
+    describe('puzzles', () => {
+      it('saves puzzles by _id', async () => {
+        await storage.savePuzzle({ _id: 'logic-1-9', title: 'Old', category: 'logic', level: 1, position: 9 });
+        await storage.savePuzzle({ _id: 'logic-1-9', title: 'New', category: 'logic', level: 1, position: 9 });
+
+        const puzzles = await storage.listPuzzles();
+        assert.equal(puzzles.length, 1);
+        assert.equal(puzzles[0].title, 'New');
+      });
+    });
+
+    describe('AI cache, acceptances and usage', () => {
+      it('treats expired cache entries as missing and replaces entries by key', async () => {
+        const future = new Date(Date.now() + HOUR);
+        await storage.saveAiCacheEntry({ key: 'a', kind: 'hint', puzzleId: 'p1', value: 'one', expiresAt: future });
+        await storage.saveAiCacheEntry({ key: 'a', kind: 'hint', puzzleId: 'p1', value: 'two', expiresAt: future });
+        await storage.saveAiCacheEntry({ key: 'b', kind: 'hint', puzzleId: 'p1', value: 'old', expiresAt: new Date(Date.now() - HOUR) });
+
+        assert.equal((await storage.getAiCacheEntry('a')).value, 'two');
+        assert.equal(await storage.getAiCacheEntry('b'), null);
+      });
+
+      it('purges the cache by puzzle and kind', async () => {
+        const expiresAt = new Date(Date.now() + HOUR);
+        await storage.saveAiCacheEntry({ key: 'c', kind: 'judgment', puzzleId: 'p1', value: 'x', expiresAt });
+        await storage.saveAiCacheEntry({ key: 'd', kind: 'hint', puzzleId: 'p2', value: 'x', expiresAt });
+
+        assert.equal(await storage.purgeAiCache({ puzzleId: 'p1', kind: 'judgment' }), 1);
+        assert.equal(await storage.getAiCacheEntry('c'), null);
+        assert.ok(await storage.getAiCacheEntry('a'));
+        await storage.purgeAiCache();
+        assert.equal(await storage.getAiCacheEntry('d'), null);
+      });
+
+      it('lists AI acceptances newest first', async () => {
+        const createdAt = Date.now();
+        for (const [index, answer] of ['first', 'second', 'third'].entries()) {
+          await storage.logAiAcceptance({
+            userId: user._id, puzzleId: 'p1', answer, confidence: 0.9, reason: 'ok', createdAt: new Date(createdAt + index)
+          });
+        }
+        const acceptances = await storage.listAiAcceptances({ limit: 2 });
+        assert.deepEqual(acceptances.map(a => a.answer), ['third', 'second']);
+      });
+
+      it('counts AI calls per day and user, leaving out calls over quota', async () => {
+        const other = await createUser('bob');
+        const usage = { route: 'hint', kind: 'hint', promptTokens: 1, completionTokens: 1, createdAt: new Date() };
+        await storage.recordAiUsage({ ...usage, day: '2024-03-10', userId: user._id, outcome: 'ok' });
+        await storage.recordAiUsage({ ...usage, day: '2024-03-10', userId: other._id, outcome: 'ok' });
+        await storage.recordAiUsage({ ...usage, day: '2024-03-10', userId: user._id, outcome: 'over-quota' });
+        await storage.recordAiUsage({ ...usage, day: '2024-03-11', userId: null, outcome: 'ok' });
+
+        assert.equal(await storage.countAiCalls({ day: '2024-03-10' }), 2);
+        assert.equal(await storage.countAiCalls({ day: '2024-03-10', userId: user._id }), 1);
+        assert.equal((await storage.listAiUsage({ from: '2024-03-10', to: '2024-03-11' })).length, 4);
+        assert.equal((await storage.listAiUsage({ from: '2024-03-11', to: '2024-03-11' })).length, 1);
+      });
+
+      it('counts a pending AI call until it is saved as refused', async () => {
+        const usage = { route: 'hint', kind: 'hint', promptTokens: 0, completionTokens: 0, day: '2024-04-01', createdAt: new Date() };
+        const pending = await storage.recordAiUsage({ ...usage, userId: user._id, outcome: 'pending' });
+        assert.equal(await storage.countAiCalls({ day: '2024-04-01', userId: user._id }), 1);
+
+        const saved = await storage.saveAiUsage({ ...pending, outcome: 'over-quota' });
+        assert.equal(saved.outcome, 'over-quota');
+        assert.equal(await storage.countAiCalls({ day: '2024-04-01', userId: user._id }), 0);
+      });
+    });
+
+    describe('experiment exposures', () => {
+      it('keeps the first exposure per experiment, user and puzzle', async () => {
+        const exposure = { experimentId: 'exp', userId: user._id, puzzleId: 'p1', exposedAt: new Date(), solvedAt: null };
+        await storage.saveExperimentExposure({ ...exposure, variant: 'curated' });
+        const again = await storage.saveExperimentExposure({ ...exposure, variant: 'ai' });
+
+        assert.equal(again.variant, 'curated');
+        assert.equal((await storage.listExperimentExposures('exp')).length, 1);
+      });
+
+      it('marks unsolved exposures solved', async () => {
+        const solvedAt = new Date();
+        await storage.markExperimentExposuresSolved(user._id, 'p1', solvedAt);
+        const [exposure] = await storage.listExperimentExposures('exp');
+        assert.equal(new Date(exposure.solvedAt).getTime(), solvedAt.getTime());
+      });
+    });
+
+    describe('attempts', () => {
+      before(async () => {
+        const start = Date.now();
+        const actions = ['validate', 'validate', 'hint', 'validate', 'skip'];
+        for (const [index, action] of actions.entries()) {
+          await storage.recordAttempt({
+            userId: user._id,
+            puzzleId: index < 4 ? 'p1' : 'p2',
+            action,
+            answer: action === 'validate' ? `answer ${index}` : null,
+            correct: index === 3,
+            createdAt: new Date(start + index)
+          });
+        }
+      });
+
+      it('pages through a user\'s attempts newest first', async () => {
+        const page = await storage.listAttempts(user._id, { offset: 1, limit: 2 });
+        assert.equal(page.total, 5);
+        assert.deepEqual(page.attempts.map(a => a.action), ['validate', 'hint']);
+      });
+
+      it('filters attempts by puzzle and action', async () => {
+        const { attempts, total } = await storage.listAttempts(user._id, { puzzleId: 'p1', action: 'validate' });
+        assert.equal(total, 3);
+        assert.deepEqual(attempts.map(a => a.answer), ['answer 3', 'answer 1', 'answer 0']);
+      });
+
+      it('lists every attempt at one puzzle oldest first', async () => {
+        const attempts = await storage.listPuzzleAttempts('p1');
+        assert.deepEqual(attempts.map(a => a.action), ['validate', 'validate', 'hint', 'validate']);
+      });
+    });
+
+    describe('play and auth sessions', () => {
+      it('creates, saves and lists play sessions', async () => {
+        const created = await storage.createPlaySession({
+          userId: user._id, category: 'logic', level: 1, startedAt: new Date(), lastSeenAt: new Date(), activeMs: 0
+        });
+        assert.equal(typeof created._id, 'string');
+        await storage.savePlaySession({ ...created, activeMs: 30000 });
+
+        assert.equal((await storage.getPlaySession(created._id)).activeMs, 30000);
+        assert.equal((await storage.listPlaySessions(user._id)).length, 1);
+        assert.equal(await storage.getPlaySession('missing'), null);
+      });
+
+      it('lists the play sessions that spent time on a puzzle', async () => {
+        const other = await createUser('bob');
+        const session = (userId, puzzles) => storage.createPlaySession({
+          userId, category: 'logic', level: 1, puzzles, startedAt: new Date(), lastSeenAt: new Date(), activeMs: 0
+        });
+        await session(user._id, [{ puzzleId: 'logic-1-0', activeMs: 1000 }]);
+        await session(other._id, [{ puzzleId: 'logic-1-0', activeMs: 2000 }, { puzzleId: 'logic-1-1', activeMs: 500 }]);
+        await session(other._id, [{ puzzleId: 'logic-1-1', activeMs: 700 }]);
+
+        const sessions = await storage.listPuzzlePlaySessions('logic-1-0');
+        assert.equal(sessions.length, 2);
+        assert.deepEqual(sessions.map(s => s.userId).sort(), [String(user._id), String(other._id)].sort());
+        assert.deepEqual(await storage.listPuzzlePlaySessions('missing'), []);
+      });
+
+      it('creates, saves and lists auth sessions', async () => {
+        const now = new Date();
+        const created = await storage.createAuthSession({
+          userId: user._id, refreshTokenHash: 'h1', userAgent: 'test', ip: '', createdAt: now, lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + HOUR), revokedAt: null
+        });
+        await storage.saveAuthSession({ ...created, refreshTokenHash: 'h2' });
+
+        assert.equal((await storage.getAuthSession(created._id)).refreshTokenHash, 'h2');
+        assert.equal((await storage.listAuthSessions(user._id)).length, 1);
+        assert.equal(await storage.getAuthSession('missing'), null);
+      });
+
+      it('creates, saves and lists password resets', async () => {
+        const created = await storage.createPasswordReset({
+          userId: user._id, tokenHash: 'h', createdAt: new Date(), expiresAt: new Date(Date.now() + HOUR), usedAt: null
+        });
+        const usedAt = new Date();
+        await storage.savePasswordReset({ ...created, usedAt });
+
+        assert.equal(new Date((await storage.getPasswordReset(created._id)).usedAt).getTime(), usedAt.getTime());
+        assert.equal((await storage.listPasswordResets(user._id)).length, 1);
+      });
+    });
+  });
+}
+
+describe('file storage persistence', () => {
+  it('reloads what it wrote, with dates revived', async () => {
+    const filePath = tempDataFile();
+    const storage = createFileStorage(filePath);
+    const user = await storage.createUser({ username: 'carol', email: 'carol@example.com', password: 'hashed' });
+    await storage.saveStreak({ ...newStreak(user._id), lastActivityDate: new Date('2024-03-10T12:00:00Z') });
+
+    const reloaded = createFileStorage(filePath);
+    assert.equal((await reloaded.findUserByEmail('carol@example.com'))._id, user._id);
+    assert.ok((await reloaded.findUserById(user._id)).createdAt instanceof Date);
+    assert.ok((await reloaded.getStreak(user._id)).lastActivityDate instanceof Date);
+  });
+});
@@ -0,0 +1,222 @@
+// Streak days follow the player's local calendar: midnight is their midnight,
+// and DST days (23 or 25 hours long) count as one day like any other.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { backends } = require('./helpers/backends');
+const { newStreak } = require('../src/storage');
+const {
+  isValidTimeZone,
+  resolveTimeZone,
+  localDay,
+  addDays,
+  daysBetween,
+  weekdayIndex,
+  settleMissedDays,
+  recordStreakDay
+} = require('../src/streaks');
+
+const NEW_YORK = 'America/New_York';
+const LONDON = 'Europe/London';
+const SYDNEY = 'Australia/Sydney';
+
+const at = (iso) => new Date(iso);
+
+// Run solves through a fresh streak, returning currentStreak after each one
+const streakAfter = (solves, timeZone) => {
+  const streak = newStreak('user');
+  return solves.map(iso => {
+    recordStreakDay(streak, at(iso), timeZone);
+    return streak.currentStreak;
+  });
+};
+
+describe('timezones', () => {
+  it('accepts IANA zones and falls back to UTC', () => {
+    assert.ok(isValidTimeZone(NEW_YORK));
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimeZone(''), false);
+    assert.equal(isValidTimeZone(42), false);
+    assert.equal(resolveTimeZone('Nowhere/Special'), 'UTC');
+    assert.equal(resolveTimeZone(null), 'UTC');
+  });
+});
+
+describe('localDay', () => {
+  it('switches day at local midnight, not UTC midnight', () => {
+    // New York is UTC-5 in winter
+    assert.equal(localDay(at('2024-01-16T04:59:59.999Z'), NEW_YORK), '2024-01-15');
+    assert.equal(localDay(at('2024-01-16T05:00:00.000Z'), NEW_YORK), '2024-01-16');
+    assert.equal(localDay(at('2024-01-16T04:59:59.999Z'), 'UTC'), '2024-01-16');
+  });
+
+  it('handles zones far from UTC and with odd offsets', () => {
+    const instant = at('2024-06-15T11:30:00Z');
+    assert.equal(localDay(instant, 'Pacific/Kiritimati'), '2024-06-16'); // UTC+14
+    assert.equal(localDay(instant, 'Pacific/Pago_Pago'), '2024-06-15'); // UTC-11
+    assert.equal(localDay(at('2024-06-15T18:29:59Z'), 'Asia/Kolkata'), '2024-06-15'); // UTC+5:30
+    assert.equal(localDay(at('2024-06-15T18:30:00Z'), 'Asia/Kolkata'), '2024-06-16');
+  });
+
+  it('moves the midnight boundary with DST', () => {
+    // Summer time: New York is UTC-4, so local midnight is 04:00Z
+    assert.equal(localDay(at('2024-07-02T03:59:59Z'), NEW_YORK), '2024-07-01');
+    assert.equal(localDay(at('2024-07-02T04:00:00Z'), NEW_YORK), '2024-07-02');
+  });
+
+  it('keeps both passes through a repeated fall-back hour on the same day', () => {
+    // 01:30 happens twice in New York on 2024-11-03
+    assert.equal(localDay(at('2024-11-03T05:30:00Z'), NEW_YORK), '2024-11-03'); // 01:30 EDT
+    assert.equal(localDay(at('2024-11-03T06:30:00Z'), NEW_YORK), '2024-11-03'); // 01:30 EST
+  });
+});
+
+describe('calendar arithmetic', () => {
+  it('adds and counts days across DST changes and month ends', () => {
+    assert.equal(addDays('2024-03-09', 1), '2024-03-10');
+    assert.equal(addDays('2024-03-10', 1), '2024-03-11');
+    assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+    assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+    assert.equal(daysBetween('2024-03-09', '2024-03-11'), 2);
+    assert.equal(daysBetween('2024-11-02', '2024-11-04'), 2);
+    assert.equal(daysBetween('2024-12-31', '2025-01-01'), 1);
+  });
+
+  it('numbers weekdays from Monday', () => {
+    assert.equal(weekdayIndex('2024-03-11'), 0); // Monday
+    assert.equal(weekdayIndex('2024-03-10'), 6); // Sunday
+  });
+});
+
+describe('recordStreakDay', () => {
+  it('counts one day per local date, however close the solves are', () => {
+    // 23:59 and 00:01 New York time, two minutes apart
+    assert.deepEqual(streakAfter(['2024-01-16T04:59:00Z', '2024-01-16T05:01:00Z'], NEW_YORK), [1, 2]);
+    // The same instants are one UTC day
+    assert.deepEqual(streakAfter(['2024-01-16T04:59:00Z', '2024-01-16T05:01:00Z'], 'UTC'), [1, 1]);
+  });
+
+  it('does not count a second solve on the same local day', () => {
+    // 00:01 and 23:59 New York time on 2024-01-15, which spans two UTC days
+    assert.deepEqual(streakAfter(['2024-01-15T05:01:00Z', '2024-01-16T04:59:00Z'], NEW_YORK), [1, 1]);
+  });
+
+  it('continues across the short spring-forward day', () => {
+    // 2024-03-10 has 23 hours in New York
+    const solves = [
+      '2024-03-10T04:30:00Z', // 23:30 EST on 03-09
+      '2024-03-11T03:30:00Z', // 23:30 EDT on 03-10, only 23 hours later
+      '2024-03-11T04:10:00Z' // 00:10 EDT on 03-11, 40 minutes later
+    ];
+    assert.deepEqual(streakAfter(solves, NEW_YORK), [1, 2, 3]);
+  });
+
+  it('continues across the long fall-back day', () => {
+    // 2024-11-03 has 25 hours in New York; these solves are almost 49 hours apart
+    const solves = [
+      '2024-11-02T04:05:00Z', // 00:05 EDT on 11-02
+      '2024-11-04T04:55:00Z' // 23:55 EST on 11-03
+    ];
+    assert.deepEqual(streakAfter(solves, NEW_YORK), [1, 2]);
+  });
+
+  it('breaks a streak after a missed local day, even within 48 hours', () => {
+    // 00:01 on 03-09 and 23:59 on 03-11 London time skip 03-10
+    assert.deepEqual(streakAfter(['2024-03-09T00:01:00Z', '2024-03-11T23:59:00Z'], LONDON), [1, 1]);
+  });
+
+  it('follows DST in the southern hemisphere and in Europe', () => {
+    // Sydney falls back on 2024-04-07, London springs forward on 2024-03-31
+    assert.deepEqual(streakAfter(['2024-04-05T13:30:00Z', '2024-04-07T13:30:00Z'], SYDNEY), [1, 2]); // 00:30 AEDT on 04-06, 23:30 AEST on 04-07
+    assert.deepEqual(streakAfter(['2024-03-30T23:30:00Z', '2024-03-31T22:30:00Z'], LONDON), [1, 2]); // 23:30 GMT, 23:30 BST
+  });
+
+  it('earns a freeze every 7 days and spends it on a missed day across DST', () => {
+    const streak = newStreak('user');
+    for (let day = 1; day <= 7; day++) {
+      recordStreakDay(streak, at(`2024-03-0${day}T17:00:00Z`), NEW_YORK);
+    }
+    assert.equal(streak.currentStreak, 7);
+    assert.equal(streak.streakFreezes, 1);
+
+    // 03-08 is played, 03-09 missed; the next solve is on 03-10, the DST day
+    recordStreakDay(streak, at('2024-03-08T17:00:00Z'), NEW_YORK);
+    recordStreakDay(streak, at('2024-03-10T17:00:00Z'), NEW_YORK);
+    assert.equal(streak.currentStreak, 9);
+    assert.equal(streak.streakFreezes, 0);
+    assert.deepEqual(streak.frozenDays, ['2024-03-09']);
+  });
+});
+
+describe('settleMissedDays', () => {
+  it('leaves a streak alone until the local day after it was played has ended', () => {
+    const streak = { ...newStreak('user'), currentStreak: 3, lastActivityDate: at('2024-01-15T17:00:00Z') };
+    // 23:59 New York time on 01-16 is already 01-17 in UTC
+    assert.equal(settleMissedDays(streak, at('2024-01-17T04:59:00Z'), NEW_YORK), false);
+    assert.equal(streak.currentStreak, 3);
+    // 00:01 on 01-17: 01-16 ended without a solve
+    assert.equal(settleMissedDays(streak, at('2024-01-17T05:01:00Z'), NEW_YORK), true);
+    assert.equal(streak.currentStreak, 0);
+  });
+});
+
+for (const backend of backends) {
+  describe(`streaks stored in ${backend.name} storage`, { skip: backend.skip }, () => {
+    let storage;
+
+    before(async () => {
+      storage = await backend.create();
+    });
+
+    after(async () => {
+      if (backend.close) await backend.close();
+    });
+
+    // What updateStreak does on a credited solve: load, count the day, save
+    const solveAt = async (userId, iso, timeZone) => {
+      const streak = (await storage.getStreak(userId)) || newStreak(userId);
+      recordStreakDay(streak, at(iso), timeZone);
+      await storage.saveStreak(streak);
+      return (await storage.getStreak(userId)).currentStreak;
+    };
+
+    it('keeps counting in local days across DST after every save and load', async () => {
+      const user = await storage.createUser({ username: 'ny', email: 'ny@example.com', password: 'x', timeZone: NEW_YORK });
+      const solves = [
+        '2024-03-09T05:01:00Z', // 00:01 EST on 03-09
+        '2024-03-10T04:59:00Z', // 23:59 EST on 03-09, same day
+        '2024-03-11T03:30:00Z', // 23:30 EDT on 03-10
+        '2024-03-11T04:10:00Z' // 00:10 EDT on 03-11
+      ];
+      const counts = [];
+      for (const iso of solves) {
+        counts.push(await solveAt(user._id, iso, user.timeZone));
+      }
+      assert.deepEqual(counts, [1, 1, 2, 3]);
+
+      const streak = await storage.getStreak(user._id);
+      assert.equal(localDay(streak.lastActivityDate, NEW_YORK), '2024-03-11');
+    });
+
+    it('stores frozen days and settles them the same way', async () => {
+      const user = await storage.createUser({ username: 'syd', email: 'syd@example.com', password: 'x', timeZone: SYDNEY });
+      await storage.saveStreak({
+        ...newStreak(user._id),
+        currentStreak: 7,
+        longestStreak: 7,
+        streakFreezes: 1,
+        lastActivityDate: at('2024-04-05T13:30:00Z') // 00:30 AEDT on 04-06
+      });
+
+      // 04-07 (the 25-hour fall-back day) is missed; settled at 00:30 AEST on 04-08
+      const streak = await storage.getStreak(user._id);
+      assert.equal(settleMissedDays(streak, at('2024-04-07T14:30:00Z'), SYDNEY), true);
+      await storage.saveStreak(streak);
+
+      const saved = await storage.getStreak(user._id);
+      assert.equal(saved.currentStreak, 7);
+      assert.equal(saved.streakFreezes, 0);
+      assert.deepEqual(saved.frozenDays, ['2024-04-07']);
+      assert.equal(await solveAt(user._id, '2024-04-08T01:00:00Z', SYDNEY), 8);
+    });
+  });
+}
@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { withAiMetering, AiQuotaExceededError, utcDay } = require('../src/ai/usage');
+const { createMemoryStorage } = require('../src/storage/memory');
+const { assignVariant } = require('../src/experiments');
+const { startServer } = require('./helpers/server');
+
+const puzzle = { _id: 'riddles-1-0', title: 'Echo', prompt: 'What answers back?', correctAnswers: ['echo'] };
+
+// A provider whose hints take a moment, so concurrent calls overlap
+const slowProvider = () => ({
+  name: 'slow',
+  model: 'test',
+  calls: 0,
+  async generateHint() {
+    this.calls++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return 'a hint';
+  }
+});
+
+const withLimits = (limits, run) => async () => {
+  Object.assign(process.env, limits);
+  try {
+    await run();
+  } finally {
+    Object.keys(limits).forEach(name => delete process.env[name]);
+  }
+};
+
+describe('AI quotas', () => {
+  it('refuses calls over the per-user limit and records them', withLimits({ AI_DAILY_USER_LIMIT: '2' }, async () => {
+    const storage = createMemoryStorage();
+    const provider = slowProvider();
+    const ai = withAiMetering(provider, storage);
+    const hint = () => ai.generateHint(puzzle, 1, { userId: 'u1', route: 'hint' });
+
+    await hint();
+    await hint();
+    await assert.rejects(hint(), AiQuotaExceededError);
+    assert.equal(provider.calls, 2);
+
+    // Other users have their own quota
+    await ai.generateHint(puzzle, 1, { userId: 'u2', route: 'hint' });
+    const outcomes = (await storage.listAiUsage({ from: utcDay(), to: utcDay() })).map(u => u.outcome);
+    assert.deepEqual(outcomes.sort(), ['ok', 'ok', 'ok', 'over-quota']);
+  }));
+
+  it('never lets concurrent calls past the limits', withLimits({ AI_DAILY_USER_LIMIT: '3', AI_DAILY_GLOBAL_LIMIT: '4' }, async () => {
+    const storage = createMemoryStorage();
+    const provider = slowProvider();
+    const ai = withAiMetering(provider, storage);
+
+    const results = await Promise.allSettled([
+      ...Array.from({ length: 6 }, () => ai.generateHint(puzzle, 1, { userId: 'u1', route: 'hint' })),
+      ...Array.from({ length: 6 }, () => ai.generateHint(puzzle, 1, { userId: 'u2', route: 'hint' }))
+    ]);
+
+    assert.ok(provider.calls <= 4, `${provider.calls} calls reached the provider`);
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, provider.calls);
+    assert.ok(results.filter(r => r.status === 'rejected').every(r => r.reason instanceof AiQuotaExceededError));
+    assert.ok(await storage.countAiCalls({ day: utcDay(), userId: 'u1' }) <= 3);
+  }));
+
+  it('does not count refused calls against the quota', withLimits({ AI_DAILY_USER_LIMIT: '1' }, async () => {
+    const storage = createMemoryStorage();
+    const ai = withAiMetering(slowProvider(), storage);
+    await ai.generateHint(puzzle, 1, { userId: 'u1' });
+    await assert.rejects(ai.generateHint(puzzle, 1, { userId: 'u1' }), AiQuotaExceededError);
+    await assert.rejects(ai.generateHint(puzzle, 1, { userId: 'u1' }), AiQuotaExceededError);
+    assert.equal(await storage.countAiCalls({ day: utcDay(), userId: 'u1' }), 1);
+  }));
+});
+
+describe('over quota fallbacks', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ AI_PROVIDER: 'stub', AI_DAILY_USER_LIMIT: '1' });
+  });
+  after(() => server.close());
+
+  it('falls back to local validation only', async () => {
+    const { token } = await server.register();
+    const answer = (puzzleId, text) =>
+      server.request('POST', `/puzzles/${puzzleId}/validate`, { token, body: { answer: text } });
+
+    // The stub judge accepts answers that mention the correct one
+    const judged = await answer('logic-1-1', 'I think it is the carrot');
+    assert.equal(judged.body.correct, true);
+
+    // Same kind of answer, but the quota is used up: local validation rejects it
+    const local = await answer('logic-1-2', 'I would say yes');
+    assert.equal(local.body.correct, false);
+    assert.equal(local.body.message, 'Not quite right. Give it another try!');
+  });
+
+  it('falls back to curated hints', async () => {
+    // Register until the hint-source experiment puts a user on AI hints
+    let account;
+    do {
+      account = await server.register();
+    } while (assignVariant('hint-source', account.user.id) !== 'ai');
+    const hint = (puzzleId) => server.request('POST', `/puzzles/${puzzleId}/hint`, { token: account.token });
+
+    assert.match((await hint('logic-1-0')).body.hint, /^\[stub\]/);
+    const curated = (await hint('logic-1-1')).body.hint;
+    assert.equal(curated, 'Three of these have something in common that the fourth doesn\'t. 🍎');
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('POST /api/puzzles/:id/validate', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  const answer = (token, text) =>
+    server.request('POST', '/puzzles/logic-1-0/validate', { token, body: { answer: text } });
+
+  it('credits the first correct answer', async () => {
+    const { token } = await server.register();
+    const { body } = await answer(token, '10');
+    assert.equal(body.correct, true);
+    assert.equal(body.credited, true);
+    assert.equal(body.alreadySolved, false);
+  });
+
+  it('does not credit a solved puzzle again', async () => {
+    const { token } = await server.register();
+    await answer(token, 'nine');
+    await answer(token, '10');
+    const before = (await server.request('GET', '/stats', { token })).body;
+    assert.equal(before.totalPuzzlesSolved, 1);
+
+    const { body } = await answer(token, 'ten');
+    assert.equal(body.correct, true);
+    assert.equal(body.credited, false);
+    assert.equal(body.alreadySolved, true);
+    assert.doesNotMatch(body.message, /Excellent work/);
+    assert.ok(body.explanation);
+
+    const after = (await server.request('GET', '/stats', { token })).body;
+    assert.equal(after.totalPuzzlesSolved, before.totalPuzzlesSolved);
+    const state = server.data().puzzleStates.find(s => s.puzzleId === 'logic-1-0' && s.attempts === 3);
+    assert.equal(state.attemptsToSolve, 2);
+  });
+
+  it('does not credit a correct answer right after a skip', async () => {
+    const { token } = await server.register();
+    await server.request('POST', '/puzzles/logic-1-0/skip', { token });
+    const { body } = await answer(token, '10');
+    assert.equal(body.correct, true);
+    assert.equal(body.credited, false);
+    assert.equal(body.alreadySolved, false);
+  });
+});
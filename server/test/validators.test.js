@@ -0,0 +1,240 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkAnswer, validateValidatorConfig } = require('../src/validators');
+
+const puzzle = (fields) => ({
+  _id: 'test-1-0',
+  title: 'Test',
+  prompt: 'What is it?',
+  category: 'riddles',
+  level: 1,
+  position: 0,
+  ...fields
+});
+
+const accepts = (p, answer) => checkAnswer(p, answer).correct;
+
+describe('text validator', () => {
+  const echo = puzzle({ correctAnswers: ['echo'], validator: { type: 'text', synonyms: ['an echo sound'] } });
+
+  it('matches correct answers after normalization', () => {
+    assert.ok(accepts(echo, '  The ECHO! '));
+    assert.equal(checkAnswer(echo, 'echo').reason, undefined);
+  });
+
+  it('accepts synonyms with a reason', () => {
+    const result = checkAnswer(echo, 'an echo sound');
+    assert.ok(result.correct);
+    assert.match(result.reason, /synonym of 'echo'/);
+  });
+
+  it('rejects partial answers', () => {
+    const answer = puzzle({ correctAnswers: ['a keyboard'], category: 'math' });
+    assert.equal(accepts(answer, 'key'), false);
+    assert.equal(accepts(answer, 'board'), false);
+  });
+
+  it('folds plurals and forgives small typos in riddles', () => {
+    const keys = puzzle({ correctAnswers: ['keys'] });
+    assert.match(checkAnswer(keys, 'key').reason, /singular\/plural/);
+    assert.match(checkAnswer(puzzle({ correctAnswers: ['whisper'] }), 'wisper').reason, /close spelling/);
+  });
+
+  it('never fuzzes short answers, first letters or digits', () => {
+    assert.equal(accepts(puzzle({ correctAnswers: ['age'] }), 'ace'), false);
+    const words = [['towel', 'tower'], ['stamp', 'stump'], ['stamp', 'swamp'], ['flame', 'flare'], ['clock', 'cloak'], ['steps', 'stops']];
+    for (const [expected, answer] of words) {
+      assert.equal(accepts(puzzle({ correctAnswers: [expected] }), answer), false, `${answer} for ${expected}`);
+    }
+    assert.equal(accepts(puzzle({ correctAnswers: ['neither'] }), 'either'), false);
+    assert.equal(accepts(puzzle({ correctAnswers: ['route 13'] }), 'route 18'), false);
+  });
+
+  it('turns fuzzy matching off per puzzle and outside riddles and logic', () => {
+    assert.equal(accepts(puzzle({ correctAnswers: ['whisper'], validator: { type: 'text', fuzzy: false } }), 'wisper'), false);
+    assert.equal(accepts(puzzle({ correctAnswers: ['whisper'], category: 'math' }), 'wisper'), false);
+  });
+
+  it('checks its config', () => {
+    assert.deepEqual(validateValidatorConfig(echo), []);
+    assert.equal(validateValidatorConfig(puzzle({ correctAnswers: ['x'], validator: { type: 'text', synonyms: [''] } })).length, 1);
+    assert.equal(validateValidatorConfig(puzzle({ correctAnswers: ['x'], validator: { type: 'text', fuzzy: 'yes' } })).length, 1);
+  });
+});
+
+describe('numeric validator', () => {
+  const sqrt = puzzle({ category: 'math', prompt: 'What is 11 squared?', correctAnswers: ['121'], validator: { type: 'numeric' } });
+  const pi = puzzle({ category: 'math', correctAnswers: ['3.14'], validator: { type: 'numeric', tolerance: 0.01 } });
+
+  it('accepts the same number written differently', () => {
+    assert.equal(checkAnswer(sqrt, '121').reason, undefined);
+    assert.match(checkAnswer(sqrt, '121.0').reason, /equal to 121/);
+    assert.ok(accepts(sqrt, 'one hundred twenty-one'));
+  });
+
+  it('rejects other numbers and non-numbers', () => {
+    assert.equal(accepts(sqrt, '122'), false);
+    assert.equal(accepts(sqrt, 'a lot'), false);
+  });
+
+  it('accepts calculations equal to the answer', () => {
+    const eight = puzzle({ correctAnswers: ['8'], validator: { type: 'numeric' } });
+    for (const answer of ['2^3', '2 ** 3', '4*2', 'two cubed', '16/2']) {
+      assert.ok(accepts(eight, answer), answer);
+    }
+    assert.match(checkAnswer(eight, '2^3').reason, /equal to 8/);
+    assert.equal(accepts(eight, '2^4'), false);
+  });
+
+  it('rejects the question\'s own expression', () => {
+    const sum = puzzle({ category: 'math', prompt: 'What is 15 + 27?', correctAnswers: ['42'], validator: { type: 'numeric' } });
+    assert.match(checkAnswer(sum, '15 + 27').reason, /restates the question/);
+    assert.ok(accepts(sum, 'forty-two'));
+  });
+
+  it('allows the configured tolerance', () => {
+    assert.match(checkAnswer(pi, '3.141').reason, /within 0.01 of/);
+    assert.equal(accepts(pi, '3.2'), false);
+  });
+
+  it('checks its config', () => {
+    assert.deepEqual(validateValidatorConfig(sqrt), []);
+    assert.equal(validateValidatorConfig(puzzle({ correctAnswers: ['many'], validator: { type: 'numeric' } })).length, 1);
+    assert.equal(validateValidatorConfig(puzzle({ correctAnswers: ['1'], validator: { type: 'numeric', tolerance: -1 } })).length, 1);
+  });
+});
+
+describe('fraction validator', () => {
+  const half = puzzle({ category: 'math', correctAnswers: ['1/2'], validator: { type: 'fraction' } });
+
+  it('accepts equivalent fractions, decimals, percentages and words', () => {
+    for (const answer of ['1/2', '2/4', '0.5', '50%', 'one half', '.5']) {
+      assert.ok(accepts(half, answer), answer);
+    }
+    assert.match(checkAnswer(half, '0.5').reason, /equivalent to 1\/2/);
+  });
+
+  it('accepts mixed numbers', () => {
+    const threeHalves = puzzle({ correctAnswers: ['3/2'], validator: { type: 'fraction' } });
+    assert.ok(accepts(threeHalves, '1 1/2'));
+    assert.ok(accepts(threeHalves, 'one and a half'));
+  });
+
+  it('accepts calculations equal to the fraction', () => {
+    for (const answer of ['(3/4)*(2/3)', '1/4 + 1/4', '1 - 1/2']) {
+      assert.ok(accepts(half, answer), answer);
+    }
+  });
+
+  it('rejects other values', () => {
+    assert.equal(accepts(half, '1/3'), false);
+    assert.equal(accepts(half, '0.55'), false);
+  });
+
+  it('checks its config', () => {
+    assert.deepEqual(validateValidatorConfig(half), []);
+    assert.equal(validateValidatorConfig(puzzle({ correctAnswers: ['half-ish'], validator: { type: 'fraction' } })).length, 1);
+  });
+});
+
+describe('list validator', () => {
+  const roots = puzzle({ category: 'math', correctAnswers: ['5 and -5'], validator: { type: 'list' } });
+  const ordered = puzzle({ correctAnswers: ['red, green, blue'], validator: { type: 'list', ordered: true } });
+
+  it('accepts items in any order with any separator', () => {
+    assert.ok(accepts(roots, '-5, 5'));
+    assert.ok(accepts(roots, '5.0; -5'));
+    assert.match(checkAnswer(roots, '-5 & 5').reason, /all 2 items/);
+  });
+
+  it('compares calculated items by value', () => {
+    assert.ok(accepts(roots, '2+3, -5'));
+  });
+
+  it('rejects missing, extra or repeated items', () => {
+    assert.equal(accepts(roots, '5'), false);
+    assert.equal(accepts(roots, '5, -5, 0'), false);
+    assert.equal(accepts(roots, '5, 5'), false);
+  });
+
+  it('keeps the order when ordered is set', () => {
+    assert.ok(accepts(ordered, 'Red, Green and Blue'));
+    assert.equal(accepts(ordered, 'blue, green, red'), false);
+  });
+
+  it('checks its config', () => {
+    assert.deepEqual(validateValidatorConfig(roots), []);
+    assert.equal(validateValidatorConfig(puzzle({ correctAnswers: ['5'], validator: { type: 'list' } })).length, 1);
+    assert.equal(validateValidatorConfig(puzzle({ correctAnswers: ['5'], validator: { type: 'list', items: [] } })).length, 1);
+  });
+});
+
+describe('regex validator', () => {
+  const letter = puzzle({ correctAnswers: ['m'], validator: { type: 'regex', pattern: '^(the )?(letter )?m$' } });
+
+  it('matches the trimmed answer, case-insensitive by default', () => {
+    assert.ok(accepts(letter, ' The letter M '));
+    assert.match(checkAnswer(letter, 'letter m').reason, /answer pattern/);
+  });
+
+  it('rejects answers outside the pattern', () => {
+    assert.equal(accepts(letter, 'the letter n'), false);
+  });
+
+  it('honours explicit flags', () => {
+    const caseSensitive = puzzle({ correctAnswers: ['M'], validator: { type: 'regex', pattern: '^M$', flags: '' } });
+    assert.equal(accepts(caseSensitive, 'n'), false);
+    assert.ok(accepts(caseSensitive, 'M'));
+  });
+
+  it('checks its config', () => {
+    assert.deepEqual(validateValidatorConfig(letter), []);
+    assert.equal(validateValidatorConfig(puzzle({ correctAnswers: ['m'], validator: { type: 'regex' } })).length, 1);
+    assert.equal(validateValidatorConfig(puzzle({ correctAnswers: ['m'], validator: { type: 'regex', pattern: '(' } })).length, 1);
+  });
+});
+
+describe('custom validator', () => {
+  const implication = puzzle({ category: 'logic', correctAnswers: ['P implies R'], validator: { type: 'custom', name: 'implication' } });
+
+  it('runs the named check', () => {
+    for (const answer of ['p -> r', 'P → R', 'if p then r', 'P => R']) {
+      assert.ok(accepts(implication, answer), answer);
+    }
+    assert.match(checkAnswer(implication, 'p -> r').reason, /implication check/);
+    assert.equal(accepts(implication, 'r -> p'), false);
+  });
+
+  it('uses a configured pair of terms', () => {
+    const config = puzzle({ correctAnswers: ['A implies B'], validator: { type: 'custom', name: 'implication', terms: ['A', 'B'] } });
+    assert.deepEqual(validateValidatorConfig(config), []);
+    assert.ok(accepts(config, 'if a then b'));
+    assert.equal(accepts(config, 'p -> r'), false);
+  });
+
+  it('rejects terms that are not two non-empty strings', () => {
+    for (const terms of [[1, 2], 'pr', ['p'], ['p', 'q', 'r'], ['p', ' '], null, {}]) {
+      const config = puzzle({ correctAnswers: ['x'], validator: { type: 'custom', name: 'implication', terms } });
+      assert.match(validateValidatorConfig(config)[0], /terms must be two non-empty strings/, JSON.stringify(terms));
+    }
+  });
+
+  it('rejects unknown names, including inherited object properties', () => {
+    for (const name of ['nope', 'toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+      const config = puzzle({ correctAnswers: ['x'], validator: { type: 'custom', name } });
+      assert.equal(validateValidatorConfig(config).length, 1, name);
+      assert.equal(accepts(config, 'anything'), false, name);
+    }
+  });
+});
+
+describe('validator registry', () => {
+  it('always accepts the listed correct answers', () => {
+    const p = puzzle({ correctAnswers: ['121', 'eleven squared'], validator: { type: 'numeric' } });
+    assert.ok(accepts(p, 'Eleven squared'));
+  });
+
+  it('rejects unknown validator types', () => {
+    assert.match(validateValidatorConfig(puzzle({ correctAnswers: ['x'], validator: { type: 'magic' } }))[0], /unknown validator type/);
+  });
+});